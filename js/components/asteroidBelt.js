@@ -0,0 +1,321 @@
+import * as THREE from 'three';
+import { Random } from '../utils/random.js';
+import { createNoise3D, fbm3D } from '../utils/noise.js';
+import { bodyRegistry } from '../utils/bodyRegistry.js';
+import { LIGHT_RANGE } from './sun.js';
+
+// Number of different rock shapes (each is one InstancedMesh per detail level)
+const ROCK_SHAPES = 4;
+
+// Icosahedron detail for near, middle and far rocks
+const LOD_DETAIL = [2, 1, 0];
+
+// Rocks smaller than this fraction of their distance from the camera are
+// under a pixel or so, and aren't drawn at all
+const MIN_APPARENT_SIZE = 0.002;
+
+/**
+ * Whether a sphere moved along a segment passes through a frustum at any point
+ * (the segment is clipped against each plane in turn)
+ * @param {THREE.Frustum} frustum - Frustum to test against
+ * @param {THREE.Vector3} start - Start of the segment
+ * @param {THREE.Vector3} end - End of the segment
+ * @param {number} radius - Radius of the sphere
+ * @returns {boolean}
+ */
+function sweptSphereInFrustum(frustum, start, end, radius) {
+    let enter = 0;
+    let leave = 1;
+    for (const plane of frustum.planes) {
+        const startDistance = plane.distanceToPoint(start) + radius;
+        const endDistance = plane.distanceToPoint(end) + radius;
+        if (startDistance < 0 && endDistance < 0) return false;
+        if (startDistance < 0) {
+            enter = Math.max(enter, startDistance / (startDistance - endDistance));
+        } else if (endDistance < 0) {
+            leave = Math.min(leave, startDistance / (startDistance - endDistance));
+        }
+        if (enter > leave) return false;
+    }
+    return true;
+}
+
+/**
+ * Create an irregular rock shape.
+ * The bumps depend only on the direction from the center, so every detail
+ * level of the same shape has the same silhouette.
+ * @param {Function} noise - 3D noise function (see createNoise3D)
+ * @param {number} detail - Icosahedron subdivision level
+ * @returns {THREE.BufferGeometry} - Rock of roughly unit radius
+ */
+function createRockGeometry(noise, detail) {
+    const geometry = new THREE.IcosahedronGeometry(1, detail);
+    const vertices = geometry.attributes.position;
+    const vertex = new THREE.Vector3();
+    
+    for (let i = 0; i < vertices.count; i++) {
+        vertex.fromBufferAttribute(vertices, i).normalize();
+        const n = fbm3D(noise, vertex.x * 1.8, vertex.y * 1.8, vertex.z * 1.8, 3);
+        vertex.multiplyScalar(1 + n * 0.45);
+        vertices.setXYZ(i, vertex.x, vertex.y, vertex.z);
+    }
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Create an asteroid belt (or a debris field): thousands of irregular rocks
+ * drawn with a handful of InstancedMeshes. Every frame the rocks outside the
+ * camera's view (and not shading anything in it) are skipped and the rest are
+ * sorted into three detail levels by distance, so even large belts stay cheap to draw.
+ * @param {THREE.Scene} scene - The scene to add the belt to
+ * @param {Object} options - Configuration options
+ * @param {THREE.Camera} options.camera - Camera used for culling and picking the detail level
+ * @param {string} options.shape - 'belt' for a flat ring, 'field' for a spherical cloud
+ * @param {number} options.innerRadius - Inner edge of the ring (or shell)
+ * @param {number} options.outerRadius - Outer edge of the ring (or shell)
+ * @param {number} options.thickness - Height of the ring (unused for fields)
+ * @param {number} options.count - Number of rocks
+ * @param {number} options.minSize - Radius of the smallest rocks
+ * @param {number} options.maxSize - Radius of the largest rocks
+ * @param {number} options.sizeDistribution - 1 for evenly spread sizes; higher values make
+ *     small rocks more common (real belts have far more pebbles than boulders)
+ * @param {number} options.orbitalSpeed - Radians per second at the inner edge; rocks further
+ *     out orbit more slowly, following Kepler's third law (a field turns as a whole at this rate)
+ * @param {number[]} options.lodDistances - Distances where rocks switch to the middle and far detail levels
+ * @param {THREE.Object3D[]} options.shadowLights - Stars casting real-time shadows; rocks out of
+ *     view whose shadows fall into it are drawn as well
+ * @param {string} options.description - Text shown when the belt is selected
+ * @returns {THREE.Group} - The belt group
+ */
+function createAsteroidBelt(scene, options = {}) {
+    const {
+        name = 'Asteroid Belt',
+        description = '',
+        camera,
+        shape = 'belt',
+        position = new THREE.Vector3(0, 0, 0),
+        tilt = 0, // Tilt of the ring plane in radians
+        innerRadius = 55,
+        outerRadius = 80,
+        thickness = 6,
+        count = 3000,
+        minSize = 0.1,
+        maxSize = 1.2,
+        sizeDistribution = 3,
+        orbitalSpeed = 0.02,
+        color = 0x8a7f72,
+        lodDistances = [60, 180],
+        shadowLights = [],
+        random = new Random() // Seeded generator for the rock shapes and layout
+    } = options;
+    
+    // Create a group centered on what the rocks orbit
+    const beltGroup = new THREE.Group();
+    beltGroup.name = name;
+    beltGroup.position.copy(position);
+    beltGroup.rotation.x = tilt;
+    
+    // Where each rock is, as orbit radius, starting angle and height (belts)
+    // or direction (fields), plus its size, shape and tumble
+    const radii = new Float32Array(count);
+    const angles = new Float32Array(count);
+    const angularSpeeds = new Float32Array(count);
+    const heights = new Float32Array(count);
+    const scales = new Float32Array(count * 3);
+    const spinAxes = new Float32Array(count * 3);
+    const spinSpeeds = new Float32Array(count);
+    const shapes = new Uint8Array(count);
+    const colors = new Float32Array(count * 3);
+    const baseColor = new THREE.Color(color);
+    const rockColor = new THREE.Color();
+    const axis = new THREE.Vector3();
+    
+    for (let i = 0; i < count; i++) {
+        const t = random.next();
+        angles[i] = random.next() * Math.PI * 2;
+        
+        if (shape === 'field') {
+            // Spread rocks evenly through the shell's volume; the whole cloud turns together.
+            // Height stands in for the polar angle.
+            radii[i] = Math.cbrt(innerRadius ** 3 + t * (outerRadius ** 3 - innerRadius ** 3));
+            angularSpeeds[i] = orbitalSpeed;
+            heights[i] = Math.acos(random.next() * 2 - 1);
+        } else {
+            // Spread rocks evenly over the ring's area rather than its width,
+            // thicker in the middle and thinning out towards the top and bottom
+            radii[i] = Math.sqrt(innerRadius ** 2 + t * (outerRadius ** 2 - innerRadius ** 2));
+            angularSpeeds[i] = orbitalSpeed * Math.pow(innerRadius / radii[i], 1.5);
+            heights[i] = (random.next() + random.next() - 1) * thickness / 2;
+        }
+        
+        const size = minSize + (maxSize - minSize) * Math.pow(random.next(), sizeDistribution);
+        scales[i * 3] = size * (0.7 + random.next() * 0.6);
+        scales[i * 3 + 1] = size * (0.7 + random.next() * 0.6);
+        scales[i * 3 + 2] = size * (0.7 + random.next() * 0.6);
+        
+        axis.set(random.next() - 0.5, random.next() - 0.5, random.next() - 0.5).normalize();
+        spinAxes[i * 3] = axis.x;
+        spinAxes[i * 3 + 1] = axis.y;
+        spinAxes[i * 3 + 2] = axis.z;
+        spinSpeeds[i] = (random.next() - 0.5) * 1.5;
+        
+        shapes[i] = i % ROCK_SHAPES;
+        
+        rockColor.copy(baseColor).offsetHSL((random.next() - 0.5) * 0.04, 0, (random.next() - 0.5) * 0.2);
+        rockColor.toArray(colors, i * 3);
+    }
+    
+    // One InstancedMesh per rock shape and detail level. Each can hold every rock
+    // of its shape, and only its first `count` instances are drawn.
+    const material = new THREE.MeshStandardMaterial({
+        color: 0xffffff,
+        roughness: 0.95,
+        metalness: 0.05,
+        flatShading: true
+    });
+    const capacity = Math.ceil(count / ROCK_SHAPES);
+    const bounds = new THREE.Sphere(new THREE.Vector3(), outerRadius + thickness + maxSize * 2);
+    const meshes = [];
+    
+    for (let s = 0; s < ROCK_SHAPES; s++) {
+        const noise = createNoise3D(Math.floor(random.next() * 1000000));
+        meshes.push(LOD_DETAIL.map(detail => {
+            const mesh = new THREE.InstancedMesh(createRockGeometry(noise, detail), material, capacity);
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+            mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+            mesh.count = 0;
+            // Culling is done per rock below; the bounds cover the whole belt for picking
+            mesh.frustumCulled = false;
+            mesh.boundingSphere = bounds;
+            // Rocks shade each other and the bodies around them when the sun casts shadows
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            beltGroup.add(mesh);
+            return mesh;
+        }));
+    }
+    
+    // Per-frame culling and level of detail (driven by simulation time)
+    const frustum = new THREE.Frustum();
+    const viewProjection = new THREE.Matrix4();
+    const cameraLocal = new THREE.Vector3();
+    const inverseBelt = new THREE.Matrix4();
+    const sphere = new THREE.Sphere();
+    const rock = new THREE.Vector3();
+    const lightsLocal = shadowLights.map(() => new THREE.Vector3());
+    const shadowEnd = new THREE.Vector3();
+    const spin = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const matrix = new THREE.Matrix4();
+    const filled = new Array(ROCK_SHAPES * LOD_DETAIL.length);
+    
+    // Whether the rock in `sphere` throws a shadow into the view: its shadow runs
+    // away from each star until the star's light gives out
+    const castsShadowIntoView = () => lightsLocal.some(light => {
+        const reach = LIGHT_RANGE / sphere.center.distanceTo(light);
+        if (reach <= 1) return false;
+        shadowEnd.subVectors(sphere.center, light).multiplyScalar(reach).add(light);
+        return sweptSphereInFrustum(frustum, sphere.center, shadowEnd, sphere.radius);
+    });
+    
+    beltGroup.userData.update = function(elapsedTime) {
+        beltGroup.updateMatrixWorld();
+        
+        // Work in the belt's own space: bring the camera and its view frustum into it
+        let cull = false;
+        if (camera) {
+            camera.updateMatrixWorld();
+            viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+                .multiply(beltGroup.matrixWorld);
+            frustum.setFromProjectionMatrix(viewProjection);
+            inverseBelt.copy(beltGroup.matrixWorld).invert();
+            cameraLocal.setFromMatrixPosition(camera.matrixWorld).applyMatrix4(inverseBelt);
+            shadowLights.forEach((light, i) => light.getWorldPosition(lightsLocal[i]).applyMatrix4(inverseBelt));
+            cull = true;
+        }
+        
+        filled.fill(0);
+        
+        for (let i = 0; i < count; i++) {
+            const angle = angles[i] + angularSpeeds[i] * elapsedTime;
+            if (shape === 'field') {
+                const sinPolar = Math.sin(heights[i]);
+                rock.set(
+                    radii[i] * sinPolar * Math.cos(angle),
+                    radii[i] * Math.cos(heights[i]),
+                    -radii[i] * sinPolar * Math.sin(angle)
+                );
+            } else {
+                rock.set(radii[i] * Math.cos(angle), heights[i], -radii[i] * Math.sin(angle));
+            }
+            
+            // Skip rocks out of view (with some slack, as the camera may still move
+            // this frame) and rocks too small to see; pick the detail level by distance
+            let level = 0;
+            if (cull) {
+                const size = Math.max(scales[i * 3], scales[i * 3 + 1], scales[i * 3 + 2]);
+                sphere.set(rock, size * 1.5 + 2);
+                if (!frustum.intersectsSphere(sphere) && !castsShadowIntoView()) continue;
+                
+                const distance = rock.distanceTo(cameraLocal);
+                if (size < distance * MIN_APPARENT_SIZE) continue;
+                level = distance < lodDistances[0] ? 0 : distance < lodDistances[1] ? 1 : 2;
+            }
+            
+            spin.setFromAxisAngle(axis.fromArray(spinAxes, i * 3), spinSpeeds[i] * elapsedTime);
+            scale.fromArray(scales, i * 3);
+            matrix.compose(rock, spin, scale);
+            
+            const bucket = shapes[i] * LOD_DETAIL.length + level;
+            const mesh = meshes[shapes[i]][level];
+            const slot = filled[bucket]++;
+            matrix.toArray(mesh.instanceMatrix.array, slot * 16);
+            mesh.instanceColor.array[slot * 3] = colors[i * 3];
+            mesh.instanceColor.array[slot * 3 + 1] = colors[i * 3 + 1];
+            mesh.instanceColor.array[slot * 3 + 2] = colors[i * 3 + 2];
+        }
+        
+        meshes.forEach((levels, s) => levels.forEach((mesh, level) => {
+            mesh.count = filled[s * LOD_DETAIL.length + level];
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.instanceColor.needsUpdate = true;
+        }));
+    };
+    
+    beltGroup.userData.update(0);
+    
+    // Add to scene's updateable objects
+    if (!scene.userData.updateableObjects) {
+        scene.userData.updateableObjects = [];
+    }
+    scene.userData.updateableObjects.push(beltGroup);
+    
+    scene.add(beltGroup);
+    
+    // Report the belt for picking and the info panel
+    const stats = {
+        Rocks: count,
+        Extent: `${innerRadius} to ${outerRadius} units`,
+        'Rock sizes': `${minSize} to ${maxSize} units`
+    };
+    if (shape !== 'field') stats.Thickness = `${thickness} units`;
+    if (orbitalSpeed !== 0) {
+        stats[shape === 'field' ? 'Rotation' : 'Inner orbit'] = `${Math.abs(2 * Math.PI / orbitalSpeed).toFixed(0)} s`;
+    }
+    
+    bodyRegistry.register({
+        name,
+        type: shape === 'field' ? 'debris field' : 'asteroid belt',
+        object: beltGroup,
+        pickables: meshes.flat(),
+        radius: outerRadius,
+        description,
+        stats
+    });
+    
+    return beltGroup;
+}
+
+export { createAsteroidBelt };
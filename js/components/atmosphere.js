@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+
+// Samples along each view ray, and along the ray from each sample to the sun
+const VIEW_SAMPLES = 12;
+const LIGHT_SAMPLES = 4;
+
+// Optical depth of a clear Earth sky straight up at its bluest (Rayleigh
+// scattering; red and green scatter less, in the ratio of the default color)
+const RAYLEIGH_DEPTH = 0.265;
+const MIE_DEPTH = 0.05;
+
+// Scale heights as a fraction of the atmosphere's thickness: air thins out
+// slowly, haze and dust stay near the ground
+const RAYLEIGH_HEIGHT = 0.25;
+const MIE_HEIGHT = 0.1;
+
+// Strength of the sunlight the atmosphere scatters
+const SUN_INTENSITY = 20;
+
+const atmosphereVertexShader = `
+    varying vec3 vWorldPosition;
+    
+    void main() {
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    }
+`;
+
+// Single scattering: walk along the view ray through the shell, adding the
+// sunlight scattered towards the camera at each step, dimmed by the air it
+// crossed on the way in and on the way out. Air (Rayleigh) scatters blue most
+// and evenly in all directions; haze (Mie) scatters all colors, mostly forwards.
+// Long paths through the air near the terminator leave only red: the sunset rim.
+const atmosphereFragmentShader = `
+    #define VIEW_SAMPLES ${VIEW_SAMPLES}
+    #define LIGHT_SAMPLES ${LIGHT_SAMPLES}
+    #define PI 3.141592653589793
+    
+    uniform vec3 sunPosition;
+    uniform vec3 planetCenter;
+    uniform float planetRadius;
+    uniform float atmosphereRadius;
+    uniform vec3 rayleigh;
+    uniform float mie;
+    uniform float rayleighHeight;
+    uniform float mieHeight;
+    uniform float mieDirection;
+    uniform float sunIntensity;
+    
+    varying vec3 vWorldPosition;
+    
+    // Distances along a ray to where it enters and leaves a sphere around the
+    // planet's center (entry > exit when it misses)
+    vec2 raySphere(vec3 origin, vec3 direction, float radius) {
+        vec3 offset = origin - planetCenter;
+        float b = dot(offset, direction);
+        float c = dot(offset, offset) - radius * radius;
+        float d = b * b - c;
+        if (d < 0.0) return vec2(1e5, -1e5);
+        d = sqrt(d);
+        return vec2(-b - d, -b + d);
+    }
+    
+    void main() {
+        vec3 direction = normalize(vWorldPosition - cameraPosition);
+        vec2 atmosphereHit = raySphere(cameraPosition, direction, atmosphereRadius);
+        if (atmosphereHit.x > atmosphereHit.y) discard;
+        
+        // Stop where the ray meets the ground
+        vec2 groundHit = raySphere(cameraPosition, direction, planetRadius);
+        float start = max(atmosphereHit.x, 0.0);
+        float end = groundHit.x < groundHit.y && groundHit.x > 0.0 ? groundHit.x : atmosphereHit.y;
+        float stepSize = (end - start) / float(VIEW_SAMPLES);
+        
+        vec3 sunDirection = normalize(sunPosition - planetCenter);
+        float mu = dot(direction, sunDirection);
+        float g = mieDirection;
+        float phaseRayleigh = 3.0 / (16.0 * PI) * (1.0 + mu * mu);
+        float phaseMie = 3.0 / (8.0 * PI) * ((1.0 - g * g) * (1.0 + mu * mu))
+            / ((2.0 + g * g) * pow(1.0 + g * g - 2.0 * g * mu, 1.5));
+        
+        vec3 totalRayleigh = vec3(0.0);
+        vec3 totalMie = vec3(0.0);
+        float depthRayleigh = 0.0;
+        float depthMie = 0.0;
+        
+        for (int i = 0; i < VIEW_SAMPLES; i++) {
+            vec3 samplePoint = cameraPosition + direction * (start + stepSize * (float(i) + 0.5));
+            float height = max(length(samplePoint - planetCenter) - planetRadius, 0.0);
+            float densityRayleigh = exp(-height / rayleighHeight) * stepSize;
+            float densityMie = exp(-height / mieHeight) * stepSize;
+            depthRayleigh += densityRayleigh;
+            depthMie += densityMie;
+            
+            // No sunlight reaches points in the planet's shadow
+            vec2 shadow = raySphere(samplePoint, sunDirection, planetRadius);
+            if (shadow.x < shadow.y && shadow.x > 0.0) continue;
+            
+            float lightStep = raySphere(samplePoint, sunDirection, atmosphereRadius).y / float(LIGHT_SAMPLES);
+            float lightRayleigh = 0.0;
+            float lightMie = 0.0;
+            for (int j = 0; j < LIGHT_SAMPLES; j++) {
+                vec3 lightPoint = samplePoint + sunDirection * lightStep * (float(j) + 0.5);
+                float lightHeight = max(length(lightPoint - planetCenter) - planetRadius, 0.0);
+                lightRayleigh += exp(-lightHeight / rayleighHeight) * lightStep;
+                lightMie += exp(-lightHeight / mieHeight) * lightStep;
+            }
+            
+            vec3 attenuation = exp(-(rayleigh * (depthRayleigh + lightRayleigh) + mie * 1.1 * (depthMie + lightMie)));
+            totalRayleigh += densityRayleigh * attenuation;
+            totalMie += densityMie * attenuation;
+        }
+        
+        vec3 color = sunIntensity * (totalRayleigh * rayleigh * phaseRayleigh + totalMie * mie * phaseMie);
+        
+        // Compress bright glare smoothly instead of clipping it
+        gl_FragColor = vec4(1.0 - exp(-color), 1.0);
+    }
+`;
+
+/**
+ * Create a scattering atmosphere around a planet: blue sky on the day side,
+ * a glowing limb, a red rim along the terminator and nothing on the night
+ * side. The sun's direction is read every frame, so it stays right as the
+ * planet orbits.
+ * @param {number} radius - Planet radius
+ * @param {Object} options - Atmosphere options
+ * @param {number} options.color - Color of the scattered light (the sky color seen from the ground)
+ * @param {number} options.thickness - Height of the atmosphere as a fraction of the planet radius
+ * @param {number} options.density - How thick the air is (1 is Earth-like)
+ * @param {number} options.haze - How much dust and haze there is (1 is Earth-like); haze adds a
+ *     white glow around the sun when looking through the limb
+ * @param {Function} getSunPosition - (target) => target filled with the sun's world position
+ * @returns {THREE.Mesh} - The atmosphere shell, to be added to the planet's group
+ */
+function createAtmosphere(radius, options = {}, getSunPosition) {
+    const {
+        color = 0x75abff,
+        thickness = 0.05,
+        density = 1,
+        haze = 1
+    } = options;
+    
+    const height = radius * thickness;
+    const rayleighHeight = height * RAYLEIGH_HEIGHT;
+    const mieHeight = height * MIE_HEIGHT;
+    
+    // The color sets how strongly each channel scatters, scaled so the bluest
+    // channel has an Earth-like optical depth
+    const tint = new THREE.Color(color);
+    const strongest = Math.max(tint.r, tint.g, tint.b, 1e-3);
+    const rayleigh = new THREE.Vector3(tint.r, tint.g, tint.b)
+        .multiplyScalar(RAYLEIGH_DEPTH * density / (strongest * rayleighHeight));
+    
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            sunPosition: { value: new THREE.Vector3() },
+            planetCenter: { value: new THREE.Vector3() },
+            planetRadius: { value: radius },
+            atmosphereRadius: { value: radius + height },
+            rayleigh: { value: rayleigh },
+            mie: { value: MIE_DEPTH * haze / mieHeight },
+            rayleighHeight: { value: rayleighHeight },
+            mieHeight: { value: mieHeight },
+            mieDirection: { value: 0.76 },
+            sunIntensity: { value: SUN_INTENSITY }
+        },
+        vertexShader: atmosphereVertexShader,
+        fragmentShader: atmosphereFragmentShader,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+    
+    const atmosphere = new THREE.Mesh(new THREE.SphereGeometry(radius + height, 64, 48), material);
+    const cameraPosition = new THREE.Vector3();
+    
+    // Follow the planet and the sun; from inside the shell only its far side is left to draw
+    atmosphere.onBeforeRender = function(renderer, scene, camera, geometry, material) {
+        const uniforms = material.uniforms;
+        atmosphere.getWorldPosition(uniforms.planetCenter.value);
+        getSunPosition(uniforms.sunPosition.value);
+        cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+        const inside = cameraPosition.distanceTo(uniforms.planetCenter.value) < radius + height;
+        material.side = inside ? THREE.BackSide : THREE.FrontSide;
+    };
+    
+    return atmosphere;
+}
+
+export { createAtmosphere };
@@ -0,0 +1,311 @@
+import * as THREE from 'three';
+import { simulationClock } from '../utils/simulationClock.js';
+import { bodyRegistry } from '../utils/bodyRegistry.js';
+
+// Black holes the lensing pass can bend light around at once
+const MAX_LENSES = 4;
+
+// Color of the hottest (innermost) gas in the accretion disk
+const HOT_DISK_COLOR = 0xfff1d8;
+
+// Mass of a black hole that doesn't give one
+const DEFAULT_MASS = 5;
+
+// Black holes created so far, for the lensing pass
+const lenses = [];
+const lensPosition = new THREE.Vector3();
+const lensViewPosition = new THREE.Vector3();
+
+/**
+ * Screen-space gravitational lensing for the post-processing chain.
+ * Each black hole acts as a point lens: light passing at angle θ from it
+ * appears to come from θ - θE² / θ, where θE is the Einstein radius. The
+ * hole's shadow is left as rendered, so the dark sphere and the near side of
+ * the disk show through undistorted. Fed by updateLensingPass() every frame.
+ */
+const GravitationalLensingShader = {
+    name: 'GravitationalLensingShader',
+    
+    uniforms: {
+        tDiffuse: { value: null },
+        aspect: { value: 1 },
+        lensCount: { value: 0 },
+        // Per lens: screen position (uv), Einstein radius and shadow radius (in screen heights)
+        lenses: { value: Array.from({ length: MAX_LENSES }, () => new THREE.Vector4()) }
+    },
+    
+    vertexShader: `
+        varying vec2 vUv;
+        
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    
+    fragmentShader: `
+        #define MAX_LENSES ${MAX_LENSES}
+        
+        uniform sampler2D tDiffuse;
+        uniform float aspect;
+        uniform int lensCount;
+        uniform vec4 lenses[MAX_LENSES];
+        
+        varying vec2 vUv;
+        
+        void main() {
+            // Work in units of the screen height so the lenses stay round
+            vec2 scale = vec2(aspect, 1.0);
+            vec2 image = vUv * scale;
+            vec2 source = image;
+            
+            for (int i = 0; i < MAX_LENSES; i++) {
+                if (i >= lensCount) break;
+                vec2 offset = image - lenses[i].xy * scale;
+                float distanceSq = max(dot(offset, offset), 1e-8);
+                
+                // Leave the shadow (and whatever passes in front of it) alone
+                if (distanceSq < lenses[i].w * lenses[i].w) {
+                    gl_FragColor = texture2D(tDiffuse, vUv);
+                    return;
+                }
+                source -= offset * (lenses[i].z * lenses[i].z / distanceSq);
+            }
+            
+            // What's straight behind a hole is hidden by the hole itself on screen,
+            // so look just beside it instead
+            for (int i = 0; i < MAX_LENSES; i++) {
+                if (i >= lensCount) break;
+                vec2 offset = source - lenses[i].xy * scale;
+                float distance = length(offset);
+                if (distance < lenses[i].w && distance > 0.0) {
+                    source = lenses[i].xy * scale + offset / distance * (2.0 * lenses[i].w - distance);
+                }
+            }
+            
+            gl_FragColor = texture2D(tDiffuse, clamp(source / scale, 0.0, 1.0));
+        }
+    `
+};
+
+/**
+ * Point the lensing pass at the black holes in view; call once per frame before rendering.
+ * The pass switches itself off while there are no black holes in front of the camera.
+ * @param {ShaderPass} pass - Pass created from GravitationalLensingShader
+ * @param {THREE.PerspectiveCamera} camera - Camera the scene is rendered with
+ */
+function updateLensingPass(pass, camera) {
+    const uniforms = pass.uniforms;
+    const position = lensPosition;
+    const viewPosition = lensViewPosition;
+    const screenHeight = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+    let count = 0;
+    
+    camera.updateMatrixWorld();
+    
+    lenses.forEach(({ object, mass }) => {
+        if (count >= MAX_LENSES || !object.parent) return;
+        
+        object.getWorldPosition(position);
+        viewPosition.copy(position).applyMatrix4(camera.matrixWorldInverse);
+        // Lenses behind the camera don't bend anything we can see
+        if (viewPosition.z >= 0) return;
+        
+        const distance = viewPosition.length();
+        position.project(camera);
+        
+        // Einstein radius for a far background, and the apparent size of the shadow
+        const einstein = Math.sqrt(4 * mass / distance);
+        const shadow = Math.asin(Math.min(shadowRadius(mass) / distance, 0.999));
+        
+        uniforms.lenses.value[count].set(
+            position.x * 0.5 + 0.5,
+            position.y * 0.5 + 0.5,
+            Math.tan(Math.min(einstein, Math.PI / 2 - 0.01)) / screenHeight,
+            Math.tan(shadow) / screenHeight
+        );
+        count++;
+    });
+    
+    uniforms.lensCount.value = count;
+    uniforms.aspect.value = camera.aspect;
+    pass.enabled = count > 0;
+}
+
+/**
+ * Radius of the black shadow of a hole, √27 times its mass (in units where G = c = 1)
+ * @param {number} mass - Mass in scene units
+ * @returns {number}
+ */
+function shadowRadius(mass) {
+    return Math.sqrt(27) * mass;
+}
+
+/**
+ * Edges of a black hole's accretion disk, filling in the defaults
+ * (3 and 8 horizon radii, the horizon radius being twice the mass)
+ * @param {number} mass - Mass in scene units
+ * @param {number} innerRadius - Inner edge, or null for the default
+ * @param {number} outerRadius - Outer edge, or null for the default
+ * @returns {Object} - { innerRadius, outerRadius }
+ */
+function diskRadii(mass, innerRadius = null, outerRadius = null) {
+    const horizonRadius = 2 * mass;
+    return {
+        innerRadius: innerRadius || horizonRadius * 3,
+        outerRadius: outerRadius || horizonRadius * 8
+    };
+}
+
+/**
+ * Create a black hole: a perfectly dark event horizon ringed by a glowing
+ * accretion disk. Gas on the side of the disk swinging towards the camera is
+ * Doppler-beamed brighter and bluer, and the receding side dims and reddens.
+ * The light bending around it is done by the lensing pass (see
+ * GravitationalLensingShader), which picks up every black hole created here.
+ * @param {THREE.Scene} scene - The scene to add the black hole to
+ * @param {Object} options - Configuration options
+ * @param {number} options.mass - Mass in scene units (G = c = 1): the event horizon's
+ *     radius is twice the mass, and heavier holes bend light more
+ * @param {number} options.diskInnerRadius - Inner edge of the accretion disk (defaults to 3 horizon radii)
+ * @param {number} options.diskOuterRadius - Outer edge of the accretion disk (defaults to 8 horizon radii)
+ * @param {number} options.tilt - Tilt of the disk in radians
+ * @param {number} options.diskColor - Color of the cooler, outer gas
+ * @param {string} options.description - Text shown when the black hole is selected
+ * @returns {THREE.Group} - The black hole group
+ */
+function createBlackHole(scene, options = {}) {
+    const {
+        name = 'Black Hole',
+        description = '',
+        position = new THREE.Vector3(0, 0, -400),
+        mass = DEFAULT_MASS,
+        diskInnerRadius = null,
+        diskOuterRadius = null,
+        tilt = 0.2,
+        diskColor = 0xff7a2a
+    } = options;
+    
+    const horizonRadius = 2 * mass;
+    const { innerRadius, outerRadius } = diskRadii(mass, diskInnerRadius, diskOuterRadius);
+    
+    // Create a group to hold the horizon and disk
+    const blackHoleGroup = new THREE.Group();
+    blackHoleGroup.name = name;
+    blackHoleGroup.position.copy(position);
+    blackHoleGroup.rotation.z = tilt;
+    
+    // The shadow: light passing any closer than this falls into the event
+    // horizon, so the hole looks like a black sphere with a radius √27 times its mass
+    const horizon = new THREE.Mesh(
+        new THREE.SphereGeometry(shadowRadius(mass), 48, 32),
+        new THREE.MeshBasicMaterial({ color: 0x000000 })
+    );
+    blackHoleGroup.add(horizon);
+    
+    // Accretion disk of hot gas spiralling in, faster towards the middle
+    const diskMaterial = new THREE.ShaderMaterial({
+        uniforms: {
+            time: { value: 0 },
+            mass: { value: mass },
+            innerRadius: { value: innerRadius },
+            outerRadius: { value: outerRadius },
+            diskCenter: { value: new THREE.Vector3() },
+            diskNormal: { value: new THREE.Vector3(0, 1, 0) },
+            hotColor: { value: new THREE.Color(HOT_DISK_COLOR) },
+            coolColor: { value: new THREE.Color(diskColor) }
+        },
+        vertexShader: `
+            varying vec2 vLocal;
+            varying vec3 vWorld;
+            
+            void main() {
+                vLocal = position.xy;
+                vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+                vWorld = worldPosition.xyz;
+                gl_Position = projectionMatrix * viewMatrix * worldPosition;
+            }
+        `,
+        fragmentShader: `
+            uniform float time;
+            uniform float mass;
+            uniform float innerRadius;
+            uniform float outerRadius;
+            uniform vec3 diskCenter;
+            uniform vec3 diskNormal;
+            uniform vec3 hotColor;
+            uniform vec3 coolColor;
+            
+            varying vec2 vLocal;
+            varying vec3 vWorld;
+            
+            void main() {
+                float r = length(vLocal);
+                float t = clamp((r - innerRadius) / (outerRadius - innerRadius), 0.0, 1.0);
+                
+                // Streaks of gas swept round at the local orbital speed
+                float omega = sqrt(mass / (r * r * r));
+                float swirl = atan(vLocal.y, vLocal.x) - time * omega * 4.0;
+                float streaks = 0.6 + 0.25 * sin(swirl * 3.0 + r * 0.9) + 0.15 * sin(swirl * 11.0 - r * 2.3);
+                
+                // Relativistic Doppler beaming: gas moving towards the camera is
+                // brighter and bluer, gas moving away is dimmer and redder
+                vec3 radial = normalize(vWorld - diskCenter);
+                vec3 motion = normalize(cross(diskNormal, radial));
+                vec3 toCamera = normalize(cameraPosition - vWorld);
+                float beta = min(sqrt(mass / r), 0.7);
+                float gamma = inversesqrt(1.0 - beta * beta);
+                float doppler = 1.0 / (gamma * (1.0 - beta * dot(motion, toCamera)));
+                float beaming = pow(doppler, 3.0);
+                
+                // Hotter towards the middle
+                vec3 color = mix(coolColor, hotColor, pow(1.0 - t, 1.5));
+                color *= mix(vec3(1.3, 0.7, 0.45), vec3(0.7, 0.85, 1.4), clamp(doppler - 0.5, 0.0, 1.0));
+                
+                float alpha = smoothstep(0.0, 0.08, t) * smoothstep(1.0, 0.55, t);
+                gl_FragColor = vec4(color * beaming * streaks * alpha, alpha);
+            }
+        `,
+        side: THREE.DoubleSide,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+    
+    const disk = new THREE.Mesh(new THREE.RingGeometry(innerRadius, outerRadius, 256, 8), diskMaterial);
+    disk.rotation.x = -Math.PI / 2;
+    blackHoleGroup.add(disk);
+    
+    // Keep the disk's orientation and the swirl in step (driven by simulation time)
+    disk.onBeforeRender = function(renderer, scene, camera, geometry, material) {
+        material.uniforms.time.value = simulationClock.getElapsedTime();
+        blackHoleGroup.getWorldPosition(material.uniforms.diskCenter.value);
+        material.uniforms.diskNormal.value.set(0, 1, 0).transformDirection(blackHoleGroup.matrixWorld);
+    };
+    
+    // The disk lights up whatever is nearby
+    const diskLight = new THREE.PointLight(diskColor, 1.5, outerRadius * 6);
+    blackHoleGroup.add(diskLight);
+    
+    scene.add(blackHoleGroup);
+    lenses.push({ object: blackHoleGroup, mass });
+    
+    // Report the black hole for picking and the info panel
+    bodyRegistry.register({
+        name,
+        type: 'black hole',
+        object: blackHoleGroup,
+        pickables: [horizon, disk],
+        radius: outerRadius,
+        description,
+        stats: {
+            Mass: `${mass} units`,
+            'Event horizon': `${horizonRadius} units`,
+            'Accretion disk': `${innerRadius} to ${outerRadius} units`
+        }
+    });
+    
+    return blackHoleGroup;
+}
+
+export { DEFAULT_MASS, shadowRadius, diskRadii, createBlackHole, GravitationalLensingShader, updateLensingPass };
@@ -0,0 +1,297 @@
+import * as THREE from 'three';
+import { loadTexture } from '../utils/assets.js';
+import { Orbit } from '../utils/orbit.js';
+import { Random } from '../utils/random.js';
+import { createNoise3D, fbm3D } from '../utils/noise.js';
+import { bodyRegistry } from '../utils/bodyRegistry.js';
+
+// Particles in each tail
+const ION_PARTICLES = 1500;
+const DUST_PARTICLES = 3000;
+
+// Shared by both tails: particles stream away from the nucleus, spreading out
+// and fading as they go. The ion tail runs straight away from the sun; the
+// dust tail also bends back along the orbit (curvature > 0).
+const tailVertexShader = `
+    attribute float offset;
+    attribute vec2 spread;
+    attribute float size;
+    
+    uniform float time;
+    uniform float speed;
+    uniform vec3 tailDirection;
+    uniform vec3 lagDirection;
+    uniform float curvature;
+    uniform float tailLength;
+    uniform float width;
+    uniform float brightness;
+    
+    varying float vFade;
+    
+    void main() {
+        // How far along the tail this particle is (0 at the nucleus, 1 at the end)
+        float s = fract(offset + time * speed);
+        
+        vec3 side = normalize(cross(tailDirection, abs(tailDirection.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0)));
+        vec3 up = cross(tailDirection, side);
+        
+        vec3 along = tailDirection * s * tailLength + lagDirection * s * s * tailLength * curvature;
+        vec3 across = (side * spread.x + up * spread.y) * width * (0.15 + s);
+        
+        vec4 mvPosition = modelViewMatrix * vec4(along + across, 1.0);
+        vFade = brightness * (1.0 - s) * smoothstep(0.0, 0.05, s);
+        gl_PointSize = size * (60.0 / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const tailFragmentShader = `
+    uniform vec3 color;
+    uniform sampler2D pointTexture;
+    
+    varying float vFade;
+    
+    void main() {
+        gl_FragColor = vec4(color * vFade, vFade) * texture2D(pointTexture, gl_PointCoord);
+    }
+`;
+
+/**
+ * Create one of the comet's particle tails
+ * @param {Object} options - Tail options
+ * @param {number} options.count - Number of particles
+ * @param {number} options.color - Tail color
+ * @param {number} options.speed - Times per second a particle runs the length of the tail
+ * @param {number} options.width - How far the tail fans out at its end
+ * @param {number} options.curvature - How far the tail bends back along the orbit (0 = straight)
+ * @param {number} options.size - Particle size
+ * @param {Random} options.random - Seeded generator for the particles
+ * @returns {THREE.Points} - The tail, drawn relative to its parent's origin
+ */
+function createTail({ count, color, speed, width, curvature, size, random }) {
+    const offsets = new Float32Array(count);
+    const spreads = new Float32Array(count * 2);
+    const sizes = new Float32Array(count);
+    
+    for (let i = 0; i < count; i++) {
+        offsets[i] = random.next();
+        
+        // Random point in a disc, denser towards the middle of the tail
+        const angle = random.next() * Math.PI * 2;
+        const distance = random.next() * random.next();
+        spreads[i * 2] = Math.cos(angle) * distance;
+        spreads[i * 2 + 1] = Math.sin(angle) * distance;
+        
+        sizes[i] = size * (0.5 + random.next());
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    // Positions are worked out in the shader; this only sets the vertex count
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('offset', new THREE.BufferAttribute(offsets, 1));
+    geometry.setAttribute('spread', new THREE.BufferAttribute(spreads, 2));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            time: { value: 0 },
+            speed: { value: speed },
+            tailDirection: { value: new THREE.Vector3(1, 0, 0) },
+            lagDirection: { value: new THREE.Vector3() },
+            curvature: { value: curvature },
+            tailLength: { value: 0 },
+            width: { value: width },
+            brightness: { value: 0 },
+            color: { value: new THREE.Color(color) },
+            pointTexture: { value: loadTexture('spark') }
+        },
+        vertexShader: tailVertexShader,
+        fragmentShader: tailFragmentShader,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        transparent: true
+    });
+    
+    const tail = new THREE.Points(geometry, material);
+    // The shader moves the particles away from the (empty) bounding sphere
+    tail.frustumCulled = false;
+    return tail;
+}
+
+/**
+ * Create a comet: an icy nucleus on an eccentric orbit, wrapped in a glowing
+ * coma, with a straight blue ion tail pointing directly away from the sun and
+ * a broader dust tail curving back along the orbit. The tails grow longer and
+ * brighter as the comet nears the sun.
+ * @param {THREE.Scene} scene - The scene to add the comet to
+ * @param {Object} options - Configuration options
+ * @param {Object} options.orbit - Orbital elements (see Orbit); comets look best with a high eccentricity
+ * @param {THREE.Object3D|THREE.Vector3} options.orbitCenter - The sun the comet orbits (defaults to the origin)
+ * @param {number} options.tailLength - Length of the tails at full activity
+ * @param {number} options.activityDistance - Distance from the sun within which the tails are at full
+ *     length and brightness; further out they fade with the square of the distance
+ *     (defaults to 1.5 times the closest approach)
+ * @param {boolean} options.showOrbit - Draw the orbit as a line
+ * @param {string} options.description - Text shown when the comet is selected
+ * @returns {THREE.Group} - The comet group (nucleus, coma and tails)
+ */
+function createComet(scene, options = {}) {
+    const {
+        name = 'Comet',
+        description = '',
+        radius = 1,
+        orbit = { semiMajorAxis: 160, eccentricity: 0.85, inclination: 0.3, period: 240 },
+        orbitCenter = new THREE.Vector3(0, 0, 0),
+        tailLength = 60,
+        activityDistance = null,
+        ionColor = 0x6fa8ff,
+        dustColor = 0xffe6b0,
+        showOrbit = false,
+        random = new Random() // Seeded generator for the nucleus shape and tail particles
+    } = options;
+    
+    // Create a group that travels along the orbit
+    const cometGroup = new THREE.Group();
+    cometGroup.name = name;
+    
+    const cometOrbit = new Orbit(orbit);
+    const perihelion = cometOrbit.semiMajorAxis * (1 - cometOrbit.eccentricity);
+    const aphelion = cometOrbit.semiMajorAxis * (1 + cometOrbit.eccentricity);
+    const fullActivityDistance = activityDistance || perihelion * 1.5;
+    
+    let orbitLine = null;
+    if (showOrbit) {
+        orbitLine = cometOrbit.createLine(0x88aacc, 0.25);
+        scene.add(orbitLine);
+    }
+    
+    // Lumpy, dark nucleus (a "dirty snowball")
+    const noise = createNoise3D(Math.floor(random.next() * 1000000));
+    const nucleusGeometry = new THREE.SphereGeometry(radius, 32, 24);
+    const vertices = nucleusGeometry.attributes.position;
+    const vertex = new THREE.Vector3();
+    for (let i = 0; i < vertices.count; i++) {
+        vertex.fromBufferAttribute(vertices, i);
+        const n = fbm3D(noise, vertex.x / radius * 1.5, vertex.y / radius * 1.5, vertex.z / radius * 1.5, 4);
+        vertex.multiplyScalar(1 + n * 0.35);
+        vertices.setXYZ(i, vertex.x, vertex.y, vertex.z);
+    }
+    nucleusGeometry.computeVertexNormals();
+    
+    const nucleus = new THREE.Mesh(nucleusGeometry, new THREE.MeshStandardMaterial({
+        color: 0x4a4540,
+        roughness: 1.0,
+        metalness: 0.0
+    }));
+    nucleus.rotation.set(random.next() * Math.PI, random.next() * Math.PI, 0);
+    nucleus.castShadow = true;
+    nucleus.receiveShadow = true;
+    cometGroup.add(nucleus);
+    
+    // Glowing cloud of gas and dust around the nucleus
+    const coma = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: loadTexture('spark'),
+        color: new THREE.Color(dustColor).lerp(new THREE.Color(ionColor), 0.3),
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    }));
+    cometGroup.add(coma);
+    
+    // Ion tail: fast, narrow and straight; dust tail: slow, broad and curved
+    const ionTail = createTail({
+        count: ION_PARTICLES,
+        color: ionColor,
+        speed: 0.4,
+        width: radius * 3,
+        curvature: 0,
+        size: radius * 1.5,
+        random: random.fork('ion')
+    });
+    const dustTail = createTail({
+        count: DUST_PARTICLES,
+        color: dustColor,
+        speed: 0.12,
+        width: radius * 8,
+        curvature: 0.4,
+        size: radius * 2,
+        random: random.fork('dust')
+    });
+    cometGroup.add(ionTail);
+    cometGroup.add(dustTail);
+    
+    // Follow the orbit and point the tails away from the sun (driven by simulation time)
+    const sunPosition = new THREE.Vector3();
+    const nextPosition = new THREE.Vector3();
+    const awayFromSun = new THREE.Vector3();
+    const lag = new THREE.Vector3();
+    
+    cometGroup.userData.update = function(elapsedTime) {
+        if (orbitCenter.isObject3D) {
+            orbitCenter.getWorldPosition(sunPosition);
+        } else {
+            sunPosition.copy(orbitCenter);
+        }
+        cometOrbit.getPositionAt(elapsedTime, cometGroup.position).add(sunPosition);
+        if (orbitLine) {
+            orbitLine.position.copy(sunPosition);
+        }
+        
+        awayFromSun.subVectors(cometGroup.position, sunPosition);
+        const distance = Math.max(awayFromSun.length(), 1e-6);
+        awayFromSun.divideScalar(distance);
+        
+        // The dust tail trails behind the comet's motion
+        cometOrbit.getPositionAt(elapsedTime + 0.1, nextPosition).add(sunPosition);
+        lag.subVectors(cometGroup.position, nextPosition);
+        lag.addScaledVector(awayFromSun, -lag.dot(awayFromSun));
+        if (lag.lengthSq() > 1e-12) lag.normalize();
+        
+        // Sunlight drives the tails: full strength close in, inverse square further out
+        const activity = Math.min(1, (fullActivityDistance / distance) ** 2);
+        
+        [ionTail, dustTail].forEach(tail => {
+            const uniforms = tail.material.uniforms;
+            uniforms.time.value = elapsedTime;
+            uniforms.tailDirection.value.copy(awayFromSun);
+            uniforms.lagDirection.value.copy(lag);
+            uniforms.tailLength.value = tailLength * activity;
+            uniforms.brightness.value = activity;
+        });
+        
+        coma.scale.setScalar(radius * (3 + 9 * activity));
+        coma.material.opacity = 0.3 + 0.7 * activity;
+        nucleus.rotation.y = elapsedTime * 0.2;
+    };
+    
+    cometGroup.userData.update(0);
+    
+    // Add to scene's updateable objects
+    if (!scene.userData.updateableObjects) {
+        scene.userData.updateableObjects = [];
+    }
+    scene.userData.updateableObjects.push(cometGroup);
+    
+    scene.add(cometGroup);
+    
+    // Report the comet for picking and the info panel
+    bodyRegistry.register({
+        name,
+        type: 'comet',
+        object: cometGroup,
+        pickables: [nucleus, coma],
+        radius: radius * 4,
+        description,
+        stats: {
+            Nucleus: `${radius} units`,
+            Orbit: `${cometOrbit.semiMajorAxis} units (e = ${cometOrbit.eccentricity})`,
+            'Closest to sun': `${perihelion.toFixed(1)} units`,
+            'Furthest from sun': `${aphelion.toFixed(1)} units`,
+            Period: `${cometOrbit.period} s`
+        }
+    });
+    
+    return cometGroup;
+}
+
+export { createComet };
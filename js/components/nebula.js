@@ -1,71 +1,275 @@
 import * as THREE from 'three';
-import { loadingManager } from '../utils/loading.js';
+import { loadTexture } from '../utils/assets.js';
+import { Random } from '../utils/random.js';
+import { createNoise3D, fbm3D } from '../utils/noise.js';
+import { bodyRegistry } from '../utils/bodyRegistry.js';
+
+// Clouds are too sparse to click reliably, so an invisible sphere of this
+// fraction of the nebula's scale stands in for them when picking
+const PICK_RADIUS = 0.35;
+
+// Ways of drawing the gas: stacked cloud planes, or raymarched through a volume
+const NEBULA_MODES = ['planes', 'volumetric'];
+
+// Raymarching steps through the volume for each quality setting
+const QUALITY_STEPS = {
+    low: 32,
+    medium: 64,
+    high: 128
+};
+const NEBULA_QUALITIES = Object.keys(QUALITY_STEPS);
+
+// Cells along each side of the gas density texture
+const VOLUME_SIZE = 64;
+
+const volumeVertexShader = `
+    varying vec3 vOrigin;
+    varying vec3 vDirection;
+    
+    void main() {
+        // March in the volume's own space, where it is the unit cube around the origin
+        vOrigin = (inverse(modelMatrix) * vec4(cameraPosition, 1.0)).xyz;
+        vDirection = position - vOrigin;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Walk the view ray through the cube, front to back. Each step adds the glow of
+// the gas there (colored by how thick it is, and lit up near the nebula's
+// light) dimmed by the gas in front of it. Starting each ray a random fraction
+// of a step in turns banding into fine grain.
+const volumeFragmentShader = `
+    precision highp sampler3D;
+    
+    uniform sampler3D gasMap;
+    uniform vec3 gasColors[4];
+    uniform float opacity;
+    uniform vec3 lightColor;
+    uniform float lightIntensity;
+    uniform float emission;
+    
+    varying vec3 vOrigin;
+    varying vec3 vDirection;
+    
+    // Distances to where a ray enters and leaves the unit cube
+    vec2 hitBox(vec3 origin, vec3 direction) {
+        vec3 inverseDirection = 1.0 / direction;
+        vec3 near = (vec3(-0.5) - origin) * inverseDirection;
+        vec3 far = (vec3(0.5) - origin) * inverseDirection;
+        vec3 tMin = min(near, far);
+        vec3 tMax = max(near, far);
+        return vec2(max(max(tMin.x, tMin.y), tMin.z), min(min(tMax.x, tMax.y), tMax.z));
+    }
+    
+    // Gas thickness at a point, thinning out to nothing well inside the cube's faces
+    float gasDensity(vec3 p) {
+        float gas = texture(gasMap, p + 0.5).r;
+        float falloff = 1.0 - smoothstep(0.25, 0.5, length(p));
+        return max(gas - 0.45, 0.0) * falloff * 2.5;
+    }
+    
+    vec3 gasColor(float density) {
+        float t = clamp(density, 0.0, 1.0) * 3.0;
+        if (t < 1.0) return mix(gasColors[0], gasColors[1], t);
+        if (t < 2.0) return mix(gasColors[1], gasColors[2], t - 1.0);
+        return mix(gasColors[2], gasColors[3], t - 2.0);
+    }
+    
+    void main() {
+        vec3 direction = normalize(vDirection);
+        vec2 bounds = hitBox(vOrigin, direction);
+        bounds.x = max(bounds.x, 0.0);
+        if (bounds.x >= bounds.y) discard;
+        
+        float stepSize = (bounds.y - bounds.x) / float(STEPS);
+        float jitter = fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453);
+        vec3 p = vOrigin + direction * (bounds.x + stepSize * jitter);
+        
+        vec3 color = vec3(0.0);
+        float transmittance = 1.0;
+        // Thickness is per unit of the cube, so stepping finer doesn't change the look
+        float absorption = opacity * 12.0;
+        
+        for (int i = 0; i < STEPS; i++) {
+            float density = gasDensity(p);
+            if (density > 0.0) {
+                // Glow around the light at the center, falling off with distance
+                float glow = lightIntensity * emission / (1.0 + dot(p, p) * 40.0);
+                vec3 light = gasColor(density) + lightColor * glow;
+                float extinction = density * absorption * stepSize;
+                color += transmittance * light * extinction;
+                transmittance *= exp(-extinction);
+                if (transmittance < 0.01) break;
+            }
+            p += direction * stepSize;
+        }
+        
+        gl_FragColor = vec4(color, 1.0 - transmittance);
+    }
+`;
+
+/**
+ * Fill a cube of cells with fractal noise, the shape of the gas
+ * @param {Random} random - Seeded generator for the noise
+ * @returns {THREE.Data3DTexture} - Gas density in the red channel
+ */
+function createGasVolume(random) {
+    const noise = createNoise3D(Math.floor(random.next() * 1000000));
+    const data = new Uint8Array(VOLUME_SIZE * VOLUME_SIZE * VOLUME_SIZE);
+    const frequency = 4 / VOLUME_SIZE;
+    let i = 0;
+    
+    for (let z = 0; z < VOLUME_SIZE; z++) {
+        for (let y = 0; y < VOLUME_SIZE; y++) {
+            for (let x = 0; x < VOLUME_SIZE; x++) {
+                const value = fbm3D(noise, x * frequency, y * frequency, z * frequency, 4);
+                data[i++] = THREE.MathUtils.clamp((value * 1.4 + 0.5) * 255, 0, 255);
+            }
+        }
+    }
+    
+    const texture = new THREE.Data3DTexture(data, VOLUME_SIZE, VOLUME_SIZE, VOLUME_SIZE);
+    texture.format = THREE.RedFormat;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.unpackAlignment = 1;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Gas raymarched through a cube, seamless from outside and inside alike
+ * @param {number} scale - Size of the nebula
+ * @param {THREE.Color[]} colors - Gradient from the thinnest to the thickest gas (2 to 4 colors)
+ * @param {Object} settings - { opacity, emission, lightColor, quality, random }
+ * @returns {THREE.Mesh} - The volume, centered on the nebula
+ */
+function createGasCloud(scale, colors, { opacity, emission, lightColor, quality, random }) {
+    // Spread the colors over the four gradient stops
+    const gradient = [0, 1, 2, 3].map(i => {
+        const t = i / 3 * (colors.length - 1);
+        const index = Math.min(Math.floor(t), colors.length - 2);
+        return colors[index].clone().lerp(colors[index + 1], t - index);
+    });
+    
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            gasMap: { value: createGasVolume(random) },
+            gasColors: { value: gradient },
+            opacity: { value: opacity },
+            lightColor: { value: lightColor },
+            lightIntensity: { value: 1 },
+            emission: { value: emission }
+        },
+        defines: { STEPS: QUALITY_STEPS[quality] },
+        vertexShader: volumeVertexShader,
+        fragmentShader: volumeFragmentShader,
+        side: THREE.BackSide, // Still drawn with the camera inside
+        transparent: true,
+        premultipliedAlpha: true,
+        depthWrite: false
+    });
+    
+    const cloud = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), material);
+    cloud.scale.setScalar(scale);
+    return cloud;
+}
 
 /**
  * Create a nebula cloud effect in space
  * @param {THREE.Scene} scene - The scene to add the nebula to
  * @param {Object} options - Configuration options
+ * @param {string} options.mode - 'planes' (layered cloud sprites) or 'volumetric' (raymarched
+ *     gas that stays continuous as the camera flies through it)
+ * @param {number} options.density - Number of cloud planes ('planes' mode)
+ * @param {Array} options.colors - Gradient from the thinnest to the thickest gas, 2 to 4 colors
+ *     ('volumetric' mode; derived from color when omitted)
+ * @param {number} options.emission - How brightly the gas glows around the nebula's light ('volumetric' mode)
+ * @param {string} options.quality - Raymarching steps: 'low', 'medium' or 'high' ('volumetric' mode)
  * @returns {THREE.Group} - The nebula object
  */
 function createNebula(scene, options = {}) {
     const {
+        name = 'Nebula',
+        description = '',
         position = new THREE.Vector3(0, 0, -100),
         scale = 50,
         color = 0x8844aa, // Purple-ish color
         density = 8, // Number of cloud planes
-        opacity = 0.35
+        opacity = 0.35,
+        mode = 'planes',
+        colors = null, // Gas color gradient (volumetric mode)
+        emission = 1,
+        quality = 'medium',
+        random = new Random() // Seeded generator for the cloud layout
     } = options;
     
     // Create a group to hold all nebula elements
     const nebulaGroup = new THREE.Group();
+    nebulaGroup.name = name;
     nebulaGroup.position.copy(position);
     
     // Load nebula textures
-    const textureLoader = new THREE.TextureLoader(loadingManager);
     const nebulaClouds = [
-        textureLoader.load('https://raw.githubusercontent.com/mrdoob/three.js/dev/examples/textures/lensflare/lensflare0.png'),
-        textureLoader.load('https://raw.githubusercontent.com/mrdoob/three.js/dev/examples/textures/sprites/spark1.png')
+        loadTexture('lensflare'),
+        loadTexture('spark')
     ];
     
-    // Create random cloud planes for volumetric appearance
-    for (let i = 0; i < density; i++) {
-        // Randomize cloud appearance
-        const cloudSize = scale * (0.6 + Math.random() * 0.8);
-        const cloudOpacity = opacity * (0.5 + Math.random() * 0.5);
-        const cloudColor = new THREE.Color(color);
-        
-        // Adjust hue slightly for variation
-        cloudColor.offsetHSL(Math.random() * 0.1 - 0.05, 0, Math.random() * 0.2);
-        
-        // Create cloud material
-        const cloudMaterial = new THREE.MeshBasicMaterial({
-            map: nebulaClouds[i % nebulaClouds.length],
-            transparent: true,
-            opacity: cloudOpacity,
-            color: cloudColor,
-            side: THREE.DoubleSide,
-            blending: THREE.AdditiveBlending,
-            depthWrite: false
-        });
-        
-        // Create cloud plane
-        const cloudGeometry = new THREE.PlaneGeometry(cloudSize, cloudSize);
-        const cloud = new THREE.Mesh(cloudGeometry, cloudMaterial);
-        
-        // Random position within nebula volume
-        cloud.position.set(
-            (Math.random() - 0.5) * scale * 0.6,
-            (Math.random() - 0.5) * scale * 0.6,
-            (Math.random() - 0.5) * scale * 0.6
-        );
-        
-        // Random rotation
-        cloud.rotation.x = Math.random() * Math.PI * 2;
-        cloud.rotation.y = Math.random() * Math.PI * 2;
-        cloud.rotation.z = Math.random() * Math.PI * 2;
-        
-        // Add cloud to group
-        nebulaGroup.add(cloud);
+    // Glow of the light inside, which also lights up the gas around it
+    const lightColor = new THREE.Color(color).offsetHSL(0, -0.3, 0.2);
+    
+    let gasCloud = null;
+    if (mode === 'volumetric') {
+        const gasColors = colors
+            ? colors.map(gasColor => new THREE.Color(gasColor))
+            : [
+                new THREE.Color(color).offsetHSL(-0.05, 0, -0.15),
+                new THREE.Color(color),
+                new THREE.Color(color).offsetHSL(0.05, -0.2, 0.25)
+            ];
+        gasCloud = createGasCloud(scale, gasColors, { opacity, emission, lightColor, quality, random: random.fork('gas') });
+        nebulaGroup.add(gasCloud);
+    } else {
+        // Create random cloud planes for volumetric appearance
+        for (let i = 0; i < density; i++) {
+            // Randomize cloud appearance
+            const cloudSize = scale * (0.6 + random.next() * 0.8);
+            const cloudOpacity = opacity * (0.5 + random.next() * 0.5);
+            const cloudColor = new THREE.Color(color);
+            
+            // Adjust hue slightly for variation
+            cloudColor.offsetHSL(random.next() * 0.1 - 0.05, 0, random.next() * 0.2);
+            
+            // Create cloud material
+            const cloudMaterial = new THREE.MeshBasicMaterial({
+                map: nebulaClouds[i % nebulaClouds.length],
+                transparent: true,
+                opacity: cloudOpacity,
+                color: cloudColor,
+                side: THREE.DoubleSide,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false
+            });
+            
+            // Create cloud plane
+            const cloudGeometry = new THREE.PlaneGeometry(cloudSize, cloudSize);
+            const cloud = new THREE.Mesh(cloudGeometry, cloudMaterial);
+            
+            // Random position within nebula volume
+            cloud.position.set(
+                (random.next() - 0.5) * scale * 0.6,
+                (random.next() - 0.5) * scale * 0.6,
+                (random.next() - 0.5) * scale * 0.6
+            );
+            
+            // Random rotation
+            cloud.rotation.x = random.next() * Math.PI * 2;
+            cloud.rotation.y = random.next() * Math.PI * 2;
+            cloud.rotation.z = random.next() * Math.PI * 2;
+            
+            // Add cloud to group
+            nebulaGroup.add(cloud);
+        }
     }
     
     // Add particle system for stars within nebula
@@ -78,12 +282,12 @@ function createNebula(scene, options = {}) {
     for (let i = 0; i < particleCount; i++) {
         const i3 = i * 3;
         // Position
-        particlesPositions[i3] = (Math.random() - 0.5) * scale;
-        particlesPositions[i3 + 1] = (Math.random() - 0.5) * scale;
-        particlesPositions[i3 + 2] = (Math.random() - 0.5) * scale;
+        particlesPositions[i3] = (random.next() - 0.5) * scale;
+        particlesPositions[i3 + 1] = (random.next() - 0.5) * scale;
+        particlesPositions[i3 + 2] = (random.next() - 0.5) * scale;
         
         // Size
-        particlesSizes[i] = 2 + Math.random() * 4;
+        particlesSizes[i] = 2 + random.next() * 4;
     }
     
     // Add attributes to particle geometry
@@ -106,27 +310,55 @@ function createNebula(scene, options = {}) {
     nebulaGroup.add(particles);
     
     // Add a subtle pulsating light inside the nebula
-    const nebulaLight = new THREE.PointLight(
-        new THREE.Color(color).offsetHSL(0, -0.3, 0.2),
-        0.8,
-        scale * 2
-    );
+    const nebulaLight = new THREE.PointLight(lightColor, 0.8, scale * 2);
     
-    // Add animation
-    const clockStart = Date.now();
-    nebulaLight.userData = { clockStart };
-    nebulaLight.onBeforeRender = function() {
-        const elapsedTime = (Date.now() - clockStart) * 0.001; // seconds
+    // Add light to group
+    nebulaGroup.add(nebulaLight);
+    
+    // Add animation (lights are never rendered themselves, so this runs from the
+    // scene's update loop with simulation time rather than onBeforeRender)
+    nebulaGroup.userData.update = function(elapsedTime) {
         nebulaLight.intensity = 0.5 + Math.sin(elapsedTime * 0.5) * 0.3;
+        if (gasCloud) {
+            gasCloud.material.uniforms.lightIntensity.value = nebulaLight.intensity;
+        }
     };
     
-    // Add light to group
-    nebulaGroup.add(nebulaLight);
+    if (!scene.userData.updateableObjects) {
+        scene.userData.updateableObjects = [];
+    }
+    scene.userData.updateableObjects.push(nebulaGroup);
     
     // Add nebula group to scene
     scene.add(nebulaGroup);
     
+    // Report the nebula for picking and the info panel
+    const pickSphere = new THREE.Mesh(
+        new THREE.SphereGeometry(scale * PICK_RADIUS, 16, 12),
+        new THREE.MeshBasicMaterial()
+    );
+    pickSphere.visible = false;
+    nebulaGroup.add(pickSphere);
+    
+    const stats = { Size: `${scale} units` };
+    if (gasCloud) {
+        stats.Rendering = `Volumetric (${QUALITY_STEPS[quality]} steps)`;
+    } else {
+        stats['Cloud layers'] = density;
+    }
+    stats.Color = `#${new THREE.Color(color).getHexString()}`;
+    
+    bodyRegistry.register({
+        name,
+        type: 'nebula',
+        object: nebulaGroup,
+        pickables: [pickSphere],
+        radius: scale * 0.5,
+        description,
+        stats
+    });
+    
     return nebulaGroup;
 }
 
-export { createNebula }; 
\ No newline at end of file
+export { NEBULA_MODES, NEBULA_QUALITIES, createNebula }; 
\ No newline at end of file
@@ -1,110 +1,200 @@
 import * as THREE from 'three';
-import { loadingManager } from '../utils/loading.js';
+import { loadTexture } from '../utils/assets.js';
+import { generatePlanetTextures } from '../utils/planetGenerator.js';
+import { createAtmosphere } from './atmosphere.js';
+import { createRings } from './rings.js';
+import { createEclipses } from '../utils/eclipses.js';
+import { Orbit } from '../utils/orbit.js';
+import { simulationClock } from '../utils/simulationClock.js';
+import { Random } from '../utils/random.js';
+import { bodyRegistry } from '../utils/bodyRegistry.js';
 
-// Cache for planet textures to avoid reloading
-const textureCache = {};
+// Rotation speeds are given in radians per frame at this reference frame rate
+const REFERENCE_FPS = 60;
 
-// Predefined planet textures with their URLs
-const planetTextures = {
-    earth: 'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/planets/earth_atmos_2048.jpg',
-    mars: 'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/planets/mars_1k_color.jpg',
-    jupiter: 'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/planets/jupiter_1k.jpg',
-    saturn: 'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/planets/saturn_1k.jpg',
-    moon: 'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/planets/moon_1024.jpg',
-    mercury: 'https://raw.githubusercontent.com/mrdoob/three.js/dev/examples/textures/planets/mercury.jpg',
-    venus: 'https://raw.githubusercontent.com/mrdoob/three.js/dev/examples/textures/planets/venus_atmosphere.jpg',
-    neptune: 'https://raw.githubusercontent.com/mrdoob/three.js/dev/examples/textures/planets/neptune.jpg',
-    uranus: 'https://raw.githubusercontent.com/mrdoob/three.js/dev/examples/textures/planets/uranus.jpg',
-    pluto: 'https://raw.githubusercontent.com/mrdoob/three.js/dev/examples/textures/planets/pluto.jpg',
-    // Fallback for custom textures
-    generic: 'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/planets/earth_atmos_2048.jpg'
-};
+/**
+ * Seconds of simulation time for one turn at a rotation speed
+ * @param {number} rotationSpeed - Radians per reference frame
+ * @returns {string} - Formatted period for the info panel
+ */
+function formatPeriod(rotationSpeed) {
+    if (!rotationSpeed) return 'None';
+    return `${(Math.PI * 2 / (Math.abs(rotationSpeed) * REFERENCE_FPS)).toFixed(1)} s`;
+}
+
+/**
+ * Resolve a texture option into surface maps for MeshStandardMaterial
+ * @param {string|Object} texture - Manifest key, image URL or procedural descriptor
+ * @param {string} fallbackKey - Manifest key used when texture is missing
+ * @returns {Object} - { map } for images, { map, bumpMap, roughnessMap } for procedural worlds
+ */
+function resolveSurface(texture, fallbackKey) {
+    if (texture && typeof texture === 'object') {
+        return generatePlanetTextures(texture);
+    }
+    return { map: loadTexture(typeof texture === 'string' ? texture : fallbackKey) };
+}
 
 /**
  * Create a planet with texture and rotation
  * @param {THREE.Scene} scene - The scene to add the planet to
  * @param {Object} options - Configuration options
+ * @param {string|Object} options.texture - Texture key ('earth', 'mars', ...), image URL,
+ *     or a procedural descriptor such as { seed: 42, type: 'ice', clouds: 0.3 } (see planetGenerator.js)
+ * @param {Object} options.orbit - Optional orbital elements (see Orbit); the planet then
+ *     follows the ellipse around orbitCenter instead of sitting at position
+ * @param {THREE.Object3D|THREE.Vector3} options.orbitCenter - What the planet orbits (defaults to the origin);
+ *     a sun from createSun also gives the eclipses their penumbrae
+ * @param {boolean} options.showOrbit - Draw the orbit as a line
+ * @param {boolean} options.hasRings - Give the planet Saturn's rings
+ * @param {Object} options.rings - Configured rings instead (implies hasRings; see createRings)
+ * @param {boolean} options.hasAtmosphere - Wrap the planet in an Earth-like scattering atmosphere
+ * @param {Object} options.atmosphere - Tuned atmosphere instead (implies hasAtmosphere; see createAtmosphere)
+ * @param {boolean|Object} options.cloudLayer - Translucent clouds drifting over the surface: true, or
+ *     { texture, opacity, rotationSpeed } (rotationSpeed in the same units as the planet's)
+ * @param {boolean|string} options.nightLights - City lights on the night side: true for Earth's,
+ *     or a texture key or image URL
+ * @param {boolean} options.eclipses - Let the planet and its moons shade each other when they pass in front of the sun
+ * @param {string} options.description - Text shown when the planet is selected
  * @returns {THREE.Group} - The planet group including any moons
  */
 function createPlanet(scene, options = {}) {
     const {
+        name = 'Planet',
+        description = '',
         radius = 5,
         texture = 'earth',
         position = new THREE.Vector3(0, 0, 0),
         rotationSpeed = 0.005,
         tilt = 0.2, // Planet axis tilt in radians
         hasRings = false,
+        rings = null, // Ring system settings (see createRings)
         hasAtmosphere = false,
-        moons = [] // Array of moon configurations
+        atmosphere = null, // Scattering settings (see createAtmosphere)
+        cloudLayer = false,
+        nightLights = false,
+        eclipses = true,
+        orbit = null, // Keplerian orbital elements
+        orbitCenter = new THREE.Vector3(0, 0, 0),
+        showOrbit = false,
+        moons = [], // Array of moon configurations
+        random = new Random() // Seeded generator for moon phases
     } = options;
     
     // Create a group to hold the planet and any moons
     const planetGroup = new THREE.Group();
+    planetGroup.name = name;
     planetGroup.position.copy(position);
     
-    // Load planet texture
-    const textureLoader = new THREE.TextureLoader(loadingManager);
-    
-    // Determine texture URL
-    const textureUrl = texture in planetTextures 
-        ? planetTextures[texture] 
-        : (typeof texture === 'string' ? texture : planetTextures.generic);
-    
-    // Use cached texture if available
-    if (!textureCache[textureUrl]) {
-        textureCache[textureUrl] = textureLoader.load(textureUrl);
-    }
+    // Load or generate the planet surface (image textures are cached by the asset loader)
+    const surface = resolveSurface(texture, 'earth');
     
     // Create planet geometry and material
     const planetGeometry = new THREE.SphereGeometry(radius, 64, 64);
     const planetMaterial = new THREE.MeshStandardMaterial({
-        map: textureCache[textureUrl],
+        ...surface,
         bumpScale: 0.1,
-        roughness: 0.8,
+        // Procedural worlds supply per-pixel roughness, which this value scales
+        roughness: surface.roughnessMap ? 1.0 : 0.8,
         metalness: 0.1
     });
     
+    // Where the light comes from: the sun the planet orbits
+    const getSunPosition = target => {
+        if (orbitCenter.isObject3D) {
+            return orbitCenter.getWorldPosition(target);
+        }
+        return target.copy(orbitCenter);
+    };
+    
+    // Changes to the planet's shader, each { key, apply(shader) }
+    const shaderPatches = [];
+    
+    // The planet and its moons darken each other as they pass in front of the sun
+    let eclipseShading = null;
+    if (eclipses && moons.length > 0) {
+        const sunRadius = (orbitCenter.isObject3D && orbitCenter.userData.radius) || 0;
+        eclipseShading = createEclipses(getSunPosition, sunRadius);
+        shaderPatches.push({ key: 'eclipses', apply: eclipseShading.patchShader });
+    }
+    
+    // City lights glow only where the sun has set
+    const nightSide = { sunViewDirection: { value: new THREE.Vector3() } };
+    if (nightLights) {
+        planetMaterial.emissive = new THREE.Color(0xffffff);
+        planetMaterial.emissiveMap = loadTexture(nightLights === true ? 'earthLights' : nightLights);
+        planetMaterial.emissiveIntensity = 1.5;
+        shaderPatches.push({
+            key: 'nightLights',
+            apply: shader => {
+                shader.uniforms.sunViewDirection = nightSide.sunViewDirection;
+                shader.fragmentShader = 'uniform vec3 sunViewDirection;\n' + shader.fragmentShader.replace(
+                    '#include <emissivemap_fragment>',
+                    `#include <emissivemap_fragment>
+                    totalEmissiveRadiance *= smoothstep(0.1, -0.2, dot(normal, sunViewDirection));`
+                );
+            }
+        });
+    }
+    
     // Create planet mesh with proper tilt
     const planet = new THREE.Mesh(planetGeometry, planetMaterial);
     planet.rotation.x = tilt;
+    // Asteroids and comets can shadow the planet when the sun casts shadows; the
+    // planet and its moons cast none there, as their eclipses are worked out exactly
+    planet.receiveShadow = true;
+    if (eclipseShading) {
+        eclipseShading.addOccluder(planet, radius);
+    }
     
-    // Add rings if specified (e.g., for Saturn)
-    if (hasRings) {
-        const ringsGeometry = new THREE.RingGeometry(
-            radius * 1.4, // inner radius
-            radius * 2.2, // outer radius
-            128 // segments
-        );
-        
-        // Load rings texture
-        const ringsTexture = textureLoader.load('https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/planets/saturn_rings.png');
-        
-        const ringsMaterial = new THREE.MeshStandardMaterial({
-            map: ringsTexture,
-            transparent: true,
-            side: THREE.DoubleSide,
-            roughness: 0.7,
-            metalness: 0.2
-        });
-        
-        const rings = new THREE.Mesh(ringsGeometry, ringsMaterial);
-        rings.rotation.x = Math.PI / 2;
-        rings.rotation.y = tilt;
-        planetGroup.add(rings);
+    // Add rings if specified (e.g., for Saturn), in the plane of the equator
+    let ringSystem = null;
+    if (hasRings || rings) {
+        ringSystem = createRings(radius, rings || {}, { getSunPosition, random: random.fork('rings') });
+        ringSystem.object.rotation.x = tilt;
+        planetGroup.add(ringSystem.object);
+        shaderPatches.push({ key: 'rings', apply: ringSystem.patchPlanetShader });
+    }
+    
+    if (shaderPatches.length > 0) {
+        planetMaterial.onBeforeCompile = shader => shaderPatches.forEach(patch => patch.apply(shader));
+        planetMaterial.customProgramCacheKey = () => shaderPatches.map(patch => patch.key).join(',');
     }
     
     // Add atmosphere if specified (e.g., for Earth)
-    if (hasAtmosphere) {
-        const atmosphereGeometry = new THREE.SphereGeometry(radius * 1.025, 64, 64);
-        const atmosphereMaterial = new THREE.MeshLambertMaterial({
-            color: 0x4ca6ff,
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.BackSide
-        });
-        
-        const atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
-        planetGroup.add(atmosphere);
+    if (hasAtmosphere || atmosphere) {
+        planetGroup.add(createAtmosphere(radius, atmosphere || {}, getSunPosition));
+    }
+    
+    // Clouds drift over the surface at their own pace
+    let clouds = null;
+    let cloudSpeed = 0;
+    if (cloudLayer) {
+        const cloudOptions = cloudLayer === true ? {} : cloudLayer;
+        cloudSpeed = cloudOptions.rotationSpeed !== undefined ? cloudOptions.rotationSpeed : rotationSpeed * 0.8;
+        clouds = new THREE.Mesh(
+            new THREE.SphereGeometry(radius * 1.012, 64, 64),
+            new THREE.MeshStandardMaterial({
+                map: loadTexture(cloudOptions.texture || 'earthClouds'),
+                transparent: true,
+                opacity: cloudOptions.opacity !== undefined ? cloudOptions.opacity : 0.9,
+                roughness: 1.0,
+                metalness: 0.0,
+                depthWrite: false
+            })
+        );
+        clouds.rotation.x = tilt;
+        planetGroup.add(clouds);
+    }
+    
+    // Bodies that follow Keplerian orbits, updated from the simulation time
+    const orbitingMoons = [];
+    const planetOrbit = orbit ? new Orbit(orbit) : null;
+    let planetOrbitLine = null;
+    
+    if (planetOrbit && showOrbit) {
+        planetOrbitLine = planetOrbit.createLine();
+        scene.add(planetOrbitLine);
     }
     
     // Add moons if specified
@@ -115,52 +205,170 @@ function createPlanet(scene, options = {}) {
         
         // Create orbit group for the moon
         const moonOrbit = new THREE.Group();
-        const moonAngle = Math.random() * Math.PI * 2; // Random starting position
+        const moonAngle = random.next() * Math.PI * 2; // Random starting position
         
         // Create moon geometry and material
         const moonGeometry = new THREE.SphereGeometry(moonRadius, 32, 32);
+        const moonSurface = resolveSurface(moon.texture, 'moon');
         const moonMaterial = new THREE.MeshStandardMaterial({
-            map: textureCache['moon'] || textureLoader.load(planetTextures.moon),
-            roughness: 0.8,
+            ...moonSurface,
+            bumpScale: 0.05,
+            roughness: moonSurface.roughnessMap ? 1.0 : 0.8,
             metalness: 0.1
         });
         
         // Create moon mesh
         const moonMesh = new THREE.Mesh(moonGeometry, moonMaterial);
-        moonMesh.position.set(moonDistance, 0, 0);
-        
-        // Add to orbit and tilt
+        moonMesh.name = moon.name || `${name} Moon`;
+        moonMesh.receiveShadow = true;
         moonOrbit.add(moonMesh);
-        moonOrbit.rotation.x = Math.random() * 0.5;
-        moonOrbit.rotation.y = moonAngle;
         
-        // Add animation properties
-        moonOrbit.userData = {
-            rotationSpeed: moonRotationSpeed,
-            angle: moonAngle
-        };
+        // The moon darkens the planet and is darkened by it
+        if (eclipseShading) {
+            eclipseShading.addOccluder(moonMesh, moonRadius);
+            moonMaterial.onBeforeCompile = eclipseShading.patchShader;
+            moonMaterial.customProgramCacheKey = () => 'eclipses';
+            moonMesh.onBeforeRender = eclipseShading.update;
+        }
+        
+        const moonStats = { Radius: `${moonRadius} units`, Orbits: name };
+        
+        if (moon.orbit) {
+            // True elliptical orbit around the planet
+            const moonKepler = new Orbit(moon.orbit);
+            moonMesh.position.copy(moonKepler.getPositionAt(0));
+            orbitingMoons.push({ mesh: moonMesh, orbit: moonKepler });
+            
+            if (moon.showOrbit) {
+                moonOrbit.add(moonKepler.createLine());
+            }
+            
+            moonStats.Distance = `${moonKepler.semiMajorAxis} units (e = ${moonKepler.eccentricity})`;
+            moonStats['Orbital period'] = `${moonKepler.period} s`;
+        } else {
+            moonMesh.position.set(moonDistance, 0, 0);
+            
+            // Add to orbit and tilt
+            moonOrbit.rotation.x = random.next() * 0.5;
+            moonOrbit.rotation.y = moonAngle;
+            
+            // Add animation properties
+            moonOrbit.userData = {
+                rotationSpeed: moonRotationSpeed,
+                angle: moonAngle
+            };
+            
+            moonStats.Distance = `${moonDistance} units`;
+            moonStats['Orbital period'] = formatPeriod(moonRotationSpeed);
+        }
         
         planetGroup.add(moonOrbit);
+        
+        bodyRegistry.register({
+            name: moonMesh.name,
+            type: 'moon',
+            object: moonMesh,
+            pickables: [moonMesh],
+            radius: moonRadius,
+            description: moon.description || `A moon of ${name}.`,
+            stats: moonStats
+        });
     });
     
-    // Add animation update function
+    // Add animation update function (driven by simulation time, so it can pause and reverse)
     planet.userData = { rotationSpeed };
-    planet.onBeforeRender = function() {
-        planet.rotation.y += rotationSpeed;
+    const sunPosition = new THREE.Vector3();
+    const planetPosition = new THREE.Vector3();
+    planet.onBeforeRender = function(renderer, scene, camera) {
+        const time = simulationClock.getElapsedTime() * REFERENCE_FPS;
+        planet.rotation.y = rotationSpeed * time;
+        if (clouds) {
+            clouds.rotation.y = cloudSpeed * time;
+        }
+        
+        if (ringSystem) {
+            ringSystem.update(camera, renderer);
+        }
+        if (eclipseShading) {
+            eclipseShading.update();
+        }
+        
+        // Direction of the sun in view space, for the night-side lights
+        if (nightLights) {
+            planet.getWorldPosition(planetPosition);
+            getSunPosition(sunPosition).sub(planetPosition).normalize();
+            nightSide.sunViewDirection.value.copy(sunPosition).transformDirection(camera.matrixWorldInverse);
+        }
         
         // Update moon positions
         planetGroup.children.forEach(child => {
             if (child !== planet && child.userData && child.userData.rotationSpeed) {
-                child.userData.angle += child.userData.rotationSpeed;
-                child.rotation.y = child.userData.angle;
+                child.rotation.y = child.userData.angle + child.userData.rotationSpeed * time;
             }
         });
     };
     
+    // Move orbiting bodies along their ellipses
+    if (planetOrbit || orbitingMoons.length > 0) {
+        const centerPosition = new THREE.Vector3();
+        
+        planetGroup.userData.update = function(elapsedTime) {
+            if (planetOrbit) {
+                if (orbitCenter.isObject3D) {
+                    orbitCenter.getWorldPosition(centerPosition);
+                } else {
+                    centerPosition.copy(orbitCenter);
+                }
+                
+                planetOrbit.getPositionAt(elapsedTime, planetGroup.position).add(centerPosition);
+                if (planetOrbitLine) {
+                    planetOrbitLine.position.copy(centerPosition);
+                }
+            }
+            
+            orbitingMoons.forEach(({ mesh, orbit }) => {
+                orbit.getPositionAt(elapsedTime, mesh.position);
+            });
+        };
+        
+        planetGroup.userData.update(0);
+        
+        // Add to scene's updateable objects
+        if (!scene.userData.updateableObjects) {
+            scene.userData.updateableObjects = [];
+        }
+        scene.userData.updateableObjects.push(planetGroup);
+    }
+    
     // Add planet to group and scene
     planetGroup.add(planet);
     scene.add(planetGroup);
     
+    // Report the planet for picking and the info panel
+    const stats = {
+        Radius: `${radius} units`,
+        'Axial tilt': `${THREE.MathUtils.radToDeg(tilt).toFixed(1)}°`,
+        Day: formatPeriod(rotationSpeed)
+    };
+    if (planetOrbit) {
+        stats.Orbit = `${planetOrbit.semiMajorAxis} units (e = ${planetOrbit.eccentricity})`;
+        stats.Year = `${planetOrbit.period} s`;
+    }
+    if (moons.length > 0) stats.Moons = moons.length;
+    if (ringSystem) stats.Rings = `${ringSystem.innerRadius.toFixed(1)} to ${ringSystem.outerRadius.toFixed(1)} units`;
+    if (hasAtmosphere || atmosphere) stats.Atmosphere = 'Yes';
+    
+    bodyRegistry.register({
+        name,
+        type: 'planet',
+        object: planetGroup,
+        pickables: [planet],
+        radius: ringSystem ? ringSystem.outerRadius : radius,
+        sphereRadius: radius,
+        description,
+        stats
+    });
+    
     return planetGroup;
 }
 
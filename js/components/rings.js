@@ -0,0 +1,346 @@
+import * as THREE from 'three';
+import { loadTexture } from '../utils/assets.js';
+import { createRingCanvas } from '../utils/proceduralTextures.js';
+import { Random } from '../utils/random.js';
+import { simulationClock } from '../utils/simulationClock.js';
+
+// Gaps a ring system can have
+const MAX_GAPS = 8;
+
+// How dark the side of the rings facing away from the sun is (only light
+// filtering through between the ring particles reaches it)
+const UNLIT_SIDE = 0.35;
+
+// How much of the light reaches the planet through the rings and the rings through
+// the planet's shadow: both are worked out per pixel from the sun's direction,
+// and shared by the ring, particle and planet shaders
+const ringChunk = `
+    #define MAX_GAPS ${MAX_GAPS}
+    
+    uniform sampler2D ringMap;
+    uniform vec3 ringColor;
+    uniform float ringOpacity;
+    uniform float ringInner;
+    uniform float ringOuter;
+    uniform vec2 ringGaps[MAX_GAPS];
+    uniform int ringGapCount;
+    uniform vec3 ringCenter;
+    uniform vec3 ringNormal;
+    uniform vec3 ringSunPosition;
+    uniform float planetRadius;
+    
+    // Opacity of the rings at a fraction u of the way from their inner to outer edge
+    float ringDensity(float u) {
+        if (u < 0.0 || u > 1.0) return 0.0;
+        float density = texture2D(ringMap, vec2(u, 0.5)).a * ringOpacity;
+        for (int i = 0; i < MAX_GAPS; i++) {
+            if (i >= ringGapCount) break;
+            float edge = 0.15 * (ringGaps[i].y - ringGaps[i].x);
+            density *= 1.0 - smoothstep(ringGaps[i].x - edge, ringGaps[i].x + edge, u)
+                * (1.0 - smoothstep(ringGaps[i].y - edge, ringGaps[i].y + edge, u));
+        }
+        return density;
+    }
+    
+    // Light left after passing the planet on the way from the sun (soft-edged)
+    float planetShadow(vec3 point) {
+        vec3 toSun = normalize(ringSunPosition - point);
+        vec3 toPlanet = ringCenter - point;
+        float along = dot(toPlanet, toSun);
+        if (along <= 0.0) return 1.0;
+        float miss = length(toPlanet - toSun * along);
+        return smoothstep(planetRadius * 0.97, planetRadius * 1.03, miss);
+    }
+    
+    // Light left after passing through the rings on the way from the sun
+    float ringShadow(vec3 point) {
+        vec3 toSun = normalize(ringSunPosition - point);
+        float facing = dot(toSun, ringNormal);
+        if (abs(facing) < 1e-4) return 1.0;
+        float along = dot(ringCenter - point, ringNormal) / facing;
+        if (along <= 0.0) return 1.0;
+        float r = length(point + toSun * along - ringCenter);
+        return 1.0 - ringDensity((r - ringInner) / (ringOuter - ringInner));
+    }
+`;
+
+/**
+ * Flat ring with UVs mapped radially: u runs from the inner to the outer edge
+ * and v around the ring, so a ring texture strip lays down as bands
+ * @param {number} innerRadius - Inner edge
+ * @param {number} outerRadius - Outer edge
+ * @param {number} segments - Segments around the ring
+ * @returns {THREE.BufferGeometry} - Ring in the XZ plane
+ */
+function createRingGeometry(innerRadius, outerRadius, segments = 256) {
+    const geometry = new THREE.RingGeometry(innerRadius, outerRadius, segments, 4);
+    geometry.rotateX(-Math.PI / 2);
+    
+    const positions = geometry.attributes.position;
+    const uvs = geometry.attributes.uv;
+    for (let i = 0; i < positions.count; i++) {
+        const x = positions.getX(i);
+        const z = positions.getZ(i);
+        const r = Math.sqrt(x * x + z * z);
+        const angle = Math.atan2(-z, x);
+        uvs.setXY(i, (r - innerRadius) / (outerRadius - innerRadius), angle / (Math.PI * 2) + 0.5);
+    }
+    return geometry;
+}
+
+/**
+ * Create a planet's ring system, lying in the planet's equatorial plane. The
+ * planet's shadow falls across the rings, and patchPlanetShader() lets the
+ * rings' shadow fall across the planet. In particle mode the rings turn into
+ * a cloud of orbiting chunks as the camera flies in close.
+ * @param {number} planetRadius - Radius of the planet
+ * @param {Object} options - Ring options
+ * @param {number} options.innerRadius - Inner edge (defaults to 1.4 planet radii)
+ * @param {number} options.outerRadius - Outer edge (defaults to 2.2 planet radii)
+ * @param {string|Object} options.texture - Ring strip texture key or image URL (running from
+ *     the inner to the outer edge), or { seed, bands } for procedural banding
+ * @param {number} options.color - Tint for the texture
+ * @param {number} options.opacity - Overall opacity (0 to 1)
+ * @param {Object[]} options.gaps - Empty divisions, each { radius, width }
+ * @param {boolean} options.particles - Fly through individual ring particles up close
+ * @param {number} options.particleCount - Number of particles in particle mode
+ * @param {number} options.orbitalSpeed - Radians per second the particles at the inner edge orbit at
+ * @param {Object} context - What the rings need from their planet
+ * @param {Function} context.getSunPosition - (target) => target filled with the sun's world position
+ * @param {Random} context.random - Seeded generator for the particles
+ * @returns {Object} - { object, innerRadius, outerRadius, update(camera, renderer), patchPlanetShader(shader) }
+ */
+function createRings(planetRadius, options = {}, { getSunPosition, random = new Random() }) {
+    const {
+        innerRadius = planetRadius * 1.4,
+        outerRadius = planetRadius * 2.2,
+        texture = 'saturnRings',
+        color = 0xffffff,
+        opacity = 1,
+        gaps = [],
+        particles = false,
+        particleCount = 20000,
+        orbitalSpeed = 0.05
+    } = options;
+    
+    const width = outerRadius - innerRadius;
+    const ringMap = typeof texture === 'string'
+        ? loadTexture(texture)
+        : new THREE.CanvasTexture(createRingCanvas(512, 16, texture));
+    
+    const gapValues = Array.from({ length: MAX_GAPS }, () => new THREE.Vector2());
+    gaps.slice(0, MAX_GAPS).forEach((gap, i) => {
+        gapValues[i].set(
+            (gap.radius - gap.width / 2 - innerRadius) / width,
+            (gap.radius + gap.width / 2 - innerRadius) / width
+        );
+    });
+    
+    // Shared by every shader that uses ringChunk, so one update reaches them all
+    const ringUniforms = {
+        ringMap: { value: ringMap },
+        ringColor: { value: new THREE.Color(color) },
+        ringOpacity: { value: opacity },
+        ringInner: { value: innerRadius },
+        ringOuter: { value: outerRadius },
+        ringGaps: { value: gapValues },
+        ringGapCount: { value: Math.min(gaps.length, MAX_GAPS) },
+        ringCenter: { value: new THREE.Vector3() },
+        ringNormal: { value: new THREE.Vector3(0, 1, 0) },
+        ringSunPosition: { value: new THREE.Vector3() },
+        planetRadius: { value: planetRadius },
+        // How close the camera is to the ring particles (0 far away, 1 among them)
+        closeness: { value: 0 }
+    };
+    
+    const ringGroup = new THREE.Group();
+    
+    const ringMaterial = new THREE.ShaderMaterial({
+        uniforms: ringUniforms,
+        vertexShader: `
+            varying vec2 vUv;
+            varying vec3 vWorldPosition;
+            
+            void main() {
+                vUv = uv;
+                vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+                vWorldPosition = worldPosition.xyz;
+                gl_Position = projectionMatrix * viewMatrix * worldPosition;
+            }
+        `,
+        fragmentShader: `
+            ${ringChunk}
+            
+            uniform float closeness;
+            
+            varying vec2 vUv;
+            varying vec3 vWorldPosition;
+            
+            void main() {
+                vec4 texel = texture2D(ringMap, vec2(vUv.x, 0.5));
+                float alpha = ringDensity(vUv.x) * (1.0 - closeness);
+                if (alpha < 0.004) discard;
+                
+                // The side facing away from the sun only gets light filtering through
+                vec3 toSun = normalize(ringSunPosition - vWorldPosition);
+                vec3 toCamera = normalize(cameraPosition - vWorldPosition);
+                float lit = sign(dot(toSun, ringNormal)) == sign(dot(toCamera, ringNormal)) ? 1.0 : ${UNLIT_SIDE};
+                
+                float light = 0.06 + lit * planetShadow(vWorldPosition);
+                gl_FragColor = vec4(texel.rgb * ringColor * light, alpha);
+            }
+        `,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+    
+    const ringMesh = new THREE.Mesh(createRingGeometry(innerRadius, outerRadius), ringMaterial);
+    ringGroup.add(ringMesh);
+    
+    // Particle mode: chunks of ice and rock on their own orbits, faster towards the planet
+    let ringParticles = null;
+    if (particles) {
+        const radii = new Float32Array(particleCount);
+        const angles = new Float32Array(particleCount);
+        const heights = new Float32Array(particleCount);
+        const sizes = new Float32Array(particleCount);
+        for (let i = 0; i < particleCount; i++) {
+            // Evenly spread over the ring's area
+            radii[i] = Math.sqrt(innerRadius ** 2 + random.next() * (outerRadius ** 2 - innerRadius ** 2));
+            angles[i] = random.next() * Math.PI * 2;
+            heights[i] = (random.next() + random.next() - 1) * width * 0.004;
+            sizes[i] = width * 0.0015 * (0.4 + Math.pow(random.next(), 3) * 2);
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        // Positions are worked out in the shader; this only sets the vertex count
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(particleCount * 3), 3));
+        geometry.setAttribute('radius', new THREE.BufferAttribute(radii, 1));
+        geometry.setAttribute('angle', new THREE.BufferAttribute(angles, 1));
+        geometry.setAttribute('height', new THREE.BufferAttribute(heights, 1));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        
+        const particleMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                ...ringUniforms,
+                time: { value: 0 },
+                orbitalSpeed: { value: orbitalSpeed },
+                pointScale: { value: 1 },
+                pointTexture: { value: loadTexture('disc') }
+            },
+            vertexShader: `
+                ${ringChunk}
+                
+                attribute float radius;
+                attribute float angle;
+                attribute float height;
+                attribute float size;
+                
+                uniform float time;
+                uniform float orbitalSpeed;
+                uniform float pointScale;
+                uniform float closeness;
+                
+                varying vec3 vColor;
+                varying float vAlpha;
+                
+                void main() {
+                    float u = (radius - ringInner) / (ringOuter - ringInner);
+                    float a = angle + orbitalSpeed * pow(ringInner / radius, 1.5) * time;
+                    vec4 worldPosition = modelMatrix * vec4(radius * cos(a), height, -radius * sin(a), 1.0);
+                    vec4 mvPosition = viewMatrix * worldPosition;
+                    
+                    vColor = texture2D(ringMap, vec2(u, 0.5)).rgb * ringColor
+                        * (0.06 + planetShadow(worldPosition.xyz));
+                    vAlpha = closeness * min(ringDensity(u) * 2.0, 1.0);
+                    
+                    gl_PointSize = vAlpha > 0.0 ? size * pointScale / -mvPosition.z : 0.0;
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D pointTexture;
+                
+                varying vec3 vColor;
+                varying float vAlpha;
+                
+                void main() {
+                    vec4 texel = texture2D(pointTexture, gl_PointCoord);
+                    if (texel.a * vAlpha < 0.01) discard;
+                    gl_FragColor = vec4(vColor, texel.a * vAlpha);
+                }
+            `,
+            transparent: true,
+            depthWrite: false
+        });
+        
+        ringParticles = new THREE.Points(geometry, particleMaterial);
+        // The shader moves the particles away from the (empty) bounding sphere
+        ringParticles.frustumCulled = false;
+        ringGroup.add(ringParticles);
+    }
+    
+    // Keep the shared uniforms in step with the planet, the sun and the camera
+    const cameraLocal = new THREE.Vector3();
+    const inverse = new THREE.Matrix4();
+    const drawingSize = new THREE.Vector2();
+    
+    function update(camera, renderer) {
+        ringGroup.getWorldPosition(ringUniforms.ringCenter.value);
+        ringUniforms.ringNormal.value.set(0, 1, 0).transformDirection(ringGroup.matrixWorld);
+        getSunPosition(ringUniforms.ringSunPosition.value);
+        
+        if (ringParticles) {
+            // Distance from the camera to the nearest part of the rings
+            cameraLocal.setFromMatrixPosition(camera.matrixWorld).applyMatrix4(inverse.copy(ringGroup.matrixWorld).invert());
+            const planar = Math.sqrt(cameraLocal.x ** 2 + cameraLocal.z ** 2);
+            const outside = Math.max(innerRadius - planar, planar - outerRadius, 0);
+            const distance = Math.sqrt(cameraLocal.y ** 2 + outside ** 2);
+            ringUniforms.closeness.value = 1 - THREE.MathUtils.smoothstep(distance, width * 0.05, width * 0.4);
+            
+            const uniforms = ringParticles.material.uniforms;
+            uniforms.time.value = simulationClock.getElapsedTime();
+            if (renderer) {
+                renderer.getDrawingBufferSize(drawingSize);
+                uniforms.pointScale.value = drawingSize.y / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+            }
+        }
+    }
+    
+    ringMesh.onBeforeRender = (renderer, scene, camera) => update(camera, renderer);
+    if (ringParticles) {
+        ringParticles.onBeforeRender = (renderer, scene, camera) => update(camera, renderer);
+    }
+    
+    /**
+     * Let the rings' shadow fall on the planet: patch its MeshStandardMaterial
+     * shader (call from the material's onBeforeCompile) to dim direct light
+     * that had to pass through the rings
+     */
+    const patchPlanetShader = shader => {
+        Object.assign(shader.uniforms, ringUniforms);
+        shader.vertexShader = 'varying vec3 vRingWorldPosition;\n' + shader.vertexShader.replace(
+            '#include <project_vertex>',
+            `#include <project_vertex>
+            vRingWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;`
+        );
+        shader.fragmentShader = `varying vec3 vRingWorldPosition;\n${ringChunk}\n` + shader.fragmentShader.replace(
+            '#include <lights_fragment_end>',
+            `#include <lights_fragment_end>
+            float ringShade = ringShadow(vRingWorldPosition);
+            reflectedLight.directDiffuse *= ringShade;
+            reflectedLight.directSpecular *= ringShade;`
+        );
+    };
+    
+    return {
+        object: ringGroup,
+        innerRadius,
+        outerRadius,
+        update,
+        patchPlanetShader
+    };
+}
+
+export { MAX_GAPS, createRings, createRingGeometry };
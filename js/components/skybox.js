@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { loadingManager } from '../utils/loading.js';
+import { loadTexture, loadCubeTexture } from '../utils/assets.js';
 
 /**
  * Create a skybox to provide the distant cosmic background
@@ -13,7 +13,6 @@ function createSkybox(scene, options = {}) {
         useHDRI = false // HDRI for realistic reflection but heavier
     } = options;
     
-    const textureLoader = new THREE.TextureLoader(loadingManager);
     let skyboxMesh;
     
     if (useHDRI) {
@@ -21,14 +20,7 @@ function createSkybox(scene, options = {}) {
         // Requires the PMREMGenerator which might not be available in some Three.js bundled versions
         
         // Create cube texture
-        const cubeTextureLoader = new THREE.CubeTextureLoader(loadingManager);
-        cubeTextureLoader.setPath('https://raw.githubusercontent.com/mrdoob/three.js/dev/examples/textures/cube/MilkyWay/');
-        
-        const skyboxTexture = cubeTextureLoader.load([
-            'dark-s_px.jpg', 'dark-s_nx.jpg',
-            'dark-s_py.jpg', 'dark-s_ny.jpg',
-            'dark-s_pz.jpg', 'dark-s_nz.jpg'
-        ]);
+        const skyboxTexture = loadCubeTexture('milkyWay');
         
         // Set the scene's background to the skybox texture
         scene.background = skyboxTexture;
@@ -39,7 +31,7 @@ function createSkybox(scene, options = {}) {
         const skyGeometry = new THREE.SphereGeometry(size, 64, 64);
         
         // Load a space/starfield texture
-        const skyTexture = textureLoader.load('https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/planets/starry-deep-outer-space-galaxy.jpg');
+        const skyTexture = loadTexture('deepSpace');
         skyTexture.mapping = THREE.EquirectangularReflectionMapping;
         
         // Create material with the texture on the inside of the sphere
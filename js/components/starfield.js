@@ -1,125 +1,297 @@
 import * as THREE from 'three';
-import { loadingManager } from '../utils/loading.js';
+import { loadTexture } from '../utils/assets.js';
+import { simulationClock } from '../utils/simulationClock.js';
+import { Random } from '../utils/random.js';
+import { skyDirection } from '../utils/starCatalog.js';
+import { colorIndexTemperature, blackbodyColor } from '../utils/blackbody.js';
+
+// Range of apparent magnitudes in the random starfield (lower is brighter;
+// 6.5 is about the faintest star the naked eye can see)
+const BRIGHTEST_MAGNITUDE = -1;
+const FAINTEST_MAGNITUDE = 6.5;
+
+// Size of the faintest and brightest stars in scene units (from the starfield's
+// distances, about a pixel to a few pixels across)
+const MIN_STAR_SIZE = 1.5;
+const MAX_STAR_SIZE = 6;
+
+// Catalog stars sit on a shell this far out, nearer stars on the inside
+// (distances are squeezed logarithmically; the sky itself looks the same from the center)
+const CATALOG_NEAR_RADIUS = 1200;
+const CATALOG_FAR_RADIUS = 2000;
+
+// Distance in parsecs placed on the outer edge of the shell
+const CATALOG_FAR_DISTANCE = 1000;
+
+const starVertexShader = `
+    uniform float time;
+    uniform float pointScale;
+    uniform float faintestMagnitude;
+    
+    attribute float size;
+    attribute float magnitude;
+    attribute vec2 twinkle;
+    
+    varying vec3 vColor;
+    varying float vBrightness;
+    
+    void main() {
+        // Light received falls by 2.512 times per magnitude; taking its fourth
+        // root keeps the faintest stars at half brightness instead of vanishing
+        float brightness = min(0.5 * pow(10.0, 0.1 * (faintestMagnitude - magnitude)), 1.0);
+        
+        // Twinkle by flickering in brightness and size
+        float flicker = 0.3 + 0.7 * abs(sin(time * twinkle.y + twinkle.x));
+        
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        float pointSize = size * flicker * pointScale / -mvPosition.z;
+        
+        // Stars smaller than a pixel dim instead of shrinking, so they don't shimmer
+        if (pointSize < 1.0) {
+            brightness *= pointSize;
+            pointSize = 1.0;
+        }
+        
+        vColor = color;
+        vBrightness = brightness * mix(0.6, 1.0, flicker);
+        gl_PointSize = pointSize;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const starFragmentShader = `
+    uniform sampler2D starTexture;
+    
+    varying vec3 vColor;
+    varying float vBrightness;
+    
+    void main() {
+        vec4 texel = texture2D(starTexture, gl_PointCoord);
+        gl_FragColor = vec4(vColor * vBrightness * texel.rgb, texel.a);
+    }
+`;
 
 /**
- * Create a starfield of particles to simulate distant stars
+ * Apparent magnitude for a uniform random number, with faint stars far more
+ * common than bright ones (about 3.2 times as many per magnitude, as in the real sky)
+ * @param {number} u - Random number from 0 to 1
+ * @returns {number}
+ */
+function randomMagnitude(u) {
+    const span = Math.pow(10, -0.5 * (FAINTEST_MAGNITUDE - BRIGHTEST_MAGNITUDE));
+    return FAINTEST_MAGNITUDE + 2 * Math.log10(span + u * (1 - span));
+}
+
+/**
+ * Point size of each star, growing with its brightness
+ * @param {Float32Array} magnitudes - Apparent magnitude of each star
+ * @param {number} faintestMagnitude - Magnitude drawn at the smallest size
+ * @returns {Float32Array} - Sizes for the 'size' attribute
+ */
+function magnitudeSizes(magnitudes, faintestMagnitude = FAINTEST_MAGNITUDE) {
+    const faintest = Math.pow(10, -0.2 * faintestMagnitude);
+    const brightest = Math.pow(10, -0.2 * BRIGHTEST_MAGNITUDE);
+    return magnitudes.map(magnitude => {
+        const t = (Math.pow(10, -0.2 * magnitude) - faintest) / (brightest - faintest);
+        return MIN_STAR_SIZE + (MAX_STAR_SIZE - MIN_STAR_SIZE) * THREE.MathUtils.clamp(t, 0, 1);
+    });
+}
+
+/**
+ * Material for star points with 'size', 'magnitude', 'twinkle' and 'color' attributes
+ * @param {number} faintestMagnitude - Magnitude drawn at half brightness
+ * @returns {THREE.ShaderMaterial}
+ */
+function createStarMaterial(faintestMagnitude = FAINTEST_MAGNITUDE) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            starTexture: { value: loadTexture('disc') },
+            time: { value: 0 },
+            pointScale: { value: 1 },
+            faintestMagnitude: { value: faintestMagnitude }
+        },
+        vertexShader: starVertexShader,
+        fragmentShader: starFragmentShader,
+        vertexColors: true,
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthWrite: false
+    });
+}
+
+const drawingSize = new THREE.Vector2();
+
+/**
+ * Advance the twinkling and match the point sizes to the screen (call from onBeforeRender)
+ * @param {THREE.ShaderMaterial} material - Material from createStarMaterial
+ * @param {THREE.WebGLRenderer} renderer - Renderer drawing the stars
+ * @param {THREE.PerspectiveCamera} camera - Camera the stars are seen through
+ */
+function updateStarMaterial(material, renderer, camera) {
+    material.uniforms.time.value = simulationClock.getElapsedTime(); // Time in seconds
+    renderer.getDrawingBufferSize(drawingSize);
+    material.uniforms.pointScale.value = drawingSize.y / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+}
+
+/**
+ * Create a starfield of particles to simulate distant stars.
+ * Twinkling runs entirely in the vertex shader from a time uniform, so the
+ * buffers are uploaded once and the field scales to hundreds of thousands of stars.
  * @param {THREE.Scene} scene - The scene to add the starfield to
  * @param {number} count - Number of stars to create
+ * @param {Random} random - Seeded random generator (same seed, same sky)
  * @returns {Object} - The starfield objects including regular stars and shooting stars
  */
-function createStarfield(scene, count = 5000) {
+function createStarfield(scene, count = 5000, random = new Random()) {
     // Create geometry for the stars
     const geometry = new THREE.BufferGeometry();
     const positions = new Float32Array(count * 3);
     const colors = new Float32Array(count * 3);
-    const sizes = new Float32Array(count);
+    const magnitudes = new Float32Array(count);
     
-    // For dynamic twinkling effect
-    const randomOffsets = new Float32Array(count);
-    const randomSpeeds = new Float32Array(count);
+    // Phase and speed of each star's twinkling
+    const twinkles = new Float32Array(count * 2);
     
-    // Generate random stars with varying colors and sizes
+    // Generate random stars with varying colors and brightness
     for (let i = 0; i < count; i++) {
         // Position (random but far from center)
-        const radius = THREE.MathUtils.randFloat(200, 2000);
-        const theta = THREE.MathUtils.randFloat(0, Math.PI * 2);
-        const phi = THREE.MathUtils.randFloat(0, Math.PI);
+        const radius = random.range(200, 2000);
+        const theta = random.range(0, Math.PI * 2);
+        const phi = random.range(0, Math.PI);
         
         positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
         positions[i * 3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
         positions[i * 3 + 2] = radius * Math.cos(phi);
         
         // Color (mostly white/blue, some yellow/red)
-        const starType = Math.random();
+        const starType = random.next();
         if (starType > 0.9) {
             // Red/yellow stars (cooler)
-            colors[i * 3] = THREE.MathUtils.randFloat(0.8, 1.0);     // R
-            colors[i * 3 + 1] = THREE.MathUtils.randFloat(0.5, 0.8); // G
-            colors[i * 3 + 2] = THREE.MathUtils.randFloat(0.0, 0.3); // B
+            colors[i * 3] = random.range(0.8, 1.0);     // R
+            colors[i * 3 + 1] = random.range(0.5, 0.8); // G
+            colors[i * 3 + 2] = random.range(0.0, 0.3); // B
         } else if (starType > 0.5) {
             // White stars (medium)
-            colors[i * 3] = THREE.MathUtils.randFloat(0.8, 1.0);     // R
-            colors[i * 3 + 1] = THREE.MathUtils.randFloat(0.8, 1.0); // G
-            colors[i * 3 + 2] = THREE.MathUtils.randFloat(0.8, 1.0); // B
+            colors[i * 3] = random.range(0.8, 1.0);     // R
+            colors[i * 3 + 1] = random.range(0.8, 1.0); // G
+            colors[i * 3 + 2] = random.range(0.8, 1.0); // B
         } else {
             // Blue stars (hotter)
-            colors[i * 3] = THREE.MathUtils.randFloat(0.6, 0.8);     // R
-            colors[i * 3 + 1] = THREE.MathUtils.randFloat(0.7, 0.9); // G
-            colors[i * 3 + 2] = THREE.MathUtils.randFloat(0.9, 1.0); // B
+            colors[i * 3] = random.range(0.6, 0.8);     // R
+            colors[i * 3 + 1] = random.range(0.7, 0.9); // G
+            colors[i * 3 + 2] = random.range(0.9, 1.0); // B
         }
         
-        // Size (varying)
-        sizes[i] = THREE.MathUtils.randFloat(1, 5);
+        // Brightness: faint stars far outnumber bright ones
+        magnitudes[i] = randomMagnitude(random.next());
         
         // For twinkling
-        randomOffsets[i] = Math.random() * Math.PI * 2; // Random phase offset
-        randomSpeeds[i] = 0.2 + Math.random() * 2.0; // Random speed for twinkling
+        twinkles[i * 2] = random.next() * Math.PI * 2; // Random phase offset
+        twinkles[i * 2 + 1] = 0.2 + random.next() * 2.0; // Random speed for twinkling
     }
     
     // Add attributes to geometry
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
     geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('size', new THREE.BufferAttribute(magnitudeSizes(magnitudes), 1));
+    geometry.setAttribute('magnitude', new THREE.BufferAttribute(magnitudes, 1));
+    geometry.setAttribute('twinkle', new THREE.BufferAttribute(twinkles, 2));
+    
+    // Create the starfield and add to scene
+    const starfield = new THREE.Points(geometry, createStarMaterial());
+    scene.add(starfield);
     
-    // Store for animation
-    const userData = {
-        randomOffsets,
-        randomSpeeds,
-        sizes: Array.from(sizes), // Store original sizes
-        colors: Array.from(colors) // Store original colors
+    // Only uniforms change from frame to frame
+    starfield.onBeforeRender = function(renderer, scene, camera) {
+        updateStarMaterial(starfield.material, renderer, camera);
     };
     
-    // Load a star texture
-    const textureLoader = new THREE.TextureLoader(loadingManager);
-    const starTexture = textureLoader.load('https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/sprites/disc.png');
+    // Add shooting stars
+    const shootingStars = createShootingStars(scene, random.fork('shootingStars'));
     
-    // Create material for stars
-    const material = new THREE.PointsMaterial({
-        size: 2,
-        sizeAttenuation: true,
-        map: starTexture,
-        alphaTest: 0.01,
-        transparent: true,
-        vertexColors: true,
+    return { starfield, shootingStars };
+}
+
+/**
+ * Create a starfield from a real star catalog: every star sits in its direction
+ * on the sky, nearer stars further in, sized and dimmed by its apparent
+ * magnitude and colored by its B-V index. Celestial north is up.
+ * @param {THREE.Scene} scene - The scene to add the starfield to
+ * @param {Object[]} stars - Stars from loadStarCatalog
+ * @param {Object} options - Catalog options
+ * @param {number} options.magnitudeLimit - Leave out stars fainter than this
+ * @param {Random} options.random - Seeded random generator (for twinkling and shooting stars)
+ * @returns {Object} - The starfield objects, plus namedStars: [{ name, position, magnitude, distance }]
+ *     for the stars with names (distance in parsecs, 0 if unknown)
+ */
+function createCatalogStarfield(scene, stars, options = {}) {
+    const {
+        magnitudeLimit = FAINTEST_MAGNITUDE,
+        random = new Random()
+    } = options;
+    
+    const visible = stars.filter(star => star.magnitude <= magnitudeLimit);
+    const count = visible.length;
+    
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const magnitudes = new Float32Array(count);
+    const twinkles = new Float32Array(count * 2);
+    
+    const namedStars = [];
+    const direction = new THREE.Vector3();
+    const color = new THREE.Color();
+    const farthest = Math.log10(CATALOG_FAR_DISTANCE);
+    
+    visible.forEach((star, i) => {
+        // Stars of unknown distance go on the outer edge
+        const depth = star.distance > 0 ? THREE.MathUtils.clamp(Math.log10(star.distance) / farthest, 0, 1) : 1;
+        const radius = THREE.MathUtils.lerp(CATALOG_NEAR_RADIUS, CATALOG_FAR_RADIUS, depth);
+        skyDirection(star.ra, star.dec, direction).multiplyScalar(radius);
+        direction.toArray(positions, i * 3);
+        
+        blackbodyColor(colorIndexTemperature(star.colorIndex), color).toArray(colors, i * 3);
+        magnitudes[i] = star.magnitude;
+        
+        twinkles[i * 2] = random.next() * Math.PI * 2;
+        twinkles[i * 2 + 1] = 0.2 + random.next() * 2.0;
+        
+        if (star.name) {
+            namedStars.push({
+                name: star.name,
+                position: direction.clone(),
+                magnitude: star.magnitude,
+                distance: star.distance
+            });
+        }
     });
     
-    // Create the starfield and add to scene
-    const starfield = new THREE.Points(geometry, material);
-    starfield.userData = userData;
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(magnitudeSizes(magnitudes, magnitudeLimit), 1));
+    geometry.setAttribute('magnitude', new THREE.BufferAttribute(magnitudes, 1));
+    geometry.setAttribute('twinkle', new THREE.BufferAttribute(twinkles, 2));
+    
+    const starfield = new THREE.Points(geometry, createStarMaterial(magnitudeLimit));
     scene.add(starfield);
     
-    // Add animation function for twinkling
     starfield.onBeforeRender = function(renderer, scene, camera) {
-        const time = performance.now() * 0.001; // Time in seconds
-        const sizes = starfield.geometry.attributes.size;
-        const sizesArray = sizes.array;
-        const originalSizes = userData.sizes;
-        
-        // Update sizes for twinkling effect
-        for (let i = 0; i < count; i++) {
-            const offset = userData.randomOffsets[i];
-            const speed = userData.randomSpeeds[i];
-            
-            // Oscillate size for twinkling
-            const twinkle = 0.3 + 0.7 * Math.abs(Math.sin(time * speed + offset));
-            sizesArray[i] = originalSizes[i] * twinkle;
-        }
-        
-        sizes.needsUpdate = true;
+        updateStarMaterial(starfield.material, renderer, camera);
     };
     
-    // Add shooting stars
-    const shootingStars = createShootingStars(scene);
+    const shootingStars = createShootingStars(scene, random.fork('shootingStars'));
     
-    return { starfield, shootingStars };
+    return { starfield, shootingStars, namedStars };
 }
 
 /**
  * Create shooting stars that periodically streak across the sky
  * @param {THREE.Scene} scene - The scene to add the shooting stars to
+ * @param {Random} random - Seeded random generator
  * @returns {Object} - The shooting star system
  */
-function createShootingStars(scene) {
+function createShootingStars(scene, random = new Random()) {
     const count = 20; // Number of potential shooting stars
     const activeMax = 3; // Maximum number active at once
     
@@ -146,9 +318,7 @@ function createShootingStars(scene) {
     // Custom shader material for shooting stars with trails
     const shootingStarMaterial = new THREE.ShaderMaterial({
         uniforms: {
-            pointTexture: { value: new THREE.TextureLoader(loadingManager).load(
-                'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/sprites/spark1.png') 
-            }
+            pointTexture: { value: loadTexture('spark') }
         },
         vertexShader: `
             attribute float size;
@@ -189,7 +359,7 @@ function createShootingStars(scene) {
         // Find an inactive slot
         let slot = -1;
         for (let i = 0; i < count; i++) {
-            if (alphas.array[i] <= 0) {
+            if (alphas[i] <= 0) {
                 slot = i;
                 break;
             }
@@ -198,11 +368,11 @@ function createShootingStars(scene) {
         if (slot === -1) return; // No free slots
         
         // Random direction in upper hemisphere
-        const phi = THREE.MathUtils.randFloat(0, Math.PI * 0.4); // Angle from top
-        const theta = THREE.MathUtils.randFloat(0, Math.PI * 2); // Around horizon
+        const phi = random.range(0, Math.PI * 0.4); // Angle from top
+        const theta = random.range(0, Math.PI * 2); // Around horizon
         
         // Random distance
-        const radius = THREE.MathUtils.randFloat(300, 600);
+        const radius = random.range(300, 600);
         
         // Start position
         const startX = radius * Math.sin(phi) * Math.cos(theta);
@@ -210,8 +380,8 @@ function createShootingStars(scene) {
         const startZ = radius * Math.sin(phi) * Math.sin(theta);
         
         // End position (continuing in mostly same direction but downward)
-        const endPhi = phi + THREE.MathUtils.randFloat(0.3, 0.6); // Continue downward
-        const endTheta = theta + THREE.MathUtils.randFloat(-0.1, 0.1); // Slight curve
+        const endPhi = phi + random.range(0.3, 0.6); // Continue downward
+        const endTheta = theta + random.range(-0.1, 0.1); // Slight curve
         
         // Calculate end position
         const endX = radius * Math.sin(endPhi) * Math.cos(endTheta);
@@ -219,15 +389,15 @@ function createShootingStars(scene) {
         const endZ = radius * Math.sin(endPhi) * Math.sin(endTheta);
         
         // Shooting star data
-        const speed = THREE.MathUtils.randFloat(0.5, 2.0);
+        const speed = random.range(0.5, 2.0);
         const shootingStar = {
             index: slot,
             startPosition: new THREE.Vector3(startX, startY, startZ),
             endPosition: new THREE.Vector3(endX, endY, endZ),
             progress: 0,
             speed: speed,
-            size: THREE.MathUtils.randFloat(6, 10),
-            maxAlpha: THREE.MathUtils.randFloat(0.7, 1.0)
+            size: random.range(6, 10),
+            maxAlpha: random.range(0.7, 1.0)
         };
         
         // Activate it
@@ -244,7 +414,7 @@ function createShootingStars(scene) {
         activeShootingStars.push(shootingStar);
     }
     
-    // Function to update shooting stars
+    // Function to update shooting stars (deltaTime is negative when time runs backwards)
     function updateShootingStars(deltaTime) {
         for (let i = activeShootingStars.length - 1; i >= 0; i--) {
             const star = activeShootingStars[i];
@@ -264,7 +434,10 @@ function createShootingStars(scene) {
             
             // Update alpha - fade in, then fade out
             let newAlpha = 0;
-            if (star.progress < 0.2) {
+            if (star.progress < 0) {
+                // Rewound past its start
+                newAlpha = 0;
+            } else if (star.progress < 0.2) {
                 // Fade in
                 newAlpha = THREE.MathUtils.mapLinear(star.progress, 0, 0.2, 0, star.maxAlpha);
             } else if (star.progress < 0.8) {
@@ -277,8 +450,8 @@ function createShootingStars(scene) {
             
             alphas[idx] = newAlpha;
             
-            // Remove if complete
-            if (star.progress >= 1.0) {
+            // Remove if complete (or fully rewound)
+            if (star.progress >= 1.0 || star.progress < 0) {
                 alphas[idx] = 0;
                 activeShootingStars.splice(i, 1);
             }
@@ -288,22 +461,20 @@ function createShootingStars(scene) {
         geometry.attributes.alpha.needsUpdate = true;
     }
     
-    // Periodically create new shooting stars
-    let lastCheck = 0;
+    // Periodically create new shooting stars (measured in simulation seconds)
+    let timeSinceCheck = 0;
     
     // Animation loop
-    let clockStart = Date.now();
     shootingStars.userData = {
         update: function(deltaTime) {
-            const now = Date.now();
-            
             // Update existing shooting stars
             updateShootingStars(deltaTime);
             
             // Occasionally create new shooting stars
-            if (now - lastCheck > 3000) { // Check every 3 seconds
-                lastCheck = now;
-                if (Math.random() < 0.4) { // 40% chance of creating a shooting star
+            timeSinceCheck += Math.abs(deltaTime);
+            if (timeSinceCheck > 3) { // Check every 3 seconds
+                timeSinceCheck -= 3;
+                if (random.chance(0.4)) { // 40% chance of creating a shooting star
                     createNewShootingStar();
                 }
             }
@@ -313,4 +484,4 @@ function createShootingStars(scene) {
     return shootingStars;
 }
 
-export { createStarfield }; 
\ No newline at end of file
+export { createStarfield, createCatalogStarfield }; 
\ No newline at end of file
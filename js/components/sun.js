@@ -1,36 +1,296 @@
 import * as THREE from 'three';
-import { loadingManager } from '../utils/loading.js';
+import { Lensflare, LensflareElement } from 'three/addons/objects/Lensflare.js';
+import { loadTexture } from '../utils/assets.js';
+import { Orbit } from '../utils/orbit.js';
+import { Random } from '../utils/random.js';
+import { simulationClock } from '../utils/simulationClock.js';
+import { bodyRegistry } from '../utils/bodyRegistry.js';
+import {
+    spectralClassTemperature,
+    temperatureSpectralClass,
+    blackbodyColor,
+    relativeLuminosity
+} from '../utils/blackbody.js';
+
+// Radius and light intensity that stand for the Sun itself when working out
+// the brightness of other stars
+const SOLAR_RADIUS = 15;
+const SOLAR_INTENSITY = 1.5;
+
+// How far a star's light (and its shadows) reach
+const LIGHT_RANGE = 1000;
+
+// Shadow map resolution per cube face, enough for moon-sized casters a few
+// hundred units out
+const SHADOW_MAP_SIZE = 2048;
+
+// Prominences that can be up at once. Time is cut into slots of flareInterval
+// seconds, each holding at most one, and the pool takes turns with the slots.
+const FLARE_POOL = 3;
+const FLARE_CHANCE = 0.8;
+const MIN_FLARE_DURATION = 6;
+const MAX_FLARE_DURATION = 10;
+
+// Shortest flare interval at which a pool entry is always free again in time
+const MIN_FLARE_INTERVAL = 5;
+
+// Cheap 3D value noise shared by the corona and prominence shaders
+const noiseChunk = `
+    float hash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+    }
+    
+    float noise(vec3 x) {
+        vec3 i = floor(x);
+        vec3 f = fract(x);
+        f = f * f * (3.0 - 2.0 * f);
+        return mix(
+            mix(mix(hash(i), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+                mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+            mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+                mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+            f.z
+        );
+    }
+`;
+
+/**
+ * Loop of glowing gas rising from the surface: a half circle with its feet at
+ * (-1, 0, 0) and (1, 0, 0) and its top at (0, 0.9, 0)
+ */
+class ProminenceCurve extends THREE.Curve {
+    getPoint(t, target = new THREE.Vector3()) {
+        return target.set(-Math.cos(Math.PI * t), Math.sin(Math.PI * t) * 0.9, 0);
+    }
+}
+
+/**
+ * Light intensity of a star, growing with its luminosity (radius² × temperature⁴).
+ * The square root keeps hot giants from washing out the scene and red dwarfs
+ * from vanishing.
+ * @param {number} temperature - Surface temperature in kelvin
+ * @param {number} radius - Radius in scene units
+ * @returns {number}
+ */
+function starIntensity(temperature, radius) {
+    const luminosity = relativeLuminosity(temperature, radius / SOLAR_RADIUS);
+    return SOLAR_INTENSITY * THREE.MathUtils.clamp(Math.sqrt(luminosity), 0.15, 6);
+}
+
+/**
+ * Create the corona: a shell of faint, slowly churning gas around the star,
+ * brightest at the edge of the disc and fading outwards
+ * @param {number} radius - Radius of the star
+ * @param {THREE.Color} color - Star color
+ * @returns {THREE.Mesh}
+ */
+function createCorona(radius, color) {
+    const extent = 1.6; // Shell radius in star radii
+    
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            time: { value: 0 },
+            extent: { value: extent },
+            color: { value: color.clone() }
+        },
+        vertexShader: `
+            varying vec3 vNormal;
+            varying vec3 vViewDirection;
+            varying vec3 vDirection;
+            
+            void main() {
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                vNormal = normalize(normalMatrix * normal);
+                vViewDirection = normalize(-mvPosition.xyz);
+                vDirection = normalize(position);
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `,
+        fragmentShader: `
+            uniform float time;
+            uniform float extent;
+            uniform vec3 color;
+            
+            varying vec3 vNormal;
+            varying vec3 vViewDirection;
+            varying vec3 vDirection;
+            
+            ${noiseChunk}
+            
+            void main() {
+                // Distance of this point from the star's center on screen, in star radii
+                float facing = abs(dot(normalize(vNormal), normalize(vViewDirection)));
+                float d = extent * sqrt(1.0 - facing * facing);
+                
+                // Faint over the disc, then falling away from the edge
+                float glow = d < 1.0 ? d * d * 0.35 : pow(1.0 - (d - 1.0) / (extent - 1.0), 3.0);
+                
+                // Streamers that slowly churn
+                float streamers = noise(vDirection * 5.0 + vec3(0.0, time * 0.04, 0.0));
+                streamers = 0.55 + 0.9 * streamers * noise(vDirection * 13.0 - vec3(time * 0.07));
+                
+                float alpha = clamp(glow * streamers, 0.0, 1.0);
+                gl_FragColor = vec4(color * alpha, alpha);
+            }
+        `,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+    
+    return new THREE.Mesh(new THREE.SphereGeometry(radius * extent, 64, 32), material);
+}
+
+/**
+ * Create the pool of prominences (and the flash of the flare that throws each one up)
+ * @param {number} radius - Radius of the star
+ * @param {THREE.Color} color - Star color
+ * @returns {THREE.Object3D[]} - One pivot per pool entry, sitting on the surface
+ */
+function createProminences(radius, color) {
+    const geometry = new THREE.TubeGeometry(new ProminenceCurve(), 48, 0.07, 8, false);
+    // Hot gas looks redder than the star behind it
+    const gasColor = color.clone().lerp(new THREE.Color(0xff5a2a), 0.6);
+    const flashTexture = loadTexture('lensflare');
+    
+    return Array.from({ length: FLARE_POOL }, () => {
+        const pivot = new THREE.Object3D();
+        pivot.visible = false;
+        
+        const arch = new THREE.Mesh(geometry, new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                opacity: { value: 0 },
+                color: { value: gasColor }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                
+                void main() {
+                    vUv = uv;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float time;
+                uniform float opacity;
+                uniform vec3 color;
+                
+                varying vec2 vUv;
+                
+                ${noiseChunk}
+                
+                void main() {
+                    // Knots of gas draining down the loop towards both feet
+                    float drain = abs(vUv.x - 0.5);
+                    float knots = 0.5 + 0.8 * noise(vec3(drain * 18.0 - time * 0.8, vUv.y * 3.0, 0.0));
+                    float alpha = opacity * knots;
+                    gl_FragColor = vec4(color * alpha, alpha);
+                }
+            `,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        pivot.add(arch);
+        
+        const flash = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: flashTexture,
+            color: 0xffffff,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        pivot.add(flash);
+        
+        pivot.userData = { arch, flash, slot: null, flare: null };
+        return pivot;
+    });
+}
 
 /**
- * Create a sun with proper lighting and effects
+ * Create a star with proper lighting and effects: a glowing surface, an
+ * animated corona, a glow and lens flare that always face the camera, and
+ * solar flares that now and then throw loops of gas (prominences) off the surface.
+ * Give a spectral class or a temperature to color and light the star as a
+ * blackbody of that temperature would be. Several stars can share a scene
+ * (a binary system, say): each lights the scene with its own point light only,
+ * and companions can orbit another star.
  * @param {THREE.Scene} scene - The scene to add the sun to
  * @param {Object} options - Configuration options
+ * @param {string} options.spectralClass - Spectral class such as 'G2' (the Sun) or 'M5' (a red dwarf)
+ * @param {number} options.temperature - Surface temperature in kelvin (instead of a spectral class)
+ * @param {number} options.color - Color of the star (derived from the temperature when omitted)
+ * @param {number} options.intensity - Light intensity (derived from the temperature and radius when omitted)
+ * @param {boolean} options.corona - Draw the corona
+ * @param {boolean} options.lensFlare - Add lens flare ghosts when the star is in view
+ * @param {boolean} options.shadows - Cast real-time shadows (needs renderer.shadowMap.enabled)
+ * @param {boolean} options.flares - Throw up flares and prominences now and then
+ * @param {number} options.flareInterval - Average seconds between flares (at least 5)
+ * @param {Object} options.orbit - Optional orbital elements (see Orbit); the star then
+ *     follows the ellipse around orbitCenter instead of sitting at position
+ * @param {THREE.Object3D|THREE.Vector3} options.orbitCenter - What the star orbits (defaults to the origin)
+ * @param {boolean} options.showOrbit - Draw the orbit as a line
+ * @param {string} options.description - Text shown when the star is selected
  * @returns {THREE.Group} - The sun object
  */
 function createSun(scene, options = {}) {
     const {
-        radius = 15,
+        name = 'Sun',
+        description = '',
+        radius = SOLAR_RADIUS,
         position = new THREE.Vector3(0, 0, 0),
-        color = 0xffdd88, // Warm sun color
-        intensity = 1.5
+        spectralClass = null,
+        temperature = null,
+        color = null,
+        intensity = null,
+        corona = true,
+        lensFlare = true,
+        shadows = false,
+        flares = true,
+        flareInterval = 12,
+        orbit = null, // Keplerian orbital elements (companion stars)
+        orbitCenter = new THREE.Vector3(0, 0, 0),
+        showOrbit = false,
+        random = new Random() // Seeded generator for the flares
     } = options;
     
+    // Work out color and brightness from the temperature, unless given outright
+    const starTemperature = temperature || (spectralClass ? spectralClassTemperature(spectralClass) : null);
+    let starColor;
+    if (color !== null) {
+        starColor = new THREE.Color(color);
+    } else if (starTemperature) {
+        starColor = blackbodyColor(starTemperature);
+    } else {
+        starColor = new THREE.Color(0xffdd88); // Warm sun color
+    }
+    let lightIntensity = intensity;
+    if (lightIntensity === null) {
+        lightIntensity = starTemperature ? starIntensity(starTemperature, radius) : SOLAR_INTENSITY;
+    }
+    
     // Create a group to hold all sun-related objects
     const sunGroup = new THREE.Group();
+    sunGroup.name = name;
+    sunGroup.position.copy(position);
+    sunGroup.userData.radius = radius; // For the penumbrae of eclipses
+    sunGroup.userData.shadows = shadows; // Whether its light casts real-time shadows
     
     // Create the sun sphere
     const sunGeometry = new THREE.SphereGeometry(radius, 64, 64);
     
     // Load sun texture
-    const textureLoader = new THREE.TextureLoader(loadingManager);
-    const sunTexture = textureLoader.load('https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/planets/sun.jpg');
+    const sunTexture = loadTexture('sun');
     
     // Create custom shader material for sun with animated glow
     const sunMaterial = new THREE.ShaderMaterial({
         uniforms: {
             sunTexture: { value: sunTexture },
             time: { value: 0 },
-            color: { value: new THREE.Color(color) }
+            color: { value: starColor.clone() }
         },
         vertexShader: `
             varying vec2 vUv;
@@ -74,29 +334,204 @@ function createSun(scene, options = {}) {
     
     // Create sun mesh
     const sun = new THREE.Mesh(sunGeometry, sunMaterial);
-    sun.position.copy(position);
     
-    // Add point light at the sun's center
-    const sunLight = new THREE.PointLight(color, intensity, 1000);
-    sunLight.position.copy(position);
+    // Add point light at the sun's center (each star lights the scene on its own;
+    // the scene's ambient light is set once, in the scene file)
+    const sunLight = new THREE.PointLight(starColor, lightIntensity, LIGHT_RANGE);
     
-    // Create an omnidirectional light for general illumination
-    const ambientLight = new THREE.AmbientLight(0x222244, 0.3);
+    // Shadows reach from the star's surface (nothing inside it needs shading) to
+    // the end of its light
+    if (shadows) {
+        sunLight.castShadow = true;
+        sunLight.shadow.mapSize.set(SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+        sunLight.shadow.camera.near = radius;
+        sunLight.shadow.camera.far = LIGHT_RANGE;
+        sunLight.shadow.bias = -0.0005;
+        sunLight.shadow.normalBias = 0.02;
+        sunLight.shadow.camera.updateProjectionMatrix();
+    }
     
     // Add everything to the group
     sunGroup.add(sun);
     sunGroup.add(sunLight);
-    scene.add(ambientLight);
+    
+    // Corona of thin, hot gas around the star
+    let coronaShell = null;
+    if (corona) {
+        coronaShell = createCorona(radius, starColor);
+        sunGroup.add(coronaShell);
+    }
+    
+    // Soft glow around the star; sprites always face the camera
+    const glow = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: loadTexture('lensflare'),
+        color: starColor,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    }));
+    glow.scale.setScalar(radius * 7);
+    sunGroup.add(glow);
+    
+    // Lens flare ghosts, drawn only while the star's center is in view
+    if (lensFlare) {
+        const ghostTexture = loadTexture('lensflareRing');
+        const flare = new Lensflare();
+        flare.addElement(new LensflareElement(loadTexture('lensflare'), 256, 0, starColor));
+        flare.addElement(new LensflareElement(ghostTexture, 60, 0.6, starColor));
+        flare.addElement(new LensflareElement(ghostTexture, 70, 0.7, starColor));
+        flare.addElement(new LensflareElement(ghostTexture, 120, 0.9, starColor));
+        flare.addElement(new LensflareElement(ghostTexture, 70, 1.0, starColor));
+        sunGroup.add(flare);
+    }
+    
+    // Prominences, each thrown up by a flare
+    const prominences = flares ? createProminences(radius, starColor) : [];
+    prominences.forEach(pivot => sunGroup.add(pivot));
+    const interval = Math.max(flareInterval, MIN_FLARE_INTERVAL);
+    
+    let starOrbit = null;
+    let orbitLine = null;
+    if (orbit) {
+        starOrbit = new Orbit(orbit);
+        if (showOrbit) {
+            orbitLine = starOrbit.createLine(0xffeebb, 0.25);
+            scene.add(orbitLine);
+        }
+    }
+    
+    /**
+     * The flare (if any) of one time slot. It depends only on the slot number,
+     * so flares come back exactly the same when the clock is rewound.
+     */
+    const getFlare = slot => {
+        const flareRandom = random.fork(`flare:${slot}`);
+        if (!flareRandom.chance(FLARE_CHANCE)) return null;
+        
+        const direction = new THREE.Vector3(
+            flareRandom.next() * 2 - 1,
+            flareRandom.next() * 2 - 1,
+            flareRandom.next() * 2 - 1
+        );
+        if (direction.lengthSq() < 1e-6) direction.set(0, 1, 0);
+        direction.normalize();
+        
+        const twist = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), flareRandom.next() * Math.PI);
+        return {
+            start: (slot + flareRandom.next() * 0.5) * interval,
+            duration: flareRandom.range(MIN_FLARE_DURATION, MAX_FLARE_DURATION),
+            size: radius * flareRandom.range(0.25, 0.6),
+            direction,
+            orientation: new THREE.Quaternion()
+                .setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction)
+                .multiply(twist)
+        };
+    };
+    
+    // Orbit, corona and flares (driven by simulation time, so they pause and reverse)
+    const centerPosition = new THREE.Vector3();
+    
+    sunGroup.userData.update = function(elapsedTime) {
+        if (starOrbit) {
+            if (orbitCenter.isObject3D) {
+                orbitCenter.getWorldPosition(centerPosition);
+            } else {
+                centerPosition.copy(orbitCenter);
+            }
+            
+            starOrbit.getPositionAt(elapsedTime, sunGroup.position).add(centerPosition);
+            if (orbitLine) {
+                orbitLine.position.copy(centerPosition);
+            }
+        }
+        
+        if (coronaShell) {
+            coronaShell.material.uniforms.time.value = elapsedTime;
+        }
+        
+        // Each pool entry shows the flare of the latest slot that is its turn
+        const currentSlot = Math.floor(elapsedTime / interval);
+        let brightest = 0;
+        
+        prominences.forEach((pivot, i) => {
+            const state = pivot.userData;
+            const slot = currentSlot - (((currentSlot - i) % FLARE_POOL) + FLARE_POOL) % FLARE_POOL;
+            if (state.slot !== slot) {
+                state.slot = slot;
+                state.flare = getFlare(slot);
+            }
+            
+            const flare = state.flare;
+            const age = flare ? (elapsedTime - flare.start) / flare.duration : -1;
+            if (age < 0 || age > 1) {
+                pivot.visible = false;
+                return;
+            }
+            
+            // The loop rises out of the surface, hangs there, then fades away
+            const rise = THREE.MathUtils.smoothstep(age, 0, 0.3);
+            const fade = 1 - THREE.MathUtils.smoothstep(age, 0.7, 1);
+            pivot.visible = true;
+            pivot.position.copy(flare.direction).multiplyScalar(radius * 0.98);
+            pivot.quaternion.copy(flare.orientation);
+            state.arch.scale.set(flare.size, flare.size * rise, flare.size);
+            state.arch.material.uniforms.opacity.value = fade;
+            state.arch.material.uniforms.time.value = elapsedTime;
+            
+            // The flare itself: a brief flash where the loop is rooted
+            const flash = age < 0.15 ? Math.sin(Math.PI * age / 0.15) : 0;
+            state.flash.visible = flash > 0;
+            state.flash.scale.setScalar(flare.size * 3 * flash + 1e-3);
+            state.flash.material.opacity = flash;
+            brightest = Math.max(brightest, flash);
+        });
+        
+        // Flares briefly brighten the whole star
+        sunLight.intensity = lightIntensity * (1 + 0.3 * brightest);
+    };
+    
+    sunGroup.userData.update(0);
+    
+    // Add to scene's updateable objects
+    if (!scene.userData.updateableObjects) {
+        scene.userData.updateableObjects = [];
+    }
+    scene.userData.updateableObjects.push(sunGroup);
     
     // Add animation update function
     sun.onBeforeRender = function(renderer, scene, camera, geometry, material) {
-        material.uniforms.time.value = performance.now() * 0.001; // Time in seconds
+        material.uniforms.time.value = simulationClock.getElapsedTime(); // Time in seconds
     };
     
     // Add the group to the scene
     scene.add(sunGroup);
     
+    // Report the sun for picking and the info panel
+    const stats = {
+        Radius: `${radius} units`,
+        Luminosity: Number(lightIntensity.toFixed(2)),
+        Color: `#${starColor.getHexString()}`
+    };
+    if (starTemperature) {
+        stats['Spectral class'] = spectralClass || temperatureSpectralClass(starTemperature);
+        stats.Temperature = `${Math.round(starTemperature)} K`;
+    }
+    if (starOrbit) {
+        stats.Orbit = `${starOrbit.semiMajorAxis} units (e = ${starOrbit.eccentricity})`;
+        stats.Period = `${starOrbit.period} s`;
+    }
+    
+    bodyRegistry.register({
+        name,
+        type: 'star',
+        object: sunGroup,
+        pickables: [sun],
+        radius,
+        description,
+        stats
+    });
+    
     return sunGroup;
 }
 
-export { createSun }; 
\ No newline at end of file
+export { LIGHT_RANGE, createSun };
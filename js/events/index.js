@@ -0,0 +1,12 @@
+import { supernovaEvent } from './supernova.js';
+
+/**
+ * Every celestial event type, registered with the event scheduler at startup.
+ * Scene files name these in their "events" entries.
+ */
+const EVENT_TYPES = [supernovaEvent];
+
+// Names a scene's events can use
+const EVENT_NAMES = EVENT_TYPES.map(type => type.name);
+
+export { EVENT_TYPES, EVENT_NAMES };
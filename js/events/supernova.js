@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+import { loadTexture } from '../utils/assets.js';
+import { simulationClock } from '../utils/simulationClock.js';
+
+// Away from the main path but visible from it
+const DEFAULT_POSITION = new THREE.Vector3(-150, 40, -120);
+
+/**
+ * Add the exploding star, its light and the shockwave
+ * @param {Object} event - Running event (see EventScheduler)
+ * @returns {Object} - Objects to animate and remove again
+ */
+function setupSupernova(event) {
+    const scene = event.scene;
+    
+    // Create a dramatically growing sphere to represent an exploding star
+    const geometry = new THREE.SphereGeometry(1, 32, 32);
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            time: { value: 0 },
+            color: { value: new THREE.Color(0xffaa22) }
+        },
+        vertexShader: `
+            varying vec3 vNormal;
+            
+            void main() {
+                vNormal = normalize(normalMatrix * normal);
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform float time;
+            uniform vec3 color;
+            varying vec3 vNormal;
+            
+            void main() {
+                // Pulsating glow
+                float pulse = 0.6 + 0.4 * sin(time * 3.0);
+                
+                // Edge glow
+                float edgeFactor = 1.0 - max(dot(vNormal, vec3(0.0, 0.0, 1.0)), 0.0);
+                edgeFactor = pow(edgeFactor, 1.5) * 0.8;
+                
+                // Final color with edge glow
+                vec3 finalColor = color * pulse;
+                finalColor += vec3(1.0, 0.7, 0.3) * edgeFactor * pulse;
+                
+                gl_FragColor = vec4(finalColor, 1.0);
+            }
+        `,
+        transparent: true,
+        blending: THREE.AdditiveBlending
+    });
+    
+    const supernova = new THREE.Mesh(geometry, material);
+    supernova.position.copy(event.options.position || DEFAULT_POSITION);
+    supernova.scale.set(1, 1, 1);
+    scene.add(supernova);
+    
+    // Add a point light at the supernova
+    const supernovaLight = new THREE.PointLight(0xffdd66, 1, 500);
+    supernovaLight.position.copy(supernova.position);
+    scene.add(supernovaLight);
+    
+    // Create shockwave particles
+    const shockwave = createShockwave(scene, supernova.position.clone(), event.duration, event.random.fork('shockwave'));
+    
+    return { supernova, supernovaLight, shockwave };
+}
+
+/**
+ * Grow, pulse and fade the supernova
+ * @param {Object} event - Running event
+ * @param {number} progress - How far through the event (0 to 1)
+ */
+function updateSupernova(event, progress) {
+    const { supernova, supernovaLight } = event.state;
+    const elapsedTime = event.startTime + progress * event.duration;
+    
+    // Update supernova size and brightness
+    if (progress < 0.3) {
+        // Initial explosion
+        const scale = 1 + progress * 100; // Grow from 1 to 30
+        supernova.scale.set(scale, scale, scale);
+        supernova.material.uniforms.time.value = elapsedTime;
+        
+        // Increase light intensity
+        supernovaLight.intensity = progress * 10;
+    } else if (progress < 0.7) {
+        // Peak brightness
+        supernova.material.uniforms.time.value = elapsedTime;
+        supernovaLight.intensity = 3 + Math.sin(elapsedTime * 3) * 1.5;
+    } else {
+        // Fade out
+        const fadeOut = 1 - ((progress - 0.7) / 0.3);
+        const scale = 30 * fadeOut;
+        supernova.scale.set(scale, scale, scale);
+        supernova.material.uniforms.time.value = elapsedTime;
+        supernovaLight.intensity = fadeOut * 3;
+    }
+}
+
+/**
+ * Remove the supernova (and the shockwave, if the event was cut short)
+ * @param {Object} event - Running event
+ */
+function teardownSupernova(event) {
+    const { supernova, supernovaLight, shockwave } = event.state;
+    
+    event.scene.remove(supernova);
+    event.scene.remove(supernovaLight);
+    supernova.geometry.dispose();
+    supernova.material.dispose();
+    
+    if (!shockwave.userData.finished) {
+        event.scene.remove(shockwave);
+        shockwave.userData.finished = true;
+    }
+}
+
+/**
+ * Create expanding shockwave particles that remove themselves when done
+ * @param {THREE.Scene} scene - The scene to add the shockwave to
+ * @param {THREE.Vector3} center - Where the shockwave starts
+ * @param {number} duration - Simulation seconds until it has faded out
+ * @param {Random} random - Seeded generator for the particles
+ * @returns {THREE.Points} - The shockwave particles
+ */
+function createShockwave(scene, center, duration, random) {
+    const particleCount = 2000;
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(particleCount * 3);
+    const startPositions = new Float32Array(particleCount * 3);
+    const colors = new Float32Array(particleCount * 3);
+    const sizes = new Float32Array(particleCount);
+    const velocity = new Float32Array(particleCount * 3);
+    
+    // Initialize particles in a spherical shell
+    for (let i = 0; i < particleCount; i++) {
+        // Random direction (spherical coordinates)
+        const phi = Math.acos(random.next() * 2 - 1); // -1 to 1
+        const theta = random.next() * Math.PI * 2; // 0 to 2π
+        
+        // Start close to the center
+        const radius = 5;
+        positions[i * 3] = center.x + radius * Math.sin(phi) * Math.cos(theta);
+        positions[i * 3 + 1] = center.y + radius * Math.sin(phi) * Math.sin(theta);
+        positions[i * 3 + 2] = center.z + radius * Math.cos(phi);
+        
+        startPositions[i * 3] = positions[i * 3];
+        startPositions[i * 3 + 1] = positions[i * 3 + 1];
+        startPositions[i * 3 + 2] = positions[i * 3 + 2];
+        
+        // Velocity in same direction as position (outward), in units per frame at 60 fps
+        const speed = 2 + random.next() * 5;
+        velocity[i * 3] = Math.sin(phi) * Math.cos(theta) * speed;
+        velocity[i * 3 + 1] = Math.sin(phi) * Math.sin(theta) * speed;
+        velocity[i * 3 + 2] = Math.cos(phi) * speed;
+        
+        // Color (orange to blue gradient)
+        const r = 1.0;
+        const g = 0.4 + random.next() * 0.4; // 0.4 to 0.8
+        const b = random.next() * 0.4; // 0 to 0.4
+        
+        colors[i * 3] = r;
+        colors[i * 3 + 1] = g;
+        colors[i * 3 + 2] = b;
+        
+        // Size
+        sizes[i] = 2 + random.next() * 5;
+    }
+    
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    
+    // Material with custom shader
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            time: { value: 0 },
+            duration: { value: duration },
+            pointTexture: { value: loadTexture('spark') }
+        },
+        vertexShader: `
+            attribute float size;
+            varying float vSize;
+            varying vec3 vColor;
+            uniform float time;
+            uniform float duration;
+            
+            void main() {
+                vSize = size;
+                vColor = color;
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                gl_PointSize = size * (40.0 / -mvPosition.z) * (1.0 - time/duration);
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `,
+        fragmentShader: `
+            uniform sampler2D pointTexture;
+            uniform float time;
+            uniform float duration;
+            varying float vSize;
+            varying vec3 vColor;
+            
+            void main() {
+                // Fade out over time
+                float opacity = 1.0 - (time / duration);
+                opacity = max(0.0, opacity);
+                
+                gl_FragColor = vec4(vColor, opacity) * texture2D(pointTexture, gl_PointCoord);
+            }
+        `,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        transparent: true,
+        vertexColors: true
+    });
+    
+    const particles = new THREE.Points(geometry, material);
+    scene.add(particles);
+    
+    // Store animation data
+    particles.userData = {
+        velocity,
+        startTime: simulationClock.getElapsedTime(),
+        duration: duration,
+        update: function(elapsedTime) {
+            const positions = particles.geometry.attributes.position.array;
+            const runtime = elapsedTime - this.startTime;
+            
+            if (runtime < 0 || runtime >= this.duration) {
+                // Remove when complete (or rewound to before it started)
+                scene.remove(particles);
+                this.finished = true;
+                return;
+            }
+            
+            material.uniforms.time.value = runtime;
+            
+            // Particles slow down over time: speed falls linearly to half by the end.
+            // Integrated in closed form so the shockwave can be paused, scaled or rewound.
+            const travel = 60 * (runtime - 0.25 * runtime * runtime / this.duration);
+            for (let i = 0; i < particleCount * 3; i++) {
+                positions[i] = startPositions[i] + velocity[i] * travel;
+            }
+            particles.geometry.attributes.position.needsUpdate = true;
+        }
+    };
+    
+    // Add to scene's updateable objects
+    if (!scene.userData.updateableObjects) {
+        scene.userData.updateableObjects = [];
+    }
+    scene.userData.updateableObjects.push(particles);
+    
+    return particles;
+}
+
+/**
+ * A massive star explodes, flaring up for a few seconds and sending out a shockwave
+ */
+const supernovaEvent = {
+    name: 'supernova',
+    title: 'Supernova Detected!',
+    description: 'Witness the extraordinary death of a massive star, releasing more energy in its final moments than it has throughout its entire lifetime. The shockwave ripples through the surrounding space.',
+    duration: 25,
+    setup: setupSupernova,
+    update: updateSupernova,
+    teardown: teardownSupernova
+};
+
+export { supernovaEvent, createShockwave };
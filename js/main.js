@@ -7,76 +7,109 @@ import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { GammaCorrectionShader } from 'three/addons/shaders/GammaCorrectionShader.js';
 
-import { createStarfield } from './components/starfield.js';
+import { createStarfield, createCatalogStarfield } from './components/starfield.js';
 import { createPlanet } from './components/planet.js';
 import { createSun } from './components/sun.js';
 import { createNebula } from './components/nebula.js';
+import { createComet } from './components/comet.js';
+import { createAsteroidBelt } from './components/asteroidBelt.js';
+import { createBlackHole, GravitationalLensingShader, updateLensingPass } from './components/blackHole.js';
 import { createSkybox } from './components/skybox.js';
-import { loadingManager, updateProgress } from './utils/loading.js';
-import { CameraPath } from './utils/cameraPath.js';
+import { updateProgress } from './utils/loading.js';
+import { TourManager } from './utils/tours.js';
+import { LocationTriggers } from './utils/locationTriggers.js';
+import { InfoCardQueue } from './utils/infoCards.js';
+import { EventScheduler } from './utils/eventScheduler.js';
+import { PathEditor } from './utils/pathEditor.js';
+import { BodySelection } from './utils/bodySelection.js';
+import { StarLabels } from './utils/starLabels.js';
+import { CameraTransition } from './utils/cameraTransition.js';
+import { FlightControls } from './utils/flightControls.js';
+import { KeyBindings } from './utils/keyBindings.js';
+import { KeyHelp } from './utils/keyHelp.js';
+import { bodyRegistry } from './utils/bodyRegistry.js';
+import { loadScene } from './utils/sceneLoader.js';
+import { loadStarCatalog } from './utils/starCatalog.js';
+import { simulationClock } from './utils/simulationClock.js';
+import { Random, getSeedFromUrl } from './utils/random.js';
+import { EVENT_TYPES } from './events/index.js';
 
 // Global variables
 let scene, camera, renderer, controls;
-let cameraPath;
+let tours; // Registry of named camera tours
+let cameraPath; // Path of the current tour
+let pathEditor; // In-scene camera path editor
+let celestialEvents; // Scheduler for supernovae and other scripted events
+let bodySelection; // Click-to-select bodies, info panel and fly-to
+let starLabels; // Hover labels for named catalog stars
+let handoff; // Blends the camera between control modes
+let flightControls; // Six-degrees-of-freedom spaceship controls
 let composer; // For post-processing
-let clock = new THREE.Clock();
-let isAutoPilot = true; // Start in auto-pilot mode
+let lensingPass; // Bends light around black holes
+let controlMode = 'autopilot'; // 'autopilot', 'manual' (orbit) or 'flight'; start in auto-pilot
 let loadingScreen = document.getElementById('loading');
 let titleCard = document.getElementById('title-card');
 let locationInfo = document.getElementById('location-info');
 let journeyStarted = false;
-let currentLocationIndex = -1;
-let lastLocationChangeTime = 0;
 let starfieldObjects; // To store starfield and shooting stars
-let dramaticEventTriggered = false;
-let dramaticEventProgress = 0;
+let locationIndex = -1; // Point of interest last visited with the next/previous shortcuts
+let screenshotRequested = false; // Save the next rendered frame as an image
+
+// Seeded randomness: the same ?seed= always reproduces the same journey
+const sessionSeed = getSeedFromUrl();
+const sessionRandom = new Random(sessionSeed);
+const eventRandom = sessionRandom.fork('events');
 let toggleControlBtn; // Control button for toggling between modes
 
+// Control modes, in the order the mode button cycles through them
+const CONTROL_MODES = ['autopilot', 'manual', 'flight'];
+const CONTROL_MODE_LABELS = {
+    autopilot: { button: '🚀 Auto-Pilot', info: 'Auto-Pilot Mode' },
+    manual: { button: '🎮 Manual', info: 'Manual Control Mode' },
+    flight: { button: '🛸 Flight', info: 'Flight Mode - WASD/QE thrust, drag to look, Z/C roll, Shift boost' }
+};
+
+// Manual control orbits a point at least this far in front of the camera
+const MIN_ORBIT_DISTANCE = 30;
+
+// Simulation time controls
+const timeReverseBtn = document.getElementById('time-reverse');
+const timePauseBtn = document.getElementById('time-pause');
+const timeStepBtn = document.getElementById('time-step');
+const timeScaleSlider = document.getElementById('time-scale-slider');
+const timeScaleDisplay = document.getElementById('time-scale-display');
+
+// Camera track controls
+const tourSelect = document.getElementById('tour-select');
+const tourPlayBtn = document.getElementById('tour-play');
+const tourSeekSlider = document.getElementById('tour-seek');
+const tourTimeDisplay = document.getElementById('tour-time');
+const tourEditBtn = document.getElementById('tour-edit');
+
+// Spaceship flight readout
+const flightHud = document.getElementById('flight-hud');
+const flightSpeedDisplay = document.getElementById('flight-speed');
+
 // Music control
 const backgroundMusic = document.getElementById('background-music');
 const musicToggle = document.getElementById('music-toggle');
 const volumeSlider = document.getElementById('volume-slider');
 const volumeDisplay = document.getElementById('volume-display');
 
-// Celestial points of interest with descriptions
-const cosmicLocations = [
-    {
-        name: "Solar Core",
-        description: "The heart of our cosmic journey begins near a massive star, its energy radiating across light years.",
-        triggerDistance: 50,
-        position: new THREE.Vector3(10, 10, 40)
-    },
-    {
-        name: "Nebula Vortex",
-        description: "A swirling cloud of gas and cosmic dust, birthplace of new stars and home to ancient stellar remnants.",
-        triggerDistance: 60,
-        position: new THREE.Vector3(-70, 20, -60)
-    },
-    {
-        name: "Terrestrial World",
-        description: "A blue-green oasis in the void, reminding us of the rarity and fragility of life in the cosmos.",
-        triggerDistance: 40,
-        position: new THREE.Vector3(30, 0, 0)
-    },
-    {
-        name: "Galactic Horizon",
-        description: "At the edge of a galaxy's spiral arm, countless stars stretch into infinity beyond human comprehension.",
-        triggerDistance: 70,
-        position: new THREE.Vector3(-100, -30, 80)
-    },
-    {
-        name: "Cosmic Waypoint",
-        description: "A region where electromagnetic waves from distant quasars converge, creating a celestial lighthouse.",
-        triggerDistance: 50,
-        position: new THREE.Vector3(90, 40, -90)
-    }
-];
+// Celestial points of interest with descriptions (filled in from the scene file)
+const locationTriggers = new LocationTriggers();
+const infoCards = new InfoCardQueue(locationInfo);
 
-// Initialize the scene
-function init() {
+// Initialize the scene from a validated scene configuration (and its star catalog, if any)
+function init(sceneConfig, starCatalog = null) {
+    const {
+        fog: { color: fogColor = 0x000000, density: fogDensity = 0.00015 },
+        ambientLight: { color: ambientColor = 0x222222, intensity: ambientIntensity = 1 }
+    } = sceneConfig;
+    
     // Create scene
     scene = new THREE.Scene();
-    scene.fog = new THREE.FogExp2(0x000000, 0.00015);
+    scene.fog = new THREE.FogExp2(fogColor, fogDensity);
     
     // Create camera
     camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 10000);
@@ -88,93 +121,119 @@ function init() {
     renderer.setPixelRatio(window.devicePixelRatio);
     renderer.toneMapping = THREE.ACESFilmicToneMapping;
     renderer.toneMappingExposure = 1.2; // slightly brighter
+    
+    // Real-time shadows, when a star in the scene casts them
+    renderer.shadowMap.enabled = [sceneConfig.sun, ...sceneConfig.stars].some(star => star && star.shadows);
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     document.body.appendChild(renderer.domElement);
     
     // Set up post-processing
     setupPostProcessing();
     
     // Add ambient light (general space illumination)
-    const ambientLight = new THREE.AmbientLight(0x222222);
+    const ambientLight = new THREE.AmbientLight(ambientColor, ambientIntensity);
     scene.add(ambientLight);
     
     // Add skybox (distant stars backdrop)
-    createSkybox(scene);
-    
-    // Add starfield (closer stars as particles)
-    starfieldObjects = createStarfield(scene, 15000); // More stars for dramatic effect
-    
-    // Add sun at the center
-    const sun = createSun(scene, {
-        radius: 18,
-        intensity: 2.0,
-        color: 0xffa030 // More orange-ish for dramatic effect
-    });
-    
-    // Create planets at various distances with more dramatic options
-    const earth = createPlanet(scene, {
-        radius: 5,
-        texture: 'earth',
-        position: new THREE.Vector3(30, 0, 0),
-        rotationSpeed: 0.01,
-        hasAtmosphere: true,
-        moons: [{ radius: 1.2, distance: 10 }]
-    });
-    
-    const mars = createPlanet(scene, {
-        radius: 2.5,
-        texture: 'mars',
-        position: new THREE.Vector3(-40, 5, 20),
-        rotationSpeed: 0.008
-    });
+    createSkybox(scene, sceneConfig.skybox);
+    
+    // Add starfield (closer stars as particles), from a real star catalog when the scene names one
+    if (starCatalog) {
+        starfieldObjects = createCatalogStarfield(scene, starCatalog, {
+            magnitudeLimit: sceneConfig.starfield.magnitudeLimit,
+            random: sessionRandom.fork('starfield')
+        });
+    } else {
+        starfieldObjects = createStarfield(scene, sceneConfig.starfield.count, sessionRandom.fork('starfield'));
+    }
     
-    const jupiter = createPlanet(scene, {
-        radius: 12,
-        texture: 'jupiter',
-        position: new THREE.Vector3(100, -20, -50),
-        rotationSpeed: 0.02
-    });
+    // Add the sun
+    let sun = null;
+    if (sceneConfig.sun) {
+        sun = createSun(scene, { random: sessionRandom.fork('sun'), ...sceneConfig.sun });
+    }
     
-    const saturn = createPlanet(scene, {
-        radius: 10,
-        texture: 'saturn',
-        position: new THREE.Vector3(-90, 15, -70),
-        rotationSpeed: 0.018,
-        hasRings: true,
-        tilt: 0.4
+    // Further stars of a binary or multi-star system (their orbits are centered on the sun)
+    const stars = sceneConfig.stars.map((star, i) => createSun(scene, {
+        orbitCenter: sun || new THREE.Vector3(0, 0, 0),
+        random: sessionRandom.fork(`star:${i}`),
+        ...star
+    }));
+    
+    // Create planets described by the scene (orbits are centered on the sun, whose
+    // size also sets how soft the edges of eclipses are)
+    const orbitCenter = (sceneConfig.sun && sceneConfig.sun.position) || new THREE.Vector3(0, 0, 0);
+    sceneConfig.planets.forEach((planet, i) => createPlanet(scene, {
+        orbitCenter: sun || orbitCenter,
+        random: sessionRandom.fork(`planet:${i}`),
+        ...planet
+    }));
+    
+    // Comets swing past the sun on long, eccentric orbits
+    sceneConfig.comets.forEach((comet, i) => createComet(scene, {
+        orbitCenter,
+        random: sessionRandom.fork(`comet:${i}`),
+        ...comet
+    }));
+    
+    // Asteroid belts and debris fields (centered on the sun unless placed elsewhere)
+    sceneConfig.asteroidBelts.forEach((belt, i) => createAsteroidBelt(scene, {
+        camera,
+        shadowLights: [sun, ...stars].filter(star => star && star.userData.shadows),
+        position: orbitCenter,
+        random: sessionRandom.fork(`belt:${i}`),
+        ...belt
+    }));
+    
+    // Black holes (their light bending is done in post-processing)
+    sceneConfig.blackHoles.forEach(blackHole => createBlackHole(scene, blackHole));
+    
+    // Add nebulae for visual interest
+    sceneConfig.nebulae.forEach((nebula, i) => createNebula(scene, {
+        random: sessionRandom.fork(`nebula:${i}`),
+        ...nebula
+    }));
+    
+    // Points of interest shown during the journey; some follow moving bodies, and
+    // eclipses wait for a body to pass in front of the sun
+    sceneConfig.locations.forEach(location => {
+        const occluder = location.eclipse && bodyRegistry.get(location.eclipse);
+        locationTriggers.add({
+            ...location,
+            target: location.body ? scene.getObjectByName(location.body) : null,
+            eclipse: occluder ? {
+                body: occluder.object,
+                bodyRadius: occluder.sphereRadius,
+                sun,
+                sunRadius: sun.userData.radius
+            } : null
+        });
     });
-    
-    // Add multiple nebulae for more visual interest
-    createNebula(scene, {
-        position: new THREE.Vector3(-100, 30, -80),
-        scale: 100,
-        color: 0x8844aa, // Purple
-        density: 12
+    locationTriggers.on('enter', location => {
+        infoCards.show({ title: location.name, text: location.description });
+        celestialEvents.notifyLocation(location.name);
     });
     
-    createNebula(scene, {
-        position: new THREE.Vector3(150, -40, 100),
-        scale: 180,
-        color: 0x00aaff, // Blue
-        density: 10,
-        opacity: 0.4
-    });
+    // Scripted celestial events, fired by time, tour progress, arrival or at random
+    celestialEvents = new EventScheduler({ scene, infoCards, random: eventRandom });
+    EVENT_TYPES.forEach(type => celestialEvents.register(type));
+    sceneConfig.events.forEach(event => celestialEvents.schedule(event));
     
-    createNebula(scene, {
-        position: new THREE.Vector3(70, 80, -120),
-        scale: 140,
-        color: 0xff5500, // Orange
-        density: 8,
-        opacity: 0.3
-    });
+    // Start events by hand from the browser console, e.g. galacticEvents.trigger('supernova')
+    window.galacticEvents = celestialEvents;
     
     // Create a more dramatic camera path
-    setupCameraPath();
+    setupTours(sceneConfig);
     
     // Add orbit controls for manual control
     controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
     controls.dampingFactor = 0.05;
-    controls.enabled = !isAutoPilot;
+    controls.enabled = controlMode === 'manual';
+    handoff = new CameraTransition(camera);
+    
+    // Spaceship controls for flying between the planets yourself
+    flightControls = new FlightControls(camera, renderer.domElement);
     
     // Handle window resize
     window.addEventListener('resize', onWindowResize);
@@ -182,50 +241,59 @@ function init() {
     // Add mode toggle control button for touch devices
     createModeToggleButton();
     
-    // Add tap/click event to toggle between auto-pilot and manual control
+    // Click on a planet, moon, star, comet or nebula to select it
+    bodySelection = new BodySelection({
+        scene,
+        camera,
+        renderer,
+        controls,
+        panel: document.getElementById('body-info'),
+        fov: camera.fov,
+        onFlyTo: () => {
+            // The fly-to move takes over from the hand-off blend
+            if (controlMode !== 'manual') setControlMode('manual');
+            handoff.cancel();
+        }
+    });
+    
+    // Hover over a named catalog star to see what it is
+    if (starfieldObjects.namedStars) {
+        starLabels = new StarLabels({
+            stars: starfieldObjects.namedStars,
+            starfield: starfieldObjects.starfield,
+            camera,
+            renderer,
+            label: document.getElementById('star-label')
+        });
+    }
+    
+    // Remember where a press started, so drags (orbiting, swiping) aren't taken for clicks
+    let pressTime = 0;
+    let pressPosition = { x: 0, y: 0 };
+    
+    renderer.domElement.addEventListener('pointerdown', function(event) {
+        pressTime = Date.now();
+        pressPosition = { x: event.clientX, y: event.clientY };
+    });
+    
+    // Tap/click a body to select it, or empty space to toggle between auto-pilot and manual control
     renderer.domElement.addEventListener('click', function(event) {
         // Ignore clicks when interacting with controls or other UI elements
         if (event.target !== renderer.domElement) return;
+        // In the path editor clicks select keyframes instead
+        if (pathEditor.enabled) return;
         
-        toggleControlMode();
-    });
-    
-    // Add touch support for mobile devices
-    let touchStartTime = 0;
-    let touchStartPosition = { x: 0, y: 0 };
-    
-    renderer.domElement.addEventListener('touchstart', function(event) {
-        touchStartTime = Date.now();
-        touchStartPosition = {
-            x: event.touches[0].clientX,
-            y: event.touches[0].clientY
-        };
-    }, { passive: true });
-    
-    renderer.domElement.addEventListener('touchend', function(event) {
-        // Only handle taps, not swipes or long presses
-        const touchDuration = Date.now() - touchStartTime;
+        // Only handle taps, not drags or long presses
+        const distance = Math.hypot(event.clientX - pressPosition.x, event.clientY - pressPosition.y);
+        if (distance >= 10 || Date.now() - pressTime >= 300) return;
         
-        if (touchDuration < 300) { // Short tap (less than 300ms)
-            // Check if it's a tap and not a drag
-            if (event.changedTouches.length > 0) {
-                const touchEndPosition = {
-                    x: event.changedTouches[0].clientX,
-                    y: event.changedTouches[0].clientY
-                };
-                
-                const distance = Math.sqrt(
-                    Math.pow(touchEndPosition.x - touchStartPosition.x, 2) +
-                    Math.pow(touchEndPosition.y - touchStartPosition.y, 2)
-                );
-                
-                // If it's a tap (not a swipe), toggle control mode
-                if (distance < 10) { // Less than 10px movement
-                    toggleControlMode();
-                }
-            }
+        const body = bodySelection.pick(event.clientX, event.clientY);
+        if (body) {
+            bodySelection.select(body);
+        } else {
+            toggleControlMode();
         }
-    }, { passive: true });
+    });
     
     // Hide loading screen once everything is ready
     loadingScreen.style.opacity = 0;
@@ -237,6 +305,18 @@ function init() {
     
     // Set up music controls
     setupMusicControls();
+    
+    // Set up pause / time-scale / reverse controls
+    setupTimeControls();
+    
+    // Set up camera track play / pause / seek controls
+    setupTourControls();
+    
+    // Set up keyboard shortcuts and their help overlay
+    setupKeyBindings();
+    
+    // Show the seed so a nice journey can be shared or replayed
+    document.getElementById('seed-info').textContent = `Seed ${sessionSeed}`;
 }
 
 // Create a button to toggle between auto-pilot and manual control modes
@@ -285,7 +365,7 @@ function createModeToggleButton() {
     
     // Add a simple instruction tooltip
     const tooltip = document.createElement('div');
-    tooltip.textContent = 'Tap anywhere to toggle control mode';
+    tooltip.textContent = 'Tap a planet to learn about it, or empty space to toggle control mode';
     tooltip.style.position = 'fixed';
     tooltip.style.bottom = '70px';
     tooltip.style.left = '20px';
@@ -310,25 +390,114 @@ function createModeToggleButton() {
     }, 6000);
 }
 
-// Toggle between auto-pilot and manual control modes
+// Cycle through auto-pilot, manual (orbit) control and spaceship flight
 function toggleControlMode() {
     if (!journeyStarted) return;
     
-    isAutoPilot = !isAutoPilot;
-    controls.enabled = !isAutoPilot;
+    const next = CONTROL_MODES[(CONTROL_MODES.indexOf(controlMode) + 1) % CONTROL_MODES.length];
+    setControlMode(next);
+}
+
+// Switch to 'autopilot', 'manual' or 'flight'
+function setControlMode(mode) {
+    if (journeyStarted && mode !== controlMode) {
+        blendControlMode(mode);
+    }
+    controlMode = mode;
+    controls.enabled = mode === 'manual';
+    
+    if (mode === 'flight') {
+        flightControls.enable();
+    } else {
+        flightControls.disable();
+    }
+    flightHud.style.display = mode === 'flight' ? 'block' : 'none';
+    
+    // The path editor and fly-to moves need the camera under manual control
+    if (mode !== 'manual') {
+        pathEditor.disable();
+        bodySelection.release();
+    }
     
     // Update button text
     if (toggleControlBtn) {
-        toggleControlBtn.innerHTML = isAutoPilot ? '🚀 Auto-Pilot' : '🎮 Manual';
+        toggleControlBtn.innerHTML = CONTROL_MODE_LABELS[mode].button;
     }
     
     // Display mode change
     const info = document.getElementById('info');
-    info.textContent = isAutoPilot ? 'Auto-Pilot Mode' : 'Manual Control Mode';
+    info.textContent = CONTROL_MODE_LABELS[mode].info;
     info.style.opacity = 1;
     setTimeout(() => { info.style.opacity = 0.5; }, 2000);
 }
 
+// Ease the camera into the new control mode instead of letting it jump
+function blendControlMode(mode) {
+    if (mode === 'autopilot') {
+        // Rejoin the tour where it passes closest and carry on from there,
+        // easing towards the (still moving) pose on the track
+        const lookNow = getViewTarget(new THREE.Vector3(), { bodies: false });
+        cameraPath.seek(cameraPath.findNearestTime(camera.position));
+        const distance = camera.position.distanceTo(cameraPath.getPose().position);
+        
+        handoff.start({
+            position: target => target.copy(cameraPath.pose.position),
+            lookAt: target => target.copy(cameraPath.pose.lookAt),
+            fromLookAt: lookNow,
+            fov: () => cameraPath.pose.fov,
+            roll: () => cameraPath.pose.roll,
+            duration: THREE.MathUtils.clamp(distance / 40, 1.5, 5),
+            arc: 0
+        });
+    } else if (mode === 'manual') {
+        // Orbit whatever the camera was looking at, letting go of any roll and zoom
+        const target = getViewTarget(new THREE.Vector3());
+        controls.target.copy(target);
+        
+        handoff.start({
+            position: camera.position.clone(),
+            lookAt: target,
+            fromLookAt: target,
+            fov: tours.fov,
+            duration: 1.5,
+            arc: 0
+        });
+    } else {
+        // Take the helm facing the same way, back at the normal field of view
+        const ahead = getViewTarget(new THREE.Vector3(), { bodies: false });
+        
+        handoff.start({
+            position: camera.position.clone(),
+            lookAt: ahead,
+            fromLookAt: ahead,
+            fov: tours.fov,
+            roll: null,
+            duration: 1,
+            arc: 0
+        });
+    }
+}
+
+// What the camera is looking at: a body in the middle of the view if there is
+// one, otherwise a point straight ahead that is far enough away to orbit
+function getViewTarget(target, { bodies = true } = {}) {
+    const body = bodies && bodySelection.pick(window.innerWidth / 2, window.innerHeight / 2);
+    if (body) {
+        return body.object.getWorldPosition(target);
+    }
+    
+    let lookingAt = controls.target;
+    if (handoff.active) {
+        lookingAt = handoff.lookAt;
+    } else if (controlMode === 'autopilot') {
+        lookingAt = cameraPath.pose.lookAt;
+    }
+    const distance = controlMode === 'flight'
+        ? MIN_ORBIT_DISTANCE
+        : Math.max(camera.position.distanceTo(lookingAt), MIN_ORBIT_DISTANCE);
+    return target.copy(camera.position).addScaledVector(camera.getWorldDirection(new THREE.Vector3()), distance);
+}
+
 // Start the cosmic journey
 function startJourney() {
     if (journeyStarted) return; // Prevent multiple starts
@@ -348,28 +517,21 @@ function startJourney() {
     journeyStarted = true;
     
     // Set initial info text
-    document.getElementById('info').textContent = 'Auto-Pilot Mode - Tap to toggle controls';
+    document.getElementById('info').textContent = 'Auto-Pilot Mode - Tap to toggle controls, press ? for keyboard shortcuts';
 }
 
-// Set up a more dramatic camera path
-function setupCameraPath() {
-    cameraPath = new CameraPath();
-    
-    // Add more points for a more complex and dramatic path
-    cameraPath.addPoint(new THREE.Vector3(0, 20, 100)); // Starting view of the solar system
-    cameraPath.addPoint(new THREE.Vector3(30, 40, 80)); // Higher viewpoint
-    cameraPath.addPoint(new THREE.Vector3(60, 10, 40)); // Swooping down
-    cameraPath.addPoint(new THREE.Vector3(70, -10, 0)); // Diving below the plane
-    cameraPath.addPoint(new THREE.Vector3(40, -30, -30)); // Deep dive
-    cameraPath.addPoint(new THREE.Vector3(-20, -20, -60)); // Changing direction
-    cameraPath.addPoint(new THREE.Vector3(-60, 0, -80)); // Leveling out
-    cameraPath.addPoint(new THREE.Vector3(-100, 30, -50)); // Rising up
-    cameraPath.addPoint(new THREE.Vector3(-80, 50, 10)); // High viewpoint
-    cameraPath.addPoint(new THREE.Vector3(-30, 40, 60)); // Arcing back
-    cameraPath.addPoint(new THREE.Vector3(20, 20, 80)); // Returning to start
-    
-    // Uncomment to visualize the path (helpful for debugging)
-    // cameraPath.visualize(scene);
+// Register the scene's camera tours and start the first one
+function setupTours(sceneConfig) {
+    tours = new TourManager({ scene, fov: camera.fov });
+    sceneConfig.tours.forEach(tour => tours.add(tour));
+    
+    tours.onChange(tour => { cameraPath = tour.path; });
+    tours.onEnd(tour => {
+        // "stop" tours simply rest on their last keyframe
+        if (tour.end === 'manual') setControlMode('manual');
+    });
+    
+    tours.start(sceneConfig.startTour || tours.list()[0].name);
 }
 
 // Set up post-processing effects
@@ -380,6 +542,10 @@ function setupPostProcessing() {
     const renderPass = new RenderPass(scene, camera);
     composer.addPass(renderPass);
     
+    // Gravitational lensing around black holes (before bloom, so the bent light still glows)
+    lensingPass = new ShaderPass(GravitationalLensingShader);
+    composer.addPass(lensingPass);
+    
     // Bloom effect for glowing objects
     const bloomPass = new UnrealBloomPass(
         new THREE.Vector2(window.innerWidth, window.innerHeight),
@@ -406,271 +572,263 @@ function setupPostProcessing() {
 // Set up music controls
 function setupMusicControls() {
     // Volume control
-    volumeSlider.addEventListener('input', () => {
-        const volume = volumeSlider.value / 100;
-        backgroundMusic.volume = volume;
-        volumeDisplay.textContent = `${volumeSlider.value}%`;
-    });
+    volumeSlider.addEventListener('input', () => setVolume(volumeSlider.value));
     
     // Set initial volume
     backgroundMusic.volume = volumeSlider.value / 100;
     
     // Play/pause toggle
-    musicToggle.addEventListener('click', () => {
-        if (backgroundMusic.paused) {
-            backgroundMusic.play();
-            musicToggle.textContent = "⏸️";
-        } else {
-            backgroundMusic.pause();
-            musicToggle.textContent = "▶️";
-        }
-    });
+    musicToggle.addEventListener('click', toggleMusic);
 }
 
-// Check if camera is near a point of interest
-function checkLocationInfo() {
-    if (!journeyStarted) return;
-    
-    const currentTime = Date.now();
-    if (currentTime - lastLocationChangeTime < 10000) return; // Minimum 10 seconds between location changes
-    
-    for (let i = 0; i < cosmicLocations.length; i++) {
-        const location = cosmicLocations[i];
-        const distance = camera.position.distanceTo(location.position);
-        
-        if (distance < location.triggerDistance && i !== currentLocationIndex) {
-            // Show new location info
-            locationInfo.innerHTML = `<h3>${location.name}</h3><p>${location.description}</p>`;
-            locationInfo.style.opacity = 1;
-            
-            // Hide after 8 seconds
-            setTimeout(() => {
-                locationInfo.style.opacity = 0;
-            }, 8000);
-            
-            currentLocationIndex = i;
-            lastLocationChangeTime = currentTime;
-            break;
-        }
+// Play or pause the background music
+function toggleMusic() {
+    if (backgroundMusic.paused) {
+        // The track may be missing, or the browser may block playback
+        backgroundMusic.play().then(() => {
+            musicToggle.textContent = "⏸️";
+        }).catch(e => {
+            infoCards.show({ title: 'Music could not be played', text: e.message, duration: 4, urgent: true });
+        });
+    } else {
+        backgroundMusic.pause();
+        musicToggle.textContent = "▶️";
     }
 }
 
-// Handle window resize
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    composer.setSize(window.innerWidth, window.innerHeight);
+// Set the music volume in percent (0 to 100)
+function setVolume(percent) {
+    const volume = THREE.MathUtils.clamp(Math.round(percent), 0, 100);
+    volumeSlider.value = volume;
+    backgroundMusic.volume = volume / 100;
+    volumeDisplay.textContent = `${volume}%`;
 }
 
-// Add a dramatic celestial event (supernova)
-function triggerDramaticEvent() {
-    if (dramaticEventTriggered) return;
-    
-    dramaticEventTriggered = true;
-    dramaticEventProgress = 0;
-    
-    // Create a dramatically growing sphere to represent an exploding star
-    const geometry = new THREE.SphereGeometry(1, 32, 32);
-    const material = new THREE.ShaderMaterial({
-        uniforms: {
-            time: { value: 0 },
-            color: { value: new THREE.Color(0xffaa22) }
-        },
-        vertexShader: `
-            varying vec3 vNormal;
-            
-            void main() {
-                vNormal = normalize(normalMatrix * normal);
-                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-            }
-        `,
-        fragmentShader: `
-            uniform float time;
-            uniform vec3 color;
-            varying vec3 vNormal;
-            
-            void main() {
-                // Pulsating glow
-                float pulse = 0.6 + 0.4 * sin(time * 3.0);
-                
-                // Edge glow
-                float edgeFactor = 1.0 - max(dot(vNormal, vec3(0.0, 0.0, 1.0)), 0.0);
-                edgeFactor = pow(edgeFactor, 1.5) * 0.8;
-                
-                // Final color with edge glow
-                vec3 finalColor = color * pulse;
-                finalColor += vec3(1.0, 0.7, 0.3) * edgeFactor * pulse;
-                
-                gl_FragColor = vec4(finalColor, 1.0);
-            }
-        `,
-        transparent: true,
-        blending: THREE.AdditiveBlending
+// Set up simulation time controls (buttons and slider)
+function setupTimeControls() {
+    // Keep the UI in sync with the clock, whatever changed it
+    function refreshTimeControls() {
+        timePauseBtn.textContent = simulationClock.paused ? '▶️' : '⏸️';
+        timeReverseBtn.classList.toggle('active', simulationClock.reversed);
+        timeScaleSlider.value = Math.log10(simulationClock.timeScale);
+        const scale = simulationClock.timeScale;
+        timeScaleDisplay.textContent = `${simulationClock.reversed ? '-' : ''}${scale < 10 ? scale.toFixed(1) : Math.round(scale)}x`;
+    }
+    simulationClock.onChange(refreshTimeControls);
+    refreshTimeControls();
+    
+    // Slider is logarithmic: -1 to 2 maps to 0.1x to 100x
+    timeScaleSlider.addEventListener('input', () => {
+        simulationClock.setTimeScale(Math.pow(10, parseFloat(timeScaleSlider.value)));
     });
     
-    const supernova = new THREE.Mesh(geometry, material);
-    supernova.position.set(-150, 40, -120); // Position away from main path but visible
-    supernova.scale.set(1, 1, 1);
-    scene.add(supernova);
-    
-    // Add a point light at the supernova
-    const supernovaLight = new THREE.PointLight(0xffdd66, 1, 500);
-    supernovaLight.position.copy(supernova.position);
-    scene.add(supernovaLight);
-    
-    // Store these in scene userData for animation
-    scene.userData.dramaticEvent = {
-        supernova,
-        supernovaLight,
-        startTime: clock.getElapsedTime(),
-        duration: 25 // 25 seconds event
-    };
+    timePauseBtn.addEventListener('click', () => simulationClock.togglePause());
+    timeReverseBtn.addEventListener('click', () => simulationClock.reverse());
+    timeStepBtn.addEventListener('click', () => simulationClock.step());
+}
+
+// Set up the camera track controls (tour menu, play / pause, a seek bar and the path editor)
+function setupTourControls() {
+    pathEditor = new PathEditor({
+        scene,
+        camera,
+        renderer,
+        controls,
+        cameraPath,
+        panel: document.getElementById('path-editor'),
+        onPreview: time => {
+            // Switch first, so the hand-off doesn't move the playhead to the nearest point
+            setControlMode('autopilot');
+            cameraPath.seek(time);
+            cameraPath.play();
+        }
+    });
     
-    // Show a description of the event
-    locationInfo.innerHTML = `<h3>Supernova Detected!</h3><p>Witness the extraordinary death of a massive star, releasing more energy in its final moments than it has throughout its entire lifetime. The shockwave ripples through the surrounding space.</p>`;
-    locationInfo.style.opacity = 1;
+    // Tour menu
+    tours.list().forEach(tour => {
+        const option = document.createElement('option');
+        option.value = tour.name;
+        option.textContent = tour.name;
+        option.title = tour.description;
+        tourSelect.appendChild(option);
+    });
+    tourSelect.value = tours.current.name;
+    tourSelect.addEventListener('change', () => {
+        // Switch first, so the hand-off eases onto the start of the newly chosen tour
+        if (journeyStarted && controlMode !== 'autopilot') setControlMode('autopilot');
+        tours.start(tourSelect.value);
+    });
+    tours.onChange(tour => {
+        tourSelect.value = tour.name;
+        pathEditor.setPath(tour.path);
+        updateTourControls();
+    });
     
-    // Create shockwave particles
-    createShockwave(scene, supernova.position.clone(), 25);
+    tourEditBtn.addEventListener('click', togglePathEditor);
     
-    // After 10 seconds, fade out the description
-    setTimeout(() => {
-        locationInfo.style.opacity = 0;
-    }, 10000);
+    tourPlayBtn.addEventListener('click', () => {
+        cameraPath.togglePlay();
+        updateTourControls();
+    });
+    
+    tourSeekSlider.addEventListener('input', () => {
+        cameraPath.seek(parseFloat(tourSeekSlider.value) * cameraPath.duration);
+        updateTourControls();
+    });
+    
+    updateTourControls();
 }
 
-// Create expanding shockwave particles
-function createShockwave(scene, center, duration) {
-    const particleCount = 2000;
-    const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(particleCount * 3);
-    const colors = new Float32Array(particleCount * 3);
-    const sizes = new Float32Array(particleCount);
-    const velocity = new Float32Array(particleCount * 3);
-    
-    // Initialize particles in a spherical shell
-    for (let i = 0; i < particleCount; i++) {
-        // Random direction (spherical coordinates)
-        const phi = Math.acos(Math.random() * 2 - 1); // -1 to 1
-        const theta = Math.random() * Math.PI * 2; // 0 to 2π
-        
-        // Start close to the center
-        const radius = 5;
-        positions[i * 3] = center.x + radius * Math.sin(phi) * Math.cos(theta);
-        positions[i * 3 + 1] = center.y + radius * Math.sin(phi) * Math.sin(theta);
-        positions[i * 3 + 2] = center.z + radius * Math.cos(phi);
-        
-        // Velocity in same direction as position (outward)
-        const speed = 2 + Math.random() * 5;
-        velocity[i * 3] = Math.sin(phi) * Math.cos(theta) * speed;
-        velocity[i * 3 + 1] = Math.sin(phi) * Math.sin(theta) * speed;
-        velocity[i * 3 + 2] = Math.cos(phi) * speed;
-        
-        // Color (orange to blue gradient)
-        const r = 1.0;
-        const g = 0.4 + Math.random() * 0.4; // 0.4 to 0.8
-        const b = Math.random() * 0.4; // 0 to 0.4
-        
-        colors[i * 3] = r;
-        colors[i * 3 + 1] = g;
-        colors[i * 3 + 2] = b;
-        
-        // Size
-        sizes[i] = 2 + Math.random() * 5;
+// Define every keyboard shortcut in one place (the viewer can remap them in the help overlay)
+function setupKeyBindings() {
+    const bindings = new KeyBindings();
+    
+    bindings.define('toggleMode', { label: 'Switch control mode', keys: ['Space'], handler: toggleControlMode });
+    bindings.define('togglePause', { label: 'Pause / resume time', keys: ['p'], handler: () => simulationClock.togglePause() });
+    bindings.define('slower', { label: 'Halve the time scale', keys: ['['], handler: () => simulationClock.setTimeScale(simulationClock.timeScale / 2) });
+    bindings.define('faster', { label: 'Double the time scale', keys: [']'], handler: () => simulationClock.setTimeScale(simulationClock.timeScale * 2) });
+    bindings.define('reverse', { label: 'Run time backwards / forwards', keys: ['r'], handler: () => simulationClock.reverse() });
+    bindings.define('step', { label: 'Step one frame', keys: ['.'], handler: () => simulationClock.step() });
+    bindings.define('toggleMusic', { label: 'Play / pause music', keys: ['m'], handler: toggleMusic });
+    bindings.define('volumeDown', { label: 'Music volume down', keys: ['-'], handler: () => setVolume(backgroundMusic.volume * 100 - 10) });
+    bindings.define('volumeUp', { label: 'Music volume up', keys: ['=', '+'], handler: () => setVolume(backgroundMusic.volume * 100 + 10) });
+    bindings.define('nextLocation', { label: 'Next point of interest', keys: ['ArrowRight'], handler: () => visitLocation(1) });
+    bindings.define('previousLocation', { label: 'Previous point of interest', keys: ['ArrowLeft'], handler: () => visitLocation(-1) });
+    bindings.define('screenshot', { label: 'Save a screenshot', keys: ['k'], handler: () => { screenshotRequested = true; } });
+    bindings.define('toggleUI', { label: 'Hide / show the interface', keys: ['h'], handler: () => document.body.classList.toggle('ui-hidden') });
+    bindings.define('fullscreen', { label: 'Full screen', keys: ['f'], handler: toggleFullscreen });
+    bindings.define('togglePathEditor', {
+        label: 'Edit the camera path',
+        keys: ['e'],
+        handler: togglePathEditor,
+        // In flight mode E is the up thruster
+        when: () => controlMode !== 'flight'
+    });
+    
+    const help = new KeyHelp({
+        bindings,
+        panel: document.getElementById('key-help'),
+        fixed: [
+            { label: 'Flight: thrust', keys: 'W / A / S / D, E / Q up and down' },
+            { label: 'Flight: look', keys: 'Drag with the mouse' },
+            { label: 'Flight: roll', keys: 'Z / C' },
+            { label: 'Flight: boost', keys: 'Hold Shift' }
+        ]
+    });
+    bindings.define('help', { label: 'Show / hide this help', keys: ['?'], handler: () => help.toggle() });
+}
+
+// Take the viewer to the next (1) or previous (-1) point of interest
+function visitLocation(step) {
+    // Custom-test locations have no place to go to
+    const locations = locationTriggers.locations.filter(location => !location.test);
+    if (!journeyStarted || locations.length === 0) return;
+    
+    locationIndex = THREE.MathUtils.euclideanModulo(locationIndex + step, locations.length);
+    const location = locations[locationIndex];
+    
+    if (location.progress) {
+        // Play the tour from where the location begins
+        if (controlMode !== 'autopilot') setControlMode('autopilot');
+        if (location.tour && location.tour !== tours.current.name) tours.start(location.tour);
+        cameraPath.seek(location.progress[0] * cameraPath.duration);
+        cameraPath.play();
+        return;
     }
     
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-    
-    // Material with custom shader
-    const material = new THREE.ShaderMaterial({
-        uniforms: {
-            time: { value: 0 },
-            pointTexture: { value: new THREE.TextureLoader(loadingManager).load(
-                'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/sprites/spark1.png'
-            )}
-        },
-        vertexShader: `
-            attribute float size;
-            varying float vSize;
-            varying vec3 vColor;
-            uniform float time;
-            
-            void main() {
-                vSize = size;
-                vColor = color;
-                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-                gl_PointSize = size * (40.0 / -mvPosition.z) * (1.0 - time/25.0);
-                gl_Position = projectionMatrix * mvPosition;
-            }
-        `,
-        fragmentShader: `
-            uniform sampler2D pointTexture;
-            uniform float time;
-            varying float vSize;
-            varying vec3 vColor;
-            
-            void main() {
-                // Fade out over time
-                float opacity = 1.0 - (time / 25.0);
-                opacity = max(0.0, opacity);
-                
-                gl_FragColor = vec4(vColor, opacity) * texture2D(pointTexture, gl_PointCoord);
-            }
-        `,
-        blending: THREE.AdditiveBlending,
-        depthWrite: false,
-        transparent: true,
-        vertexColors: true
+    // Eclipses are visited at the body that passes in front of the sun
+    const followed = location.target || (location.eclipse && location.eclipse.body);
+    const body = followed && bodyRegistry.list().find(candidate => candidate.object === followed);
+    if (body) {
+        bodySelection.select(body);
+        bodySelection.flyTo(body);
+        return;
+    }
+    
+    // Fly to the spot, stopping well inside its trigger distance, and look around from there
+    setControlMode('manual');
+    const position = location.target ? location.target.getWorldPosition(new THREE.Vector3()) : location.position.clone();
+    const offset = camera.position.clone().sub(position).setLength(location.triggerDistance * 0.5);
+    controls.target.copy(position);
+    handoff.start({
+        position: position.clone().add(offset),
+        lookAt: position,
+        fov: tours.fov,
+        roll: 0,
+        duration: 3
     });
+}
+
+// Enter or leave full screen
+function toggleFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    } else {
+        document.documentElement.requestFullscreen().catch(e => {
+            infoCards.show({ title: 'Full screen is not available', text: e.message, duration: 4, urgent: true });
+        });
+    }
+}
+
+// Download the frame that was just rendered as a PNG
+function saveScreenshot() {
+    renderer.domElement.toBlob(blob => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `galactic-journey-${sessionSeed}-${Math.round(simulationClock.getElapsedTime())}s.png`;
+        link.click();
+        // Some browsers start the download after click() returns, so keep the URL alive until then
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    });
+}
+
+// Open or close the path editor (switching to manual control while editing)
+function togglePathEditor() {
+    if (!journeyStarted) return;
     
-    const particles = new THREE.Points(geometry, material);
-    scene.add(particles);
-    
-    // Store animation data
-    particles.userData = {
-        velocity,
-        startTime: clock.getElapsedTime(),
-        duration: duration,
-        update: function(elapsedTime) {
-            const positions = particles.geometry.attributes.position.array;
-            const runtime = elapsedTime - this.startTime;
-            const progress = Math.min(runtime / this.duration, 1.0);
-            
-            material.uniforms.time.value = runtime;
-            
-            if (progress < 1.0) {
-                // Update positions of particles based on velocity
-                for (let i = 0; i < particleCount; i++) {
-                    positions[i * 3] += velocity[i * 3] * (1.0 - progress * 0.5); // Slow down over time
-                    positions[i * 3 + 1] += velocity[i * 3 + 1] * (1.0 - progress * 0.5);
-                    positions[i * 3 + 2] += velocity[i * 3 + 2] * (1.0 - progress * 0.5);
-                }
-                particles.geometry.attributes.position.needsUpdate = true;
-            } else {
-                // Remove when complete
-                scene.remove(particles);
-            }
-        }
+    if (!pathEditor.enabled && controlMode !== 'manual') {
+        setControlMode('manual');
+    }
+    pathEditor.toggle();
+}
+
+// Show the playhead position; called every frame while on auto-pilot
+function updateTourControls() {
+    const formatTime = seconds => {
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
     };
     
-    // Add to scene's updateable objects
-    if (!scene.userData.updateableObjects) {
-        scene.userData.updateableObjects = [];
+    tourPlayBtn.textContent = cameraPath.playing ? '⏸️' : '▶️';
+    // Don't fight the user while they drag the seek bar
+    if (!tourSeekSlider.matches(':active')) {
+        tourSeekSlider.value = cameraPath.getProgress();
     }
-    scene.userData.updateableObjects.push(particles);
-    
-    return particles;
+    tourTimeDisplay.textContent = `${formatTime(cameraPath.time)} / ${formatTime(cameraPath.duration)}`;
+}
+
+// Show the ship's speed; called every frame while flying
+function updateFlightHud() {
+    const speed = flightControls.getSpeed();
+    flightSpeedDisplay.textContent = `${speed < 10 ? speed.toFixed(1) : Math.round(speed)} u/s`;
+    flightHud.classList.toggle('boosting', flightControls.boosting && flightControls.keys.size > 0);
+}
+
+// Handle window resize
+function onWindowResize() {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    composer.setSize(window.innerWidth, window.innerHeight);
 }
 
 // Animation loop
 function animate() {
     requestAnimationFrame(animate);
     
-    const delta = clock.getDelta();
-    const elapsedTime = clock.getElapsedTime();
+    const delta = simulationClock.update();
+    const elapsedTime = simulationClock.getElapsedTime();
     
     // Update shooting stars
     if (starfieldObjects && starfieldObjects.shootingStars) {
@@ -684,80 +842,96 @@ function animate() {
             if (obj.userData && obj.userData.update) {
                 obj.userData.update(elapsedTime);
             }
+            if (obj.userData && obj.userData.finished) {
+                scene.userData.updateableObjects.splice(i, 1);
+            }
         }
     }
     
-    // Update dramatic event if in progress
-    if (dramaticEventTriggered && scene.userData.dramaticEvent) {
-        const event = scene.userData.dramaticEvent;
-        const eventElapsed = elapsedTime - event.startTime;
-        const progress = Math.min(eventElapsed / event.duration, 1.0);
-        
-        // Update supernova size and brightness
-        if (progress < 0.3) {
-            // Initial explosion
-            const scale = 1 + progress * 100; // Grow from 1 to 30
-            event.supernova.scale.set(scale, scale, scale);
-            event.supernova.material.uniforms.time.value = elapsedTime;
-            
-            // Increase light intensity
-            event.supernovaLight.intensity = progress * 10;
-        } else if (progress < 0.7) {
-            // Peak brightness
-            event.supernova.material.uniforms.time.value = elapsedTime;
-            event.supernovaLight.intensity = 3 + Math.sin(elapsedTime * 3) * 1.5;
+    // Keep the selection outline, fly-to moves and followed bodies in step (in real time)
+    bodySelection.update(simulationClock.getRealDelta());
+    
+    if (journeyStarted && controlMode === 'autopilot') {
+        // Follow the keyframed camera track; it plays on simulation time,
+        // so pausing, scaling or reversing time also applies to the tour
+        cameraPath.update(delta);
+        if (handoff.active) {
+            // Still easing back onto the track
+            cameraPath.getPose();
+            handoff.update(simulationClock.getRealDelta());
         } else {
-            // Fade out
-            const fadeOut = 1 - ((progress - 0.7) / 0.3);
-            const scale = 30 * fadeOut;
-            event.supernova.scale.set(scale, scale, scale);
-            event.supernova.material.uniforms.time.value = elapsedTime;
-            event.supernovaLight.intensity = fadeOut * 3;
+            cameraPath.applyTo(camera);
         }
-        
-        // If complete, clean up
-        if (progress >= 1.0) {
-            scene.remove(event.supernova);
-            scene.remove(event.supernovaLight);
-            dramaticEventTriggered = false;
-            delete scene.userData.dramaticEvent;
+        updateTourControls();
+    } else if (controlMode === 'manual') {
+        // Manual control updates (a fly-to move or the hand-off blend drives the camera until it is done)
+        if (handoff.active) {
+            handoff.update(simulationClock.getRealDelta());
+        } else if (!bodySelection.isFlying()) {
+            controls.update();
         }
+        pathEditor.update();
+    } else if (controlMode === 'flight') {
+        // Spaceship flight runs on real time, so the ship still handles while time is paused
+        if (handoff.active) {
+            handoff.update(simulationClock.getRealDelta());
+        } else {
+            flightControls.update(simulationClock.getRealDelta());
+        }
+        updateFlightHud();
     }
     
-    if (journeyStarted && isAutoPilot) {
-        // Create a more dynamic camera motion
-        // Use a longer cycle (5 minutes) for a more leisurely journey
-        const pathPosition = (Date.now() % 300000) / 300000;
-        
-        // Get position on path
-        const position = cameraPath.getPointAt(pathPosition);
-        camera.position.copy(position);
-        
-        // Dynamic look-ahead based on time
-        const lookAheadAmount = 0.01 + Math.sin(elapsedTime * 0.2) * 0.005; // Varies between 0.005 and 0.015
-        const lookAtPosition = cameraPath.getPointAt((pathPosition + lookAheadAmount) % 1);
-        camera.lookAt(lookAtPosition);
-        
-        // Add subtle camera rotation for more dramatic effect
-        camera.rotateZ(Math.sin(elapsedTime * 0.05) * 0.001);
-        
-        // Check if we're near a point of interest
-        checkLocationInfo();
-        
-        // Randomly trigger dramatic event after some time has passed (once per journey)
-        if (!dramaticEventTriggered && elapsedTime > 60 && Math.random() < 0.001) {
-            triggerDramaticEvent();
-        }
-    } else if (!isAutoPilot) {
-        // Manual control updates
-        controls.update();
+    // Points of interest and celestial events work in every control mode
+    if (journeyStarted) {
+        locationTriggers.update({
+            cameraPosition: camera.position,
+            tour: controlMode === 'autopilot' ? tours.current : null
+        });
+        celestialEvents.update({
+            elapsedTime,
+            tour: controlMode === 'autopilot' ? tours.current : null,
+            autopilot: controlMode === 'autopilot'
+        });
     }
+    infoCards.update(simulationClock.getRealDelta());
     
     // Use the composer to render with post-processing
+    updateLensingPass(lensingPass, camera);
     composer.render();
+    
+    // Label the hovered star where it was just drawn
+    if (starLabels) starLabels.update();
+    
+    // The drawing buffer is only readable until the frame is shown, so grab it now
+    if (screenshotRequested) {
+        screenshotRequested = false;
+        saveScreenshot();
+    }
+}
+
+// Show scene loading/validation problems on the loading screen
+function showSceneError(error) {
+    console.error(error);
+    
+    const loadingTitle = loadingScreen.querySelector('h2');
+    const loadingText = document.getElementById('loading-text');
+    const problems = error.errors || [error.message];
+    
+    loadingTitle.textContent = 'This journey could not be loaded';
+    loadingText.style.whiteSpace = 'pre-line';
+    loadingText.style.maxWidth = '80%';
+    loadingText.textContent = (error.url ? `${error.url}\n\n` : '') + problems.map(p => `• ${p}`).join('\n');
 }
 
 // Start loading assets and initialize when ready
 updateProgress(0, 'Initializing...'); // Start progress at 0%
-init();
-animate(); 
\ No newline at end of file
+loadScene()
+    .then(sceneConfig => Promise.all([
+        sceneConfig,
+        sceneConfig.starfield.catalog ? loadStarCatalog(sceneConfig.starfield.catalog) : null
+    ]))
+    .then(([sceneConfig, starCatalog]) => {
+        init(sceneConfig, starCatalog);
+        animate();
+    })
+    .catch(showSceneError); 
\ No newline at end of file
@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+import { loadingManager, onAssetError } from './loading.js';
+import {
+    createPlanetCanvas,
+    createRingCanvas,
+    createSunCanvas,
+    createCloudCanvas,
+    createCityLightsCanvas,
+    createSkyCanvas,
+    createSpriteCanvas
+} from './proceduralTextures.js';
+
+/**
+ * Local asset manifest.
+ * Every texture the simulation uses is referenced by key and resolves to a
+ * file under assets/ (run scripts/fetch-offline-assets.sh once to download them).
+ * Each entry also names a procedural stand-in that is swapped in automatically
+ * when the file cannot be loaded, so the app runs with no network at all.
+ */
+const TEXTURES = {
+    earth: { url: 'assets/textures/planets/earth_atmos_2048.jpg', fallback: () => createPlanetCanvas('earth') },
+    mars: { url: 'assets/textures/planets/mars_1k_color.jpg', fallback: () => createPlanetCanvas('mars') },
+    jupiter: { url: 'assets/textures/planets/jupiter_1k.jpg', fallback: () => createPlanetCanvas('jupiter') },
+    saturn: { url: 'assets/textures/planets/saturn_1k.jpg', fallback: () => createPlanetCanvas('saturn') },
+    moon: { url: 'assets/textures/planets/moon_1024.jpg', fallback: () => createPlanetCanvas('moon') },
+    mercury: { url: 'assets/textures/planets/mercury.jpg', fallback: () => createPlanetCanvas('mercury') },
+    venus: { url: 'assets/textures/planets/venus_atmosphere.jpg', fallback: () => createPlanetCanvas('venus') },
+    neptune: { url: 'assets/textures/planets/neptune.jpg', fallback: () => createPlanetCanvas('neptune') },
+    uranus: { url: 'assets/textures/planets/uranus.jpg', fallback: () => createPlanetCanvas('uranus') },
+    pluto: { url: 'assets/textures/planets/pluto.jpg', fallback: () => createPlanetCanvas('pluto') },
+    earthClouds: { url: 'assets/textures/planets/earth_clouds_1024.png', fallback: () => createCloudCanvas() },
+    earthLights: { url: 'assets/textures/planets/earth_lights_2048.png', fallback: () => createCityLightsCanvas() },
+    saturnRings: { url: 'assets/textures/planets/saturn_rings.png', fallback: () => createRingCanvas() },
+    sun: { url: 'assets/textures/planets/sun.jpg', fallback: () => createSunCanvas() },
+    deepSpace: { url: 'assets/textures/planets/starry-deep-outer-space-galaxy.jpg', fallback: () => createSkyCanvas() },
+    disc: { url: 'assets/textures/sprites/disc.png', fallback: () => createSpriteCanvas('disc') },
+    spark: { url: 'assets/textures/sprites/spark1.png', fallback: () => createSpriteCanvas('spark') },
+    lensflare: { url: 'assets/textures/lensflare/lensflare0.png', fallback: () => createSpriteCanvas('glow') },
+    lensflareRing: { url: 'assets/textures/lensflare/lensflare3.png', fallback: () => createSpriteCanvas('disc') }
+};
+
+// Cube maps: six faces loaded from one folder
+const CUBE_TEXTURES = {
+    milkyWay: {
+        path: 'assets/textures/cube/MilkyWay/',
+        files: [
+            'dark-s_px.jpg', 'dark-s_nx.jpg',
+            'dark-s_py.jpg', 'dark-s_ny.jpg',
+            'dark-s_pz.jpg', 'dark-s_nz.jpg'
+        ],
+        fallback: () => Array.from({ length: 6 }, () => createSkyCanvas(512, 512))
+    }
+};
+
+// Textures that are already loading or loaded, keyed by URL
+const textureCache = {};
+
+// Fallbacks waiting for a load to fail, keyed by URL
+const pendingFallbacks = new Map();
+
+// Swap in the procedural stand-in whenever the loading manager reports a failed asset
+onAssetError(url => {
+    const applyFallback = pendingFallbacks.get(url);
+    if (!applyFallback) return;
+
+    pendingFallbacks.delete(url);
+    console.warn(`Using procedural stand-in for ${url}`);
+    applyFallback();
+});
+
+/**
+ * Check whether a key is part of the texture manifest
+ * @param {string} key - Texture key
+ * @returns {boolean}
+ */
+function hasTexture(key) {
+    return Object.prototype.hasOwnProperty.call(TEXTURES, key);
+}
+
+/**
+ * Load a texture by manifest key, or by URL for custom images
+ * @param {string} source - Manifest key (e.g. 'earth') or image URL
+ * @param {Function} fallback - Optional stand-in generator for URLs outside the manifest
+ * @returns {THREE.Texture} - The texture (filled in asynchronously)
+ */
+function loadTexture(source, fallback = null) {
+    const entry = hasTexture(source) ? TEXTURES[source] : null;
+    const url = entry ? entry.url : source;
+    const createFallback = entry ? entry.fallback : (fallback || (() => createPlanetCanvas(source)));
+
+    if (textureCache[url]) {
+        return textureCache[url];
+    }
+
+    const texture = new THREE.TextureLoader(loadingManager).load(url, () => {
+        pendingFallbacks.delete(url);
+    });
+
+    pendingFallbacks.set(url, () => {
+        texture.image = createFallback();
+        texture.needsUpdate = true;
+    });
+
+    textureCache[url] = texture;
+    return texture;
+}
+
+/**
+ * Load a six-sided cube texture by manifest key
+ * @param {string} key - Cube texture key (e.g. 'milkyWay')
+ * @returns {THREE.CubeTexture}
+ */
+function loadCubeTexture(key) {
+    const entry = CUBE_TEXTURES[key];
+    const cacheKey = `cube:${key}`;
+
+    if (textureCache[cacheKey]) {
+        return textureCache[cacheKey];
+    }
+
+    const loader = new THREE.CubeTextureLoader(loadingManager);
+    loader.setPath(entry.path);
+    const texture = loader.load(entry.files);
+
+    // Any missing face replaces the whole cube so the faces stay consistent
+    let replaced = false;
+    const applyFallback = () => {
+        if (replaced) return;
+        replaced = true;
+        entry.files.forEach(file => pendingFallbacks.delete(entry.path + file));
+        texture.image = entry.fallback();
+        texture.needsUpdate = true;
+    };
+    entry.files.forEach(file => pendingFallbacks.set(entry.path + file, applyFallback));
+
+    textureCache[cacheKey] = texture;
+    return texture;
+}
+
+export { loadTexture, loadCubeTexture, hasTexture };
@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+
+/**
+ * Star colors and brightness from temperature.
+ * A star glows roughly like a blackbody, so its color and output follow from
+ * its surface temperature; the spectral class (O, B, A, F, G, K, M) is a
+ * shorthand for that temperature.
+ */
+
+// Surface temperature of the Sun in kelvin
+const SOLAR_TEMPERATURE = 5778;
+
+// Temperature at subclass 0 of each spectral class, hottest first;
+// subclasses 1-9 step towards the next class
+const SPECTRAL_CLASSES = {
+    O: 40000,
+    B: 30000,
+    A: 10000,
+    F: 7500,
+    G: 6000,
+    K: 5200,
+    M: 3700
+};
+
+// Temperature at M9, the coolest subclass
+const COOLEST_TEMPERATURE = 2400;
+
+// Spectral classes accepted in scene files: a letter and an optional subclass (e.g. "G2")
+const SPECTRAL_CLASS_PATTERN = /^[OBAFGKM][0-9]?$/;
+
+/**
+ * Surface temperature of a spectral class
+ * @param {string} spectralClass - Class letter with an optional subclass digit, e.g. 'G2' or 'M'
+ * @returns {number} - Temperature in kelvin
+ * @throws {Error} - If the class isn't one of O, B, A, F, G, K, M
+ */
+function spectralClassTemperature(spectralClass) {
+    if (!SPECTRAL_CLASS_PATTERN.test(spectralClass)) {
+        throw new Error(`Unknown spectral class "${spectralClass}" (expected a letter from OBAFGKM and an optional digit, e.g. "G2")`);
+    }
+    const letters = Object.keys(SPECTRAL_CLASSES);
+    const index = letters.indexOf(spectralClass[0]);
+    const start = SPECTRAL_CLASSES[letters[index]];
+    const end = index + 1 < letters.length ? SPECTRAL_CLASSES[letters[index + 1]] : COOLEST_TEMPERATURE;
+    const subclass = spectralClass.length > 1 ? parseInt(spectralClass[1], 10) : 0;
+    return start + (end - start) * subclass / 10;
+}
+
+/**
+ * Spectral class of a temperature (the inverse of spectralClassTemperature)
+ * @param {number} temperature - Temperature in kelvin
+ * @returns {string} - Class letter and subclass digit, e.g. 'G2'
+ */
+function temperatureSpectralClass(temperature) {
+    const letters = Object.keys(SPECTRAL_CLASSES);
+    for (let i = 0; i < letters.length; i++) {
+        const start = SPECTRAL_CLASSES[letters[i]];
+        const end = i + 1 < letters.length ? SPECTRAL_CLASSES[letters[i + 1]] : COOLEST_TEMPERATURE;
+        if (temperature > end || i === letters.length - 1) {
+            const subclass = Math.round((start - temperature) / (start - end) * 10);
+            return `${letters[i]}${THREE.MathUtils.clamp(subclass, 0, 9)}`;
+        }
+    }
+}
+
+/**
+ * Surface temperature from a B-V color index, as listed in star catalogs
+ * (Ballesteros' formula, good for main sequence stars)
+ * @param {number} colorIndex - B-V: about -0.3 for blue O stars to 2 for red M stars
+ * @returns {number} - Temperature in kelvin
+ */
+function colorIndexTemperature(colorIndex) {
+    const bv = THREE.MathUtils.clamp(colorIndex, -0.4, 2);
+    return 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+}
+
+/**
+ * Color of a blackbody at a temperature, as the eye sees it
+ * (a fit to the CIE color-matching curves, good from 1000 K to 40000 K)
+ * @param {number} temperature - Temperature in kelvin
+ * @param {THREE.Color} target - Color to write into (a new one when omitted)
+ * @returns {THREE.Color} - The color, normalized so its brightest channel is 1
+ */
+function blackbodyColor(temperature, target = new THREE.Color()) {
+    const t = THREE.MathUtils.clamp(temperature, 1000, 40000) / 100;
+    let red, green, blue;
+
+    if (t <= 66) {
+        red = 255;
+        green = 99.4708025861 * Math.log(t) - 161.1195681661;
+        blue = t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    } else {
+        red = 329.698727446 * Math.pow(t - 60, -0.1332047592);
+        green = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+        blue = 255;
+    }
+
+    const clamp = value => THREE.MathUtils.clamp(value, 0, 255) / 255;
+    return target.setRGB(clamp(red), clamp(green), clamp(blue), THREE.SRGBColorSpace);
+}
+
+/**
+ * Luminosity of a star compared with the Sun's (Stefan-Boltzmann: L ∝ R² T⁴)
+ * @param {number} temperature - Temperature in kelvin
+ * @param {number} radius - Radius compared with the Sun's
+ * @returns {number} - Luminosity in solar units
+ */
+function relativeLuminosity(temperature, radius = 1) {
+    return radius * radius * Math.pow(temperature / SOLAR_TEMPERATURE, 4);
+}
+
+export {
+    SOLAR_TEMPERATURE,
+    SPECTRAL_CLASSES,
+    SPECTRAL_CLASS_PATTERN,
+    spectralClassTemperature,
+    temperatureSpectralClass,
+    colorIndexTemperature,
+    blackbodyColor,
+    relativeLuminosity
+};
@@ -0,0 +1,81 @@
+/**
+ * Registry of the celestial bodies in the scene (stars, planets, moons, comets,
+ * asteroid belts, black holes, nebulae).
+ * The component factories report what they create here, so picking, info
+ * panels and camera moves can find bodies by name or by the mesh under the pointer.
+ */
+class BodyRegistry {
+    constructor() {
+        this.bodies = [];
+    }
+
+    /**
+     * Register a body
+     * @param {Object} body - Body description
+     * @param {string} body.name - Display name (also the Object3D name used by scene files)
+     * @param {string} body.type - 'star', 'planet', 'moon', 'comet', 'asteroid belt',
+     *     'debris field', 'black hole' or 'nebula'
+     * @param {THREE.Object3D} body.object - Object whose world position is the body's center
+     * @param {THREE.Object3D[]} body.pickables - Meshes that select the body when clicked
+     * @param {number} body.radius - Rough visual radius, used to frame the body
+     * @param {number} body.sphereRadius - Radius of the solid sphere itself, without rings or
+     *     other extras (used for eclipses; defaults to the radius)
+     * @param {string} body.description - Text for the info panel
+     * @param {Object} body.stats - Label/value pairs for the info panel
+     * @returns {Object} - The registered body
+     */
+    register({ name, type, object, pickables = [], radius = 1, sphereRadius = radius, description = '', stats = {} }) {
+        const body = { name, type, object, pickables, radius, sphereRadius, description, stats };
+        pickables.forEach(mesh => { mesh.userData.body = body; });
+        this.bodies.push(body);
+        return body;
+    }
+
+    /**
+     * @param {Object} body - Body returned by register()
+     */
+    unregister(body) {
+        const index = this.bodies.indexOf(body);
+        if (index !== -1) this.bodies.splice(index, 1);
+    }
+
+    /**
+     * @param {string} name - Body name
+     * @returns {Object|undefined} - First body with that name
+     */
+    get(name) {
+        return this.bodies.find(body => body.name === name);
+    }
+
+    /**
+     * @param {string} type - Optional type filter (e.g. 'planet' or 'moon'; see register)
+     * @returns {Object[]} - Registered bodies
+     */
+    list(type = null) {
+        return type ? this.bodies.filter(body => body.type === type) : [...this.bodies];
+    }
+
+    /**
+     * @returns {THREE.Object3D[]} - Every pickable mesh, for raycasting
+     */
+    getPickables() {
+        return this.bodies.flatMap(body => body.pickables);
+    }
+
+    /**
+     * Find the body an object (e.g. a raycast hit) belongs to
+     * @param {THREE.Object3D} object - Object to look up
+     * @returns {Object|null} - The body, if any
+     */
+    fromObject(object) {
+        for (let current = object; current; current = current.parent) {
+            if (current.userData.body) return current.userData.body;
+        }
+        return null;
+    }
+}
+
+// Shared registry the components report into
+const bodyRegistry = new BodyRegistry();
+
+export { bodyRegistry, BodyRegistry };
@@ -0,0 +1,259 @@
+import * as THREE from 'three';
+import { bodyRegistry } from './bodyRegistry.js';
+import { CameraTransition } from './cameraTransition.js';
+
+const HIGHLIGHT_COLOR = 0x66ccff;
+const HIGHLIGHT_SCALE = 1.2;
+
+// Seconds a fly-to move takes
+const FLY_DURATION = 3;
+
+// How much of the view the framed body fills (1 = edge to edge)
+const FRAME_FILL = 0.6;
+
+/**
+ * Click-to-select for celestial bodies.
+ * Picks registered bodies under the pointer, outlines the selection, fills in
+ * the info panel and flies the camera over to frame it. After a fly-to the
+ * camera stays with the body as it moves, optionally orbiting it.
+ */
+class BodySelection {
+    /**
+     * @param {Object} options - Selection options
+     * @param {THREE.Scene} options.scene - Scene the highlight is added to
+     * @param {THREE.PerspectiveCamera} options.camera - Camera used to pick and to fly
+     * @param {THREE.WebGLRenderer} options.renderer - Renderer whose canvas receives clicks
+     * @param {Object} options.controls - OrbitControls that take over after a fly-to
+     * @param {HTMLElement} options.panel - Info panel (see #body-info in index.html)
+     * @param {Function} options.onFlyTo - Called before a fly-to starts (e.g. to leave auto-pilot)
+     * @param {number} options.fov - Field of view to arrive with (defaults to the camera's current one)
+     * @param {BodyRegistry} options.registry - Bodies that can be picked
+     */
+    constructor({ scene, camera, renderer, controls, panel, onFlyTo = null, fov = camera.fov, registry = bodyRegistry }) {
+        this.camera = camera;
+        this.renderer = renderer;
+        this.controls = controls;
+        this.panel = panel;
+        this.onFlyTo = onFlyTo;
+        this.fov = fov;
+        this.registry = registry;
+        this.selected = null;
+        this.following = null;
+        this.orbit = false;
+        this.transition = new CameraTransition(camera);
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this._bodyPosition = new THREE.Vector3();
+        this._lastFollowPosition = new THREE.Vector3();
+        this._offset = new THREE.Vector3();
+
+        // Glowing rim drawn around the selected body
+        this.highlight = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 48, 24),
+            new THREE.ShaderMaterial({
+                uniforms: {
+                    color: { value: new THREE.Color(HIGHLIGHT_COLOR) },
+                    opacity: { value: 1 }
+                },
+                vertexShader: `
+                    varying vec3 vNormal;
+                    varying vec3 vView;
+
+                    void main() {
+                        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                        vNormal = normalize(normalMatrix * normal);
+                        vView = normalize(-mvPosition.xyz);
+                        gl_Position = projectionMatrix * mvPosition;
+                    }
+                `,
+                fragmentShader: `
+                    uniform vec3 color;
+                    uniform float opacity;
+
+                    varying vec3 vNormal;
+                    varying vec3 vView;
+
+                    void main() {
+                        float rim = pow(1.0 - abs(dot(vNormal, vView)), 3.0);
+                        gl_FragColor = vec4(color * rim, rim * opacity);
+                    }
+                `,
+                transparent: true,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false
+            })
+        );
+        this.highlight.name = 'Selection Highlight';
+        this.highlight.visible = false;
+        scene.add(this.highlight);
+
+        this._setupPanel();
+    }
+
+    /**
+     * Find the body under a point on the canvas.
+     * Solid bodies win over nebulae, which are only picked when nothing is in front.
+     * @param {number} clientX - Pointer x in window coordinates
+     * @param {number} clientY - Pointer y in window coordinates
+     * @returns {Object|null} - The body, if any
+     */
+    pick(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const bodies = this.raycaster.intersectObjects(this.registry.getPickables(), false)
+            .map(hit => this.registry.fromObject(hit.object))
+            .filter(Boolean);
+        return bodies.find(body => body.type !== 'nebula') || bodies[0] || null;
+    }
+
+    /**
+     * Select a body: outline it and show its info panel
+     * @param {Object} body - Registered body
+     */
+    select(body) {
+        this.selected = body;
+        this.highlight.visible = true;
+
+        this.nameField.textContent = body.name;
+        this.typeField.textContent = body.type;
+        this.descriptionField.textContent = body.description;
+        this.descriptionField.style.display = body.description ? '' : 'none';
+        this.statsTable.replaceChildren(...Object.entries(body.stats).map(([label, value]) => {
+            const row = document.createElement('tr');
+            const th = document.createElement('th');
+            const td = document.createElement('td');
+            th.textContent = label;
+            td.textContent = value;
+            row.append(th, td);
+            return row;
+        }));
+        this.panel.style.display = 'block';
+    }
+
+    /**
+     * Deselect, hiding the outline and panel and letting go of the body
+     */
+    clear() {
+        this.selected = null;
+        this.highlight.visible = false;
+        this.panel.style.display = 'none';
+        this.release();
+    }
+
+    /**
+     * Fly the camera over to frame a body, then follow it
+     * @param {Object} body - Registered body (defaults to the selection)
+     */
+    flyTo(body = this.selected) {
+        if (!body) return;
+
+        if (this.onFlyTo) this.onFlyTo(body);
+        this.release();
+        this.following = body;
+        this.controls.enabled = false;
+
+        // Come in along the current line of sight, far enough for the body to fit
+        const halfFov = THREE.MathUtils.degToRad(this.fov) / 2;
+        const distance = body.radius / Math.sin(halfFov) / FRAME_FILL;
+        body.object.getWorldPosition(this._bodyPosition);
+        this._offset.subVectors(this.camera.position, this._bodyPosition);
+        if (this._offset.lengthSq() < 1e-6) this._offset.set(0, 0, 1);
+        this._offset.setLength(distance);
+
+        this.transition.start({
+            position: target => body.object.getWorldPosition(target).add(this._offset),
+            lookAt: target => body.object.getWorldPosition(target),
+            fov: this.fov,
+            duration: FLY_DURATION,
+            onComplete: () => {
+                body.object.getWorldPosition(this._lastFollowPosition);
+                this.controls.target.copy(this._lastFollowPosition);
+                this.controls.autoRotate = this.orbit;
+                this.controls.enabled = true;
+            }
+        });
+    }
+
+    /**
+     * Turn slow orbiting around the followed body on or off
+     * @param {boolean} orbit - Whether to orbit
+     */
+    setOrbit(orbit) {
+        this.orbit = orbit;
+        this.orbitToggle.checked = orbit;
+        if (this.following && !this.transition.active) {
+            this.controls.autoRotate = orbit;
+        }
+    }
+
+    /**
+     * Stop flying to / following a body (e.g. when auto-pilot takes over)
+     */
+    release() {
+        if (this.transition.active) {
+            this.transition.cancel();
+            this.controls.enabled = true;
+        }
+        this.following = null;
+        this.controls.autoRotate = false;
+    }
+
+    /**
+     * @returns {boolean} - Whether a fly-to move is driving the camera
+     */
+    isFlying() {
+        return this.transition.active;
+    }
+
+    /**
+     * Move the highlight, fly-to and follow along; call once per frame
+     * before the camera controls update
+     * @param {number} delta - Real (wall-clock) seconds since the last frame
+     */
+    update(delta) {
+        if (this.selected) {
+            this.selected.object.getWorldPosition(this.highlight.position);
+            this.highlight.scale.setScalar(this.selected.radius * HIGHLIGHT_SCALE);
+            this.highlight.material.uniforms.opacity.value = 0.7 + 0.3 * Math.sin(performance.now() / 300);
+        }
+
+        if (this.transition.active) {
+            this.transition.update(delta);
+        } else if (this.following) {
+            // Carry the camera and its orbit target along with the body
+            this.following.object.getWorldPosition(this._bodyPosition);
+            this._offset.subVectors(this._bodyPosition, this._lastFollowPosition);
+            this.camera.position.add(this._offset);
+            this.controls.target.add(this._offset);
+            this._lastFollowPosition.copy(this._bodyPosition);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _setupPanel() {
+        this.nameField = this.panel.querySelector('#body-info-name');
+        this.typeField = this.panel.querySelector('#body-info-type');
+        this.descriptionField = this.panel.querySelector('#body-info-description');
+        this.statsTable = this.panel.querySelector('#body-info-stats');
+        this.orbitToggle = this.panel.querySelector('#body-info-orbit');
+
+        const actions = {
+            fly: () => this.flyTo(),
+            close: () => this.clear()
+        };
+        this.panel.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => actions[button.dataset.action]());
+        });
+        this.orbitToggle.addEventListener('change', () => this.setOrbit(this.orbitToggle.checked));
+    }
+}
+
+export { BodySelection };
@@ -1,13 +1,50 @@
 import * as THREE from 'three';
+import { getEasing } from './easing.js';
+
+// Travel speed (units per second) for segments without an explicit duration
+const DEFAULT_SPEED = 2;
+
+// How far ahead on the path the camera looks when no target is given (fraction of the path)
+const LOOK_AHEAD = 0.01;
 
 /**
  * Camera path utility for smooth camera movement through space
  * Uses Catmull-Rom spline for natural motion between points
+ *
+ * Each point is a keyframe of a cinematic track: how long to hold there, how
+ * long the move to the next keyframe takes and with which easing, what to
+ * look at, and the field of view and roll to blend towards.
  */
 class CameraPath {
-    constructor() {
+    /**
+     * @param {Object} options - Path options
+     * @param {number} options.fov - Field of view used by keyframes that don't set one
+     * @param {boolean} options.loop - Closed loop (true) or a one-shot path that ends
+     *                                 on its last keyframe (false)
+     */
+    constructor({ fov = 75, loop = true } = {}) {
         this.points = [];
+        this.keyframes = [];
+        this.trackedPoints = []; // Points that follow moving bodies
         this.curve = null;
+        this.defaultFov = fov;
+        this.loop = loop;
+        this.endListeners = [];
+        
+        // Playback state
+        this.time = 0; // Seconds into the track
+        this.duration = 0; // Length of one lap of the track in seconds
+        this.playing = true;
+        
+        // Scratch vectors
+        this._lookFrom = new THREE.Vector3();
+        this._lookTo = new THREE.Vector3();
+        this.pose = {
+            position: new THREE.Vector3(),
+            lookAt: new THREE.Vector3(),
+            fov,
+            roll: 0
+        };
     }
     
     /**
@@ -15,8 +52,313 @@ class CameraPath {
      * @param {THREE.Vector3} point - 3D point to add to the path
      */
     addPoint(point) {
-        this.points.push(point);
+        this.addKeyframe({ position: point });
+    }
+    
+    /**
+     * Add a point that follows a (possibly moving) object, e.g. an orbiting planet
+     * @param {THREE.Object3D} object - Object to follow
+     * @param {THREE.Vector3} offset - Offset from the object's world position
+     */
+    addTrackedPoint(object, offset = new THREE.Vector3()) {
+        this.addKeyframe({ object, offset });
+    }
+    
+    /**
+     * Add a keyframe to the end of the track
+     * @param {Object} keyframe - Keyframe description
+     * @param {THREE.Vector3} keyframe.position - Fixed camera position
+     * @param {THREE.Object3D} keyframe.object - Object to follow instead of a fixed position
+     * @param {THREE.Vector3} keyframe.offset - Offset from the followed object
+     * @param {number} keyframe.hold - Seconds to stay at this keyframe before moving on
+     * @param {number} keyframe.duration - Seconds for the move to the next keyframe
+     *                                     (defaults to a steady cruising speed)
+     * @param {string|Function} keyframe.easing - Easing of the move to the next keyframe
+     * @param {THREE.Vector3|THREE.Object3D} keyframe.lookAt - Point or object to look at
+     *                                     (defaults to looking ahead along the path)
+     * @param {number} keyframe.fov - Field of view in degrees
+     * @param {number} keyframe.roll - Roll around the view direction in radians
+     */
+    addKeyframe(keyframe) {
+        this.insertKeyframe(this.keyframes.length, keyframe);
+    }
+    
+    /**
+     * Insert a keyframe before the one at an index
+     * @param {number} index - Where the new keyframe goes
+     * @param {Object} keyframe - Keyframe description (see addKeyframe)
+     */
+    insertKeyframe(index, {
+        position = null,
+        object = null,
+        offset = new THREE.Vector3(),
+        hold = 0,
+        duration = null,
+        easing = 'linear',
+        lookAt = null,
+        fov = null,
+        roll = 0
+    }) {
+        const point = object ? object.getWorldPosition(new THREE.Vector3()).add(offset) : position.clone();
+        
+        this.keyframes.splice(index, 0, {
+            point,
+            object,
+            offset,
+            hold,
+            duration,
+            easing,
+            ease: getEasing(easing),
+            lookAt,
+            fov,
+            roll,
+            // Filled in by _updateTimeline
+            start: 0,
+            moveStart: 0,
+            end: 0
+        });
+        this.rebuild();
+    }
+    
+    /**
+     * Remove the keyframe at an index
+     * @param {number} index - Keyframe to remove
+     */
+    removeKeyframe(index) {
+        this.keyframes.splice(index, 1);
+        this.rebuild();
+    }
+    
+    /**
+     * Move a keyframe to another place in the track
+     * @param {number} from - Current index
+     * @param {number} to - New index
+     */
+    moveKeyframe(from, to) {
+        const [keyframe] = this.keyframes.splice(from, 1);
+        this.keyframes.splice(to, 0, keyframe);
+        this.rebuild();
+    }
+    
+    /**
+     * Replace the whole track
+     * @param {Object[]} keyframes - Keyframe descriptions (see addKeyframe)
+     */
+    setKeyframes(keyframes) {
+        this.keyframes = [];
+        keyframes.forEach(keyframe => this.addKeyframe(keyframe));
+        this.rebuild();
+    }
+    
+    /**
+     * Rebuild the curve and the timing after keyframes were changed in place
+     * (e.g. a point dragged in the editor)
+     */
+    rebuild() {
+        this.points = this.keyframes.map(keyframe => keyframe.point);
+        this.trackedPoints = this.keyframes.filter(keyframe => keyframe.object);
         this._updateCurve();
+        this._updateTimeline();
+    }
+    
+    /**
+     * Describe the track in the scene file's "cameraPath" format
+     * @returns {Array} - Keyframes ready for JSON.stringify
+     */
+    toJSON() {
+        const round = vector => vector.toArray().map(n => Math.round(n * 100) / 100);
+        
+        return this.keyframes.map(keyframe => {
+            const json = {};
+            if (keyframe.object) {
+                json.body = keyframe.object.name;
+                json.offset = round(keyframe.offset);
+            } else {
+                json.position = round(keyframe.point);
+            }
+            if (keyframe.hold > 0) json.hold = keyframe.hold;
+            if (keyframe.duration !== null) json.duration = keyframe.duration;
+            if (typeof keyframe.easing === 'string' && keyframe.easing !== 'linear') json.easing = keyframe.easing;
+            if (keyframe.lookAt) json.lookAt = keyframe.lookAt.isObject3D ? keyframe.lookAt.name : round(keyframe.lookAt);
+            if (keyframe.fov !== null) json.fov = keyframe.fov;
+            if (keyframe.roll !== 0) json.roll = keyframe.roll;
+            
+            // Plain waypoints stay as compact [x, y, z] arrays
+            const keys = Object.keys(json);
+            return keys.length === 1 && keys[0] === 'position' ? json.position : json;
+        });
+    }
+    
+    /**
+     * Move tracked points to their objects' current positions and advance
+     * playback. Call once per frame before sampling the path.
+     * @param {number} delta - Simulation time since the last frame (negative when reversed)
+     */
+    update(delta = 0) {
+        if (this.trackedPoints.length > 0 && this.curve) {
+            this.trackedPoints.forEach(({ point, object, offset }) => {
+                object.getWorldPosition(point).add(offset);
+            });
+            
+            // The curve shares the point vectors, only its arc-length table is stale
+            this.curve.updateArcLengths();
+        }
+        
+        if (this.playing) {
+            const wasBeforeEnd = this.time < this.duration;
+            this.seek(this.time + delta);
+            
+            // One-shot paths stop on their last keyframe
+            if (!this.loop && wasBeforeEnd && this.time >= this.duration) {
+                this.playing = false;
+                this.endListeners.forEach(listener => listener(this));
+            }
+        }
+    }
+    
+    play() {
+        // Replaying a finished one-shot path starts it over
+        if (!this.loop && this.time >= this.duration) {
+            this.time = 0;
+        }
+        this.playing = true;
+    }
+    
+    pause() {
+        this.playing = false;
+    }
+    
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+    
+    /**
+     * Listen for a one-shot path reaching its end
+     * @param {Function} listener - Called with the path
+     */
+    onEnd(listener) {
+        this.endListeners.push(listener);
+    }
+    
+    /**
+     * Jump to a time on the track
+     * @param {number} time - Seconds from the start of the track (wraps around on loops)
+     */
+    seek(time) {
+        this.time = this._wrapTime(time);
+    }
+    
+    /**
+     * @returns {number} - How far through the track playback is (0 to 1)
+     */
+    getProgress() {
+        return this.duration > 0 ? this.time / this.duration : 0;
+    }
+    
+    /**
+     * Work out where the camera should be at a time on the track
+     * @param {number} time - Seconds from the start of the track (defaults to the playhead)
+     * @returns {Object} - { position, lookAt, fov, roll }; reused between calls
+     */
+    getPose(time = this.time) {
+        const pose = this.pose;
+        if (!this.curve) return pose;
+        
+        const t = this._wrapTime(time);
+        const index = this._findKeyframe(t);
+        const from = this.keyframes[index];
+        const to = this.keyframes[(index + 1) % this.keyframes.length];
+        
+        // Progress of the move out of this keyframe (0 while holding)
+        const travel = from.end - from.moveStart;
+        const linear = travel > 0 ? THREE.MathUtils.clamp((t - from.moveStart) / travel, 0, 1) : 0;
+        const s = from.ease(linear);
+        
+        const u = (index + s) / this._getSegmentCount();
+        this.curve.getPoint(u, pose.position);
+        
+        this._getLookTarget(from, u, this._lookFrom);
+        this._getLookTarget(to, u, this._lookTo);
+        pose.lookAt.lerpVectors(this._lookFrom, this._lookTo, s);
+        
+        pose.fov = THREE.MathUtils.lerp(from.fov ?? this.defaultFov, to.fov ?? this.defaultFov, s);
+        pose.roll = THREE.MathUtils.lerp(from.roll, to.roll, s);
+        return pose;
+    }
+    
+    /**
+     * Find when the track passes closest to a point
+     * @param {THREE.Vector3} position - Point to approach (e.g. where the camera is now)
+     * @param {number} samples - Coarse samples taken along the track before refining
+     * @returns {number} - Seconds from the start of the track
+     */
+    findNearestTime(position, samples = 200) {
+        if (!this.curve || this.duration <= 0) return 0;
+        
+        const distanceAt = time => this.getPose(time).position.distanceToSquared(position);
+        const step = this.duration / samples;
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i <= samples; i++) {
+            const distance = distanceAt(i * step);
+            if (distance < bestDistance) {
+                best = i * step;
+                bestDistance = distance;
+            }
+        }
+        
+        // Narrow down between the neighbouring samples
+        let low = best - step;
+        let high = best + step;
+        for (let i = 0; i < 20; i++) {
+            const a = low + (high - low) / 3;
+            const b = high - (high - low) / 3;
+            if (distanceAt(a) < distanceAt(b)) {
+                high = b;
+            } else {
+                low = a;
+            }
+        }
+        
+        const refined = (low + high) / 2;
+        return this._wrapTime(distanceAt(refined) < bestDistance ? refined : best);
+    }
+        
+    /**
+     * Move a camera to the current pose on the track
+     * @param {THREE.PerspectiveCamera} camera - Camera to move
+     */
+    applyTo(camera) {
+        const pose = this.getPose();
+        camera.position.copy(pose.position);
+        camera.lookAt(pose.lookAt);
+        camera.rotateZ(pose.roll);
+        
+        if (camera.fov !== pose.fov) {
+            camera.fov = pose.fov;
+            camera.updateProjectionMatrix();
+        }
+    }
+    
+    /**
+     * Point on the curve halfway from a keyframe to the next one
+     * (or a little past the end of a one-shot path)
+     * @param {number} index - Keyframe index
+     * @returns {THREE.Vector3}
+     */
+    getSegmentMidpoint(index) {
+        const count = this._getSegmentCount();
+        if (index < count) {
+            return this.curve.getPoint((index + 0.5) / count);
+        }
+        
+        const last = this.points[this.points.length - 1];
+        const previous = this.points[this.points.length - 2];
+        return last.clone().lerp(previous, -0.5);
     }
     
     /**
@@ -32,6 +374,58 @@ class CameraPath {
         return this.curve.getPointAt(t);
     }
     
+    /**
+     * Index of the keyframe whose hold or outgoing move contains a time
+     * @private
+     */
+    _findKeyframe(t) {
+        for (let i = 0; i < this.keyframes.length; i++) {
+            if (t < this.keyframes[i].end) return i;
+        }
+        return this.keyframes.length - 1;
+    }
+    
+    /**
+     * Where a keyframe wants the camera to look
+     * @param {Object} keyframe - Keyframe to read
+     * @param {number} u - Current position on the curve (0 to 1), used for looking ahead
+     * @param {THREE.Vector3} target - Vector to write the result into
+     * @private
+     */
+    _getLookTarget(keyframe, u, target) {
+        const { lookAt } = keyframe;
+        if (lookAt && lookAt.isVector3) return target.copy(lookAt);
+        if (lookAt && lookAt.isObject3D) return lookAt.getWorldPosition(target);
+        
+        const ahead = u + LOOK_AHEAD;
+        if (this.loop || ahead <= 1) {
+            return this.curve.getPoint(ahead % 1, target);
+        }
+        
+        // Past the end of a one-shot path: keep looking the way it was heading
+        this.curve.getPoint(1, target);
+        return target.addScaledVector(this.curve.getTangent(1), (ahead - 1) * this.curve.getLength());
+    }
+    
+    /**
+     * Keep a time on the track: wrap around on loops, stop at the ends otherwise
+     * @private
+     */
+    _wrapTime(time) {
+        if (this.duration <= 0) return 0;
+        return this.loop
+            ? THREE.MathUtils.euclideanModulo(time, this.duration)
+            : THREE.MathUtils.clamp(time, 0, this.duration);
+    }
+    
+    /**
+     * Loops have a segment back to the first keyframe, one-shot paths don't
+     * @private
+     */
+    _getSegmentCount() {
+        return this.loop ? this.keyframes.length : this.keyframes.length - 1;
+    }
+    
     /**
      * Update the curve based on current points
      * @private
@@ -42,15 +436,60 @@ class CameraPath {
             return;
         }
         
-        // Create a closed loop path
         this.curve = new THREE.CatmullRomCurve3(
             this.points,
-            true, // closed
+            this.loop, // closed
             'centripetal', // curve type
             0.5 // tension
         );
     }
     
+    /**
+     * Lay the keyframes out in time: hold, then move to the next keyframe
+     * @private
+     */
+    _updateTimeline() {
+        const count = this._getSegmentCount();
+        let time = 0;
+        
+        this.keyframes.forEach((keyframe, i) => {
+            keyframe.start = time;
+            keyframe.moveStart = time + keyframe.hold;
+            
+            let travel = keyframe.duration;
+            if (i >= count) {
+                // The last keyframe of a one-shot path only holds
+                travel = 0;
+            } else if (travel === null) {
+                travel = this.curve ? this._getSegmentLength(i, count) / DEFAULT_SPEED : 0;
+            }
+            
+            keyframe.end = keyframe.moveStart + travel;
+            time = keyframe.end;
+        });
+        
+        this.duration = time;
+        this.seek(this.time);
+    }
+    
+    /**
+     * Approximate length of the curve between keyframe i and the next one
+     * @private
+     */
+    _getSegmentLength(i, count, samples = 16) {
+        let length = 0;
+        const previous = this.curve.getPoint(i / count);
+        const current = new THREE.Vector3();
+        
+        for (let j = 1; j <= samples; j++) {
+            this.curve.getPoint((i + j / samples) / count, current);
+            length += current.distanceTo(previous);
+            previous.copy(current);
+        }
+        
+        return length;
+    }
+    
     /**
      * Visualize the path (useful for debugging)
      * @param {THREE.Scene} scene - Scene to add the visualization to
@@ -71,4 +510,28 @@ class CameraPath {
     }
 }
 
-export { CameraPath }; 
\ No newline at end of file
+/**
+ * Turn a keyframe read from a scene file into addKeyframe options,
+ * looking up the bodies it follows or looks at by name
+ * @param {Object} keyframe - Keyframe from the scene loader
+ * @param {THREE.Object3D} scene - Scene containing the named bodies
+ * @returns {Object} - Options for CameraPath.addKeyframe
+ * @throws {Error} - If a named body is not in the scene
+ */
+function resolveKeyframe(keyframe, scene) {
+    const find = name => {
+        const object = scene.getObjectByName(name);
+        if (!object) {
+            throw new Error(`Camera keyframe refers to "${name}", which is not in this scene`);
+        }
+        return object;
+    };
+    
+    return {
+        ...keyframe,
+        object: keyframe.body ? find(keyframe.body) : null,
+        lookAt: typeof keyframe.lookAt === 'string' ? find(keyframe.lookAt) : keyframe.lookAt
+    };
+}
+
+export { CameraPath, resolveKeyframe };
@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+import { getEasing } from './easing.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Smoothly moves a camera from wherever it is to a new position and look-at
+ * point. Destinations can be functions so a move can end on a moving body.
+ */
+class CameraTransition {
+    /**
+     * @param {THREE.PerspectiveCamera} camera - Camera to move
+     */
+    constructor(camera) {
+        this.camera = camera;
+        this.active = false;
+        this.elapsed = 0;
+        this.duration = 1;
+        this.ease = getEasing('easeInOut');
+        this.onComplete = null;
+
+        // Where the camera is looking and its roll, as of the last update
+        this.lookAt = new THREE.Vector3();
+        this.roll = 0;
+
+        this.fromPosition = new THREE.Vector3();
+        this.fromLookAt = new THREE.Vector3();
+        this.fromFov = camera.fov;
+        this.fromRoll = 0;
+        this._position = new THREE.Vector3();
+        this._lookAt = new THREE.Vector3();
+        this._direction = new THREE.Vector3();
+    }
+
+    /**
+     * Start a move (replacing any move in progress)
+     * @param {Object} options - Move options
+     * @param {THREE.Vector3|Function} options.position - Destination, or (target) => destination
+     * @param {THREE.Vector3|Function} options.lookAt - Point to end up looking at, or (target) => point
+     * @param {THREE.Vector3} options.fromLookAt - Point the camera looks at now
+     *                                             (defaults to straight ahead)
+     * @param {number} options.fromRoll - Roll the camera has now, in radians
+     *                                     (measured from the camera when omitted)
+     * @param {number|Function} options.fov - Field of view to end with, or () => fov
+     *                                        (defaults to the current one)
+     * @param {number|Function} options.roll - Roll to end with in radians, or () => roll
+     *                                         (null keeps the current roll)
+     * @param {number} options.duration - Seconds the move takes
+     * @param {string|Function} options.easing - Easing name or function
+     * @param {number} options.arc - How far to bow the flight path upwards, as a
+     *                               fraction of the distance (0 for a straight line)
+     * @param {Function} options.onComplete - Called when the camera arrives
+     */
+    start({
+        position,
+        lookAt,
+        fromLookAt = null,
+        fromRoll = null,
+        fov = this.camera.fov,
+        roll = 0,
+        duration = 3,
+        easing = 'easeInOut',
+        arc = 0.15,
+        onComplete = null
+    }) {
+        this.getPosition = typeof position === 'function' ? position : target => target.copy(position);
+        this.getLookAt = typeof lookAt === 'function' ? lookAt : target => target.copy(lookAt);
+        this.fromPosition.copy(this.camera.position);
+        this.fromFov = this.camera.fov;
+        this.getFov = typeof fov === 'function' ? fov : () => fov;
+        this.duration = Math.max(duration, 0.001);
+        this.ease = getEasing(easing);
+        this.arc = arc;
+        this.onComplete = onComplete;
+        this.elapsed = 0;
+        this.active = true;
+
+        if (fromLookAt) {
+            this.fromLookAt.copy(fromLookAt);
+        } else {
+            // Start from a point straight ahead, as far away as the destination's target
+            const distance = this.camera.position.distanceTo(this.getLookAt(this._lookAt));
+            this.camera.getWorldDirection(this._direction);
+            this.fromLookAt.copy(this.camera.position).addScaledVector(this._direction, Math.max(distance, 1));
+        }
+
+        this.fromRoll = fromRoll ?? this._measureRoll();
+        const toRoll = roll ?? this.fromRoll;
+        this.getRoll = typeof toRoll === 'function' ? toRoll : () => toRoll;
+    }
+
+    /**
+     * Roll of the camera around its view direction, relative to looking at
+     * fromLookAt with the camera's up vector
+     * @private
+     */
+    _measureRoll() {
+        const camera = this.camera;
+        const level = new THREE.Quaternion().setFromRotationMatrix(
+            new THREE.Matrix4().lookAt(camera.position, this.fromLookAt, camera.up)
+        );
+        const levelUp = new THREE.Vector3(0, 1, 0).applyQuaternion(level);
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+        const back = new THREE.Vector3(0, 0, 1).applyQuaternion(camera.quaternion);
+        return Math.atan2(levelUp.clone().cross(up).dot(back), levelUp.dot(up));
+    }
+
+    /**
+     * Stop the move where it is
+     */
+    cancel() {
+        this.active = false;
+        this.onComplete = null;
+    }
+
+    /**
+     * Advance the move; call once per frame while active
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        if (!this.active) return;
+
+        this.elapsed = Math.min(this.elapsed + delta, this.duration);
+        const t = this.elapsed / this.duration;
+        const s = this.ease(t);
+
+        this.getPosition(this._position);
+        this.getLookAt(this._lookAt);
+
+        const camera = this.camera;
+        const distance = this.fromPosition.distanceTo(this._position);
+        camera.position.lerpVectors(this.fromPosition, this._position, s)
+            .addScaledVector(UP, Math.sin(Math.PI * s) * distance * this.arc);
+        this.lookAt.lerpVectors(this.fromLookAt, this._lookAt, s);
+        this.roll = THREE.MathUtils.lerp(this.fromRoll, this.getRoll(), s);
+        camera.lookAt(this.lookAt);
+        camera.rotateZ(this.roll);
+
+        const fov = THREE.MathUtils.lerp(this.fromFov, this.getFov(), s);
+        if (camera.fov !== fov) {
+            camera.fov = fov;
+            camera.updateProjectionMatrix();
+        }
+
+        if (t >= 1) {
+            this.active = false;
+            const onComplete = this.onComplete;
+            this.onComplete = null;
+            if (onComplete) onComplete();
+        }
+    }
+}
+
+export { CameraTransition };
@@ -0,0 +1,26 @@
+/**
+ * Easing curves for camera moves and transitions.
+ * Each takes progress from 0 to 1 and returns eased progress from 0 to 1.
+ */
+const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    smoothstep: t => t * t * (3 - 2 * t)
+};
+
+// Names accepted in scene files
+const EASING_NAMES = Object.keys(EASINGS);
+
+/**
+ * Look up an easing curve
+ * @param {string|Function} easing - Easing name or a custom (t) => t function
+ * @returns {Function} - Easing function (linear when the name is unknown)
+ */
+function getEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    return EASINGS[easing] || EASINGS.linear;
+}
+
+export { EASINGS, EASING_NAMES, getEasing };
@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+
+/**
+ * Eclipses between a planet and its moons.
+ * Seen from a point on a moon or planet, the sun is a disk and any body in
+ * front of it is another disk; the light reaching the point is the share of
+ * the sun's disk left uncovered. Worked out per pixel, this gives shadows with
+ * a dark umbra and a soft penumbra of the right width at any distance.
+ */
+
+// Bodies one set of eclipse uniforms can hold (a planet and its moons)
+const MAX_OCCLUDERS = 8;
+
+const toSun = new THREE.Vector3();
+const toBody = new THREE.Vector3();
+
+/**
+ * Share of the sun's disk hidden behind another disk (the area where two
+ * circles overlap, over the sun's area)
+ * @param {number} sunSize - Angular radius of the sun in radians
+ * @param {number} occluderSize - Angular radius of the body in front of it
+ * @param {number} separation - Angle between their centers
+ * @returns {number} - 0 (sun uncovered) to 1 (total eclipse)
+ */
+function diskCoverage(sunSize, occluderSize, separation) {
+    const a = sunSize;
+    const b = occluderSize;
+    const d = separation;
+    if (d >= a + b) return 0;
+    if (d <= Math.abs(a - b)) return Math.min(b * b / (a * a), 1);
+
+    const clamp = value => THREE.MathUtils.clamp(value, -1, 1);
+    const overlap = a * a * Math.acos(clamp((d * d + a * a - b * b) / (2 * d * a)))
+        + b * b * Math.acos(clamp((d * d + b * b - a * a) / (2 * d * b)))
+        - 0.5 * Math.sqrt(Math.max((-d + a + b) * (d + a - b) * (d - a + b) * (d + a + b), 0));
+    return Math.min(overlap / (Math.PI * a * a), 1);
+}
+
+/**
+ * How much of a sun's disk a body hides, seen from a viewpoint
+ * @param {THREE.Vector3} viewpoint - Where the sun is seen from
+ * @param {THREE.Vector3} sunPosition - Center of the sun
+ * @param {number} sunRadius - Radius of the sun
+ * @param {THREE.Vector3} bodyPosition - Center of the body that may be in the way
+ * @param {number} bodyRadius - Radius of that body
+ * @returns {number} - 0 (sun uncovered) to 1 (total eclipse)
+ */
+function eclipseCoverage(viewpoint, sunPosition, sunRadius, bodyPosition, bodyRadius) {
+    const sunDistance = viewpoint.distanceTo(sunPosition);
+    const bodyDistance = viewpoint.distanceTo(bodyPosition);
+    if (bodyDistance <= bodyRadius || bodyDistance >= sunDistance || sunDistance <= sunRadius) return 0;
+
+    const sunSize = Math.max(Math.asin(sunRadius / sunDistance), 1e-4);
+    const bodySize = Math.asin(bodyRadius / bodyDistance);
+    const separation = toSun.subVectors(sunPosition, viewpoint).angleTo(toBody.subVectors(bodyPosition, viewpoint));
+    return diskCoverage(sunSize, bodySize, separation);
+}
+
+// The same sums in GLSL, for lighting
+const eclipseChunk = `
+    #define MAX_OCCLUDERS ${MAX_OCCLUDERS}
+
+    uniform vec4 eclipseSun;
+    uniform vec4 eclipseOccluders[MAX_OCCLUDERS];
+    uniform int eclipseOccluderCount;
+
+    float diskCoverage(float a, float b, float d) {
+        if (d >= a + b) return 0.0;
+        if (d <= abs(a - b)) return min(b * b / (a * a), 1.0);
+        float overlap = a * a * acos(clamp((d * d + a * a - b * b) / (2.0 * d * a), -1.0, 1.0))
+            + b * b * acos(clamp((d * d + b * b - a * a) / (2.0 * d * b), -1.0, 1.0))
+            - 0.5 * sqrt(max((-d + a + b) * (d + a - b) * (d - a + b) * (d + a + b), 0.0));
+        return min(overlap / (3.141592653589793 * a * a), 1.0);
+    }
+
+    // Share of the sun's disk visible from a point
+    float sunVisibility(vec3 point) {
+        vec3 toSun = eclipseSun.xyz - point;
+        float sunDistance = length(toSun);
+        toSun /= sunDistance;
+        float sunSize = max(asin(min(eclipseSun.w / sunDistance, 1.0)), 1e-4);
+
+        float visibility = 1.0;
+        for (int i = 0; i < MAX_OCCLUDERS; i++) {
+            if (i >= eclipseOccluderCount) break;
+            vec3 toBody = eclipseOccluders[i].xyz - point;
+            float bodyDistance = length(toBody);
+            // Skip the body the point is on, and bodies beyond the sun
+            if (bodyDistance < eclipseOccluders[i].w * 1.01 || bodyDistance > sunDistance) continue;
+            toBody /= bodyDistance;
+            if (dot(toBody, toSun) <= 0.0) continue;
+
+            float bodySize = asin(eclipseOccluders[i].w / bodyDistance);
+            // atan keeps its precision for the tiny angles acos(dot) would lose
+            float separation = atan(length(cross(toSun, toBody)), dot(toSun, toBody));
+            visibility *= 1.0 - diskCoverage(sunSize, bodySize, separation);
+        }
+        return visibility;
+    }
+`;
+
+/**
+ * Eclipse shading for a planet and its moons: every body added as an occluder
+ * can shade every material patched with patchShader().
+ * @param {Function} getSunPosition - (target) => target filled with the sun's world position
+ * @param {number} sunRadius - Radius of the sun (0 for a point of light, which casts hard shadows)
+ * @returns {Object} - { addOccluder(object, radius), update(), patchShader(shader) }
+ */
+function createEclipses(getSunPosition, sunRadius) {
+    const occluders = [];
+    const uniforms = {
+        eclipseSun: { value: new THREE.Vector4() },
+        eclipseOccluders: { value: Array.from({ length: MAX_OCCLUDERS }, () => new THREE.Vector4()) },
+        eclipseOccluderCount: { value: 0 }
+    };
+    const position = new THREE.Vector3();
+
+    /**
+     * Let a sphere cast eclipse shadows (bodies past the first MAX_OCCLUDERS are ignored)
+     * @param {THREE.Object3D} object - The body, centered on its origin
+     * @param {number} radius - Its radius
+     */
+    const addOccluder = (object, radius) => {
+        if (occluders.length >= MAX_OCCLUDERS) return;
+        occluders.push({ object, radius });
+        uniforms.eclipseOccluderCount.value = occluders.length;
+    };
+
+    // Move the shadows along with the bodies; call before rendering any of them
+    const update = () => {
+        getSunPosition(position);
+        uniforms.eclipseSun.value.set(position.x, position.y, position.z, sunRadius);
+        occluders.forEach(({ object, radius }, i) => {
+            object.getWorldPosition(position);
+            uniforms.eclipseOccluders.value[i].set(position.x, position.y, position.z, radius);
+        });
+    };
+
+    /**
+     * Dim the direct light of a MeshStandardMaterial by the share of the sun
+     * hidden from each pixel (call from the material's onBeforeCompile)
+     */
+    const patchShader = shader => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.vertexShader = 'varying vec3 vEclipseWorldPosition;\n' + shader.vertexShader.replace(
+            '#include <project_vertex>',
+            `#include <project_vertex>
+            vEclipseWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;`
+        );
+        shader.fragmentShader = `varying vec3 vEclipseWorldPosition;\n${eclipseChunk}\n` + shader.fragmentShader.replace(
+            '#include <lights_fragment_end>',
+            `#include <lights_fragment_end>
+            float sunVisible = sunVisibility(vEclipseWorldPosition);
+            reflectedLight.directDiffuse *= sunVisible;
+            reflectedLight.directSpecular *= sunVisible;`
+        );
+    };
+
+    return { addOccluder, update, patchShader };
+}
+
+export { MAX_OCCLUDERS, diskCoverage, eclipseCoverage, createEclipses };
@@ -0,0 +1,250 @@
+// Seconds the description card of an event stays up
+const CARD_DURATION = 10;
+
+/**
+ * Waiting time until the next random event. Waiting times are exponentially
+ * distributed (on average one event every 1 / rate seconds), but drawn from
+ * the seeded generator so a given seed always has the same timing.
+ * @param {Random} random - Generator to draw from
+ * @param {number} rate - Average events per second
+ * @returns {number} - Seconds to wait
+ */
+function randomWait(random, rate) {
+    return -Math.log(1 - random.next()) / rate;
+}
+
+/**
+ * Scripted celestial events (a supernova, say).
+ * Event types are registered once, each with setup/update/teardown hooks and a
+ * description card. Scheduled triggers start them at a simulation time, when
+ * a tour passes a point, when the viewer arrives at a location, or at random;
+ * trigger() starts one straight away (also handy from the browser console).
+ * Any number of events can run at once. They run on simulation time, so they
+ * pause, speed up and unwind with the clock.
+ */
+class EventScheduler {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {THREE.Scene} options.scene - Scene the events add their objects to
+     * @param {InfoCardQueue} options.infoCards - Where event descriptions are shown
+     * @param {Random} options.random - Seeded generator for random timing and the events themselves
+     */
+    constructor({ scene, infoCards = null, random }) {
+        this.scene = scene;
+        this.infoCards = infoCards;
+        this.random = random;
+        this.types = new Map();
+        this.triggers = [];
+        this.running = [];
+        this.time = 0;
+        this.count = 0;
+    }
+
+    /**
+     * Add an event type
+     * @param {Object} type - Event type
+     * @param {string} type.name - Unique name, used by triggers and trigger()
+     * @param {string} type.title - Card title shown when the event starts
+     * @param {string} type.description - Card text shown when the event starts
+     * @param {number} type.duration - Simulation seconds the event lasts
+     * @param {Function} type.setup - (event) => state; adds the event's objects to event.scene
+     * @param {Function} type.update - (event, progress) with progress from 0 to 1; event.state holds what setup returned
+     * @param {Function} type.teardown - (event) removes the event's objects again
+     */
+    register(type) {
+        this.types.set(type.name, type);
+    }
+
+    /**
+     * @returns {Object[]} - Every registered event type
+     */
+    getTypes() {
+        return [...this.types.values()];
+    }
+
+    /**
+     * Start an event now
+     * @param {string} name - Event type name
+     * @param {Object} options - Passed to the event's hooks as event.options (e.g. { position });
+     *     options.duration overrides the type's duration
+     * @returns {Object} - The running event
+     */
+    trigger(name, options = {}) {
+        const type = this._getType(name);
+        const event = {
+            type,
+            options,
+            scene: this.scene,
+            random: this.random.fork(`${name}:${this.count++}`),
+            startTime: this.time,
+            duration: options.duration || type.duration,
+            state: null
+        };
+        event.state = type.setup(event);
+        this.running.push(event);
+
+        if (this.infoCards && type.title) {
+            this.infoCards.show({ title: type.title, text: type.description, duration: CARD_DURATION, urgent: true });
+        }
+        return event;
+    }
+
+    /**
+     * End a running event early
+     * @param {Object} event - Event returned by trigger()
+     */
+    stop(event) {
+        const index = this.running.indexOf(event);
+        if (index === -1) return;
+        this.running.splice(index, 1);
+        event.type.teardown(event);
+        this._rearm(event, true);
+    }
+
+    /**
+     * Start an event when something happens
+     * @param {Object} trigger - Trigger (one of time, progress, location or random)
+     * @param {string} trigger.event - Event type name
+     * @param {number} trigger.time - Simulation time in seconds
+     * @param {number} trigger.progress - Fraction of a tour (fires when the tour passes it)
+     * @param {string} trigger.tour - Tour the progress applies to (any tour when omitted)
+     * @param {string} trigger.location - Name of the location that starts the event on arrival
+     * @param {Object} trigger.random - { after, rate, autopilot }: random times after `after` seconds, `rate` per
+     *     second on average (only while on auto-pilot when `autopilot` is set)
+     * @param {THREE.Vector3} trigger.position - Where the event happens (the event's default when omitted)
+     * @returns {Object} - The scheduled trigger, for unschedule()
+     */
+    schedule(trigger) {
+        this._getType(trigger.event);
+        const entry = { ...trigger, fired: false, lastProgress: null, lastTour: null };
+        if (entry.random) {
+            entry.nextTime = Math.max(this.time, entry.random.after || 0) + randomWait(this.random, entry.random.rate);
+        }
+        this.triggers.push(entry);
+        return entry;
+    }
+
+    /**
+     * @param {Object} entry - Trigger returned by schedule()
+     */
+    unschedule(entry) {
+        const index = this.triggers.indexOf(entry);
+        if (index !== -1) this.triggers.splice(index, 1);
+    }
+
+    /**
+     * Start the events waiting for the viewer to arrive at a location
+     * @param {string} name - Location name
+     */
+    notifyLocation(name) {
+        this.triggers
+            .filter(entry => entry.location === name)
+            .forEach(entry => this._fire(entry));
+    }
+
+    /**
+     * Fire due triggers and move running events along; call once per frame
+     * @param {Object} state - Current state
+     * @param {number} state.elapsedTime - Simulation time in seconds
+     * @param {Object} state.tour - Tour the camera is following (null when not on auto-pilot)
+     * @param {boolean} state.autopilot - Whether the camera is on auto-pilot
+     */
+    update({ elapsedTime, tour = null, autopilot = tour !== null }) {
+        this.time = elapsedTime;
+
+        this.triggers.forEach(entry => {
+            if (entry.time !== undefined) {
+                // Rewinding to before the time arms the trigger again
+                if (elapsedTime < entry.time) {
+                    entry.fired = false;
+                } else if (!entry.fired) {
+                    entry.fired = true;
+                    this._fire(entry);
+                }
+            } else if (entry.progress !== undefined) {
+                this._checkProgress(entry, tour);
+            } else if (entry.random && elapsedTime >= entry.nextTime) {
+                if (entry.random.autopilot && !autopilot) {
+                    // Skipped while the viewer is at the controls; try again later
+                    entry.nextTime = elapsedTime + randomWait(this.random, entry.random.rate);
+                } else {
+                    entry.nextTime = Infinity;
+                    entry.instance = this._fire(entry);
+                }
+            }
+        });
+
+        for (let i = this.running.length - 1; i >= 0; i--) {
+            const event = this.running[i];
+            const eventElapsed = elapsedTime - event.startTime;
+            const progress = Math.min(eventElapsed / event.duration, 1.0);
+
+            if (eventElapsed >= 0) event.type.update(event, progress);
+
+            // If complete (or rewound to before it started), clean up
+            if (progress >= 1.0 || eventElapsed < 0) {
+                this.running.splice(i, 1);
+                event.type.teardown(event);
+                this._rearm(event, eventElapsed >= 0);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getType(name) {
+        const type = this.types.get(name);
+        if (!type) {
+            throw new Error(`Unknown celestial event "${name}" (known: ${[...this.types.keys()].join(', ')})`);
+        }
+        return type;
+    }
+
+    /**
+     * @private
+     */
+    _fire(entry) {
+        return this.trigger(entry.event, entry.position ? { position: entry.position.clone() } : {});
+    }
+
+    /**
+     * Fire when the tour passes the trigger's progress going forwards
+     * (looping round or seeking backwards doesn't count)
+     * @private
+     */
+    _checkProgress(entry, tour) {
+        if (!tour || (entry.tour && entry.tour !== tour.name)) {
+            entry.lastTour = null;
+            return;
+        }
+        const progress = tour.path.getProgress();
+        if (entry.lastTour !== tour) {
+            entry.lastTour = tour;
+            entry.lastProgress = progress;
+            return;
+        }
+        if (entry.lastProgress < entry.progress && progress >= entry.progress) {
+            this._fire(entry);
+        }
+        entry.lastProgress = progress;
+    }
+
+    /**
+     * Pick the next time for the random trigger whose event just ended
+     * @private
+     */
+    _rearm(event, completed) {
+        const entry = this.triggers.find(candidate => candidate.instance === event);
+        if (!entry) return;
+        entry.instance = null;
+        if (completed) {
+            entry.nextTime = Math.max(this.time, entry.random.after || 0) + randomWait(this.random, entry.random.rate);
+        } else {
+            // Rewound to before the event: it happens again when time gets back there
+            entry.nextTime = event.startTime;
+        }
+    }
+}
+
+export { EventScheduler };
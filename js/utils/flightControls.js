@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+
+// Acceleration from the thrusters, in units per second squared
+const THRUST = 20;
+
+// Thrust multiplier while boosting (Shift)
+const BOOST = 4;
+
+// How quickly the ship coasts to a stop (per second); top speed is THRUST / DAMPING
+const DAMPING = 0.8;
+
+// Radians of turn per pixel of mouse movement
+const LOOK_SPEED = 0.003;
+
+// Roll acceleration (radians per second squared) and how quickly rolling stops
+const ROLL_THRUST = 3;
+const ROLL_DAMPING = 3;
+
+// Keys (KeyboardEvent.code, so they sit in the same place on every layout)
+// mapped to thrust along the camera's local axes: x right, y up, z backwards
+const THRUST_KEYS = {
+    KeyW: [0, 0, -1],
+    KeyS: [0, 0, 1],
+    KeyA: [-1, 0, 0],
+    KeyD: [1, 0, 0],
+    KeyE: [0, 1, 0],
+    KeyQ: [0, -1, 0]
+};
+const ROLL_KEYS = {
+    KeyZ: 1,
+    KeyC: -1
+};
+
+/**
+ * Six-degrees-of-freedom spaceship controls.
+ * WASD thrust forwards, backwards and sideways, E/Q up and down, Z/C roll,
+ * Shift boosts, and dragging with the mouse (or a finger) turns the ship.
+ * The ship keeps drifting after the thrusters stop and slowly coasts to a halt.
+ */
+class FlightControls {
+    /**
+     * @param {THREE.Camera} camera - Camera to fly
+     * @param {HTMLElement} domElement - Element that receives mouse-look drags
+     */
+    constructor(camera, domElement) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.enabled = false;
+
+        // Tuning (see the constants above)
+        this.thrust = THRUST;
+        this.boost = BOOST;
+        this.damping = DAMPING;
+        this.lookSpeed = LOOK_SPEED;
+
+        this.velocity = new THREE.Vector3();
+        this.rollVelocity = 0;
+        this.boosting = false;
+        this.keys = new Set();
+        this._look = { x: 0, y: 0 };
+        this._pointer = null;
+        this._thrust = new THREE.Vector3();
+        this._axis = new THREE.Vector3();
+
+        window.addEventListener('keydown', event => this._onKey(event, true));
+        window.addEventListener('keyup', event => this._onKey(event, false));
+        window.addEventListener('blur', () => this.keys.clear());
+
+        domElement.addEventListener('pointerdown', event => {
+            if (this.enabled) this._pointer = { id: event.pointerId, x: event.clientX, y: event.clientY };
+        });
+        domElement.addEventListener('pointermove', event => this._onPointerMove(event));
+        window.addEventListener('pointerup', event => {
+            if (this._pointer && this._pointer.id === event.pointerId) this._pointer = null;
+        });
+    }
+
+    enable() {
+        this.enabled = true;
+        this.velocity.set(0, 0, 0);
+        this.rollVelocity = 0;
+    }
+
+    disable() {
+        this.enabled = false;
+        this.keys.clear();
+        this._pointer = null;
+        this._look.x = 0;
+        this._look.y = 0;
+    }
+
+    /**
+     * @returns {number} - Current speed in units per second
+     */
+    getSpeed() {
+        return this.velocity.length();
+    }
+
+    /**
+     * Apply thrust, drift and turning; call once per frame while enabled
+     * @param {number} delta - Real (wall-clock) seconds since the last frame
+     */
+    update(delta) {
+        if (!this.enabled) return;
+
+        const camera = this.camera;
+
+        // Thrust along the ship's own axes
+        this._thrust.set(0, 0, 0);
+        this.keys.forEach(code => {
+            if (THRUST_KEYS[code]) this._thrust.add(this._axis.fromArray(THRUST_KEYS[code]));
+        });
+        if (this._thrust.lengthSq() > 0) {
+            const thrust = this.thrust * (this.boosting ? this.boost : 1);
+            this._thrust.normalize().multiplyScalar(thrust).applyQuaternion(camera.quaternion);
+            this.velocity.addScaledVector(this._thrust, delta);
+        }
+
+        // Drift, slowly coasting down (so boosting also raises the top speed)
+        this.velocity.multiplyScalar(Math.exp(-this.damping * delta));
+        camera.position.addScaledVector(this.velocity, delta);
+
+        // Roll builds up and dies down smoothly
+        let roll = 0;
+        this.keys.forEach(code => { roll += ROLL_KEYS[code] || 0; });
+        this.rollVelocity += roll * ROLL_THRUST * delta;
+        this.rollVelocity *= Math.exp(-ROLL_DAMPING * delta);
+        camera.rotateZ(this.rollVelocity * delta);
+
+        // Mouse-look turns around the ship's own axes, so there is no "up"
+        camera.rotateY(-this._look.x * this.lookSpeed);
+        camera.rotateX(-this._look.y * this.lookSpeed);
+        this._look.x = 0;
+        this._look.y = 0;
+    }
+
+    /**
+     * @private
+     */
+    _onKey(event, down) {
+        this.boosting = event.shiftKey;
+
+        // Releasing a key always counts, so thrusters can't get stuck on
+        if (!down) {
+            this.keys.delete(event.code);
+            return;
+        }
+        if (!this.enabled) return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName) || event.ctrlKey || event.metaKey || event.altKey) return;
+
+        if (THRUST_KEYS[event.code] || ROLL_KEYS[event.code]) {
+            this.keys.add(event.code);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onPointerMove(event) {
+        if (!this.enabled || !this._pointer || this._pointer.id !== event.pointerId) return;
+
+        this._look.x += event.clientX - this._pointer.x;
+        this._look.y += event.clientY - this._pointer.y;
+        this._pointer.x = event.clientX;
+        this._pointer.y = event.clientY;
+    }
+}
+
+export { FlightControls };
@@ -0,0 +1,98 @@
+// Seconds the overlay takes to fade (matches the .info-overlay CSS transition)
+const FADE_TIME = 0.5;
+
+// Cards waiting in line shorten the one showing, but never below this many seconds
+const MIN_DURATION = 3;
+
+/**
+ * Shows info cards one at a time in an overlay element.
+ * Cards that arrive while another is showing wait their turn instead of
+ * replacing it; the longer the line, the shorter each card stays up, so none
+ * is ever dropped. Timing runs on real time so cards still advance while the
+ * simulation is paused or sped up.
+ */
+class InfoCardQueue {
+    /**
+     * @param {HTMLElement} element - Overlay the cards are written into
+     */
+    constructor(element) {
+        this.element = element;
+        this.queue = [];
+        this.current = null;
+        this.shownFor = 0;
+        this.timeLeft = 0;
+        this.fading = false;
+    }
+
+    /**
+     * Queue a card
+     * @param {Object} card - Card to show
+     * @param {string} card.title - Heading
+     * @param {string} card.text - Body text
+     * @param {number} card.duration - Seconds to show it for
+     * @param {boolean} card.urgent - Show it next, cutting the current card short
+     */
+    show({ title, text, duration = 8, urgent = false }) {
+        // Don't queue a card that is already showing or waiting
+        const duplicate = [this.current, ...this.queue].some(card => card && card.title === title && card.text === text);
+        if (duplicate && !urgent) return;
+
+        const card = { title, text, duration };
+        if (urgent) {
+            this.queue.unshift(card);
+            if (this.current && !this.fading) this._fadeOut();
+        } else {
+            this.queue.push(card);
+        }
+    }
+
+    /**
+     * Remove a card that hasn't been shown yet, or hide it if it is showing
+     * @param {string} title - Title of the card
+     */
+    dismiss(title) {
+        this.queue = this.queue.filter(card => card.title !== title);
+        if (this.current && this.current.title === title && !this.fading) {
+            this._fadeOut();
+        }
+    }
+
+    /**
+     * Advance the queue; call once per frame
+     * @param {number} delta - Real (wall-clock) seconds since the last frame
+     */
+    update(delta) {
+        if (this.current && !this.fading) {
+            // Split the card's time with the cards waiting after it
+            this.shownFor += delta;
+            const duration = this.current.duration;
+            const displayTime = Math.max(duration / (1 + this.queue.length), Math.min(duration, MIN_DURATION));
+            if (this.shownFor >= displayTime) this._fadeOut();
+            return;
+        }
+        if (this.current) {
+            this.timeLeft -= delta;
+            if (this.timeLeft > 0) return;
+            this.current = null;
+            this.fading = false;
+        }
+
+        if (this.queue.length > 0) {
+            this.current = this.queue.shift();
+            this.shownFor = 0;
+            this.element.innerHTML = `<h3>${this.current.title}</h3><p>${this.current.text}</p>`;
+            this.element.style.opacity = 1;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _fadeOut() {
+        this.fading = true;
+        this.timeLeft = FADE_TIME;
+        this.element.style.opacity = 0;
+    }
+}
+
+export { InfoCardQueue };
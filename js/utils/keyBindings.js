@@ -0,0 +1,192 @@
+// Where remapped keys are remembered between visits
+const STORAGE_KEY = 'galactic-journey.keyBindings';
+
+// Friendlier names for keys whose KeyboardEvent.key isn't self-explanatory
+const KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc'
+};
+
+/**
+ * Name of the key pressed in a keyboard event, as used in bindings:
+ * letters are lower case and the spacebar is 'Space'
+ * @param {KeyboardEvent} event - Key event
+ * @returns {string} - Key name
+ */
+function keyFromEvent(event) {
+    if (event.key === ' ') return 'Space';
+    return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+}
+
+/**
+ * @param {string} key - Key name from keyFromEvent
+ * @returns {string} - How to show the key to the viewer
+ */
+function describeKey(key) {
+    return KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+/**
+ * Central keyboard shortcut table.
+ * Each action is defined once with its default keys and a handler; the viewer
+ * can remap actions, and the remapped keys are saved to localStorage.
+ */
+class KeyBindings {
+    /**
+     * @param {Object} options - Binding options
+     * @param {string} options.storageKey - localStorage key for remapped actions
+     */
+    constructor({ storageKey = STORAGE_KEY } = {}) {
+        this.storageKey = storageKey;
+        this.actions = new Map();
+        this.overrides = this._load();
+        this.changeListeners = [];
+        this.capturing = null;
+
+        window.addEventListener('keydown', event => this._onKeyDown(event));
+    }
+
+    /**
+     * Add an action
+     * @param {string} name - Action id (used in localStorage, so keep it stable)
+     * @param {Object} action - Action description
+     * @param {string} action.label - What the action does, for the help overlay
+     * @param {string[]} action.keys - Default keys (see keyFromEvent)
+     * @param {Function} action.handler - Called with the keyboard event
+     * @param {Function} action.when - Optional () => boolean; the key is ignored while false
+     */
+    define(name, { label, keys, handler, when = null }) {
+        this.actions.set(name, { name, label, defaultKeys: keys, handler, when });
+        this._notify();
+    }
+
+    /**
+     * @param {string} name - Action id
+     * @returns {string[]} - Keys currently bound to the action
+     */
+    getKeys(name) {
+        return this.overrides[name] || this.actions.get(name).defaultKeys;
+    }
+
+    /**
+     * @returns {Object[]} - Every action with its current keys, in definition order
+     */
+    list() {
+        return [...this.actions.values()].map(action => ({ ...action, keys: this.getKeys(action.name) }));
+    }
+
+    /**
+     * Bind an action to new keys (taking them away from any other action)
+     * @param {string} name - Action id
+     * @param {string[]} keys - Keys to use from now on
+     */
+    bind(name, keys) {
+        if (!this.actions.has(name)) {
+            throw new Error(`Unknown shortcut action "${name}"`);
+        }
+
+        this.actions.forEach(action => {
+            if (action.name === name) return;
+            const current = this.getKeys(action.name);
+            const remaining = current.filter(key => !keys.includes(key));
+            if (remaining.length !== current.length) this.overrides[action.name] = remaining;
+        });
+        this.overrides[name] = [...keys];
+        this._save();
+        this._notify();
+    }
+
+    /**
+     * Go back to the default keys for every action
+     */
+    reset() {
+        this.overrides = {};
+        this._save();
+        this._notify();
+    }
+
+    /**
+     * Bind an action to the next key pressed (Escape cancels)
+     * @param {string} name - Action id
+     * @param {Function} onDone - Called with the new key, or null if cancelled
+     */
+    capture(name, onDone = null) {
+        this.capturing = { name, onDone };
+    }
+
+    /**
+     * Listen for bindings changing (actions added, remapped or reset)
+     * @param {Function} listener - Called with no arguments
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    /**
+     * @private
+     */
+    _onKeyDown(event) {
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName) || event.ctrlKey || event.metaKey || event.altKey) return;
+
+        const key = keyFromEvent(event);
+
+        if (this.capturing) {
+            // Wait for a real key, not a modifier on its own
+            if (['Shift', 'Control', 'Alt', 'Meta'].includes(key)) return;
+            event.preventDefault();
+
+            const { name, onDone } = this.capturing;
+            this.capturing = null;
+            if (key !== 'Escape') this.bind(name, [key]);
+            if (onDone) onDone(key === 'Escape' ? null : key);
+            return;
+        }
+
+        const action = [...this.actions.values()].find(candidate =>
+            this.getKeys(candidate.name).includes(key) && (!candidate.when || candidate.when())
+        );
+        if (action) {
+            // Also stops Space from scrolling or pressing the focused button
+            event.preventDefault();
+            action.handler(event);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            // Ignore anything that isn't a list of key names (e.g. hand-edited storage)
+            return Object.fromEntries(Object.entries(saved).filter(([, keys]) =>
+                Array.isArray(keys) && keys.every(key => typeof key === 'string')
+            ));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+        } catch (error) {
+            // Storage can be unavailable (private browsing); remaps then last for this visit
+        }
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        this.changeListeners.forEach(listener => listener());
+    }
+}
+
+export { KeyBindings, keyFromEvent, describeKey };
@@ -0,0 +1,106 @@
+import { describeKey } from './keyBindings.js';
+
+/**
+ * Help overlay listing every keyboard shortcut.
+ * Each remappable action has a button that waits for the new key; fixed keys
+ * (such as the flight controls) are listed underneath for reference. Elements
+ * with a data-shortcut attribute get the action's current keys in their tooltip.
+ */
+class KeyHelp {
+    /**
+     * @param {Object} options - Overlay options
+     * @param {KeyBindings} options.bindings - Shortcut table to show and remap
+     * @param {HTMLElement} options.panel - Overlay element (see #key-help in index.html)
+     * @param {Object[]} options.fixed - Extra { label, keys } rows that can't be remapped
+     */
+    constructor({ bindings, panel, fixed = [] }) {
+        this.bindings = bindings;
+        this.panel = panel;
+        this.fixed = fixed;
+        this.visible = false;
+        this.list = panel.querySelector('#key-help-list');
+
+        const actions = {
+            reset: () => this.bindings.reset(),
+            close: () => this.hide()
+        };
+        panel.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => actions[button.dataset.action]());
+        });
+
+        window.addEventListener('keydown', event => {
+            // Escape while remapping only cancels the remap (the bindings handle that)
+            if (event.key === 'Escape' && this.visible && !event.defaultPrevented) this.hide();
+        });
+
+        bindings.onChange(() => this._render());
+        this._render();
+    }
+
+    show() {
+        this.visible = true;
+        this.panel.style.display = 'block';
+    }
+
+    hide() {
+        this.visible = false;
+        this.bindings.capturing = null;
+        this.panel.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _render() {
+        const describe = keys => keys.length > 0 ? keys.map(describeKey).join(' / ') : 'unbound';
+
+        const rows = this.bindings.list().map(action => {
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            const keys = document.createElement('td');
+            const button = document.createElement('button');
+
+            label.textContent = action.label;
+            button.textContent = describe(action.keys);
+            button.title = 'Click, then press the new key (Esc cancels)';
+            button.addEventListener('click', () => {
+                button.textContent = 'Press a key…';
+                button.blur();
+                this.bindings.capture(action.name, key => {
+                    if (!key) this._render();
+                });
+            });
+            keys.appendChild(button);
+            row.append(label, keys);
+            return row;
+        });
+
+        const fixedRows = this.fixed.map(({ label, keys }) => {
+            const row = document.createElement('tr');
+            row.className = 'fixed';
+            row.innerHTML = '<td></td><td></td>';
+            row.cells[0].textContent = label;
+            row.cells[1].textContent = keys;
+            return row;
+        });
+
+        this.list.replaceChildren(...rows, ...fixedRows);
+
+        // Keep tooltips such as "Pause / resume (P)" in step with the bindings
+        document.querySelectorAll('[data-shortcut]').forEach(element => {
+            if (!this.bindings.actions.has(element.dataset.shortcut)) return;
+            element.dataset.title = element.dataset.title || element.title;
+            element.title = `${element.dataset.title} (${describe(this.bindings.getKeys(element.dataset.shortcut))})`;
+        });
+    }
+}
+
+export { KeyHelp };
@@ -7,6 +7,17 @@ const loadingText = document.getElementById('loading-text');
 // Create loading manager to track progress
 const loadingManager = new THREE.LoadingManager();
 
+// Listeners notified when an individual asset fails to load
+const assetErrorHandlers = [];
+
+/**
+ * Register a callback for failed asset loads (used to swap in procedural stand-ins)
+ * @param {Function} handler - Called with the URL of the asset that failed
+ */
+function onAssetError(handler) {
+    assetErrorHandlers.push(handler);
+}
+
 // Update progress UI
 function updateProgress(progress, message = null) {
     if (progressBar) {
@@ -30,7 +41,8 @@ loadingManager.onLoad = function() {
 
 loadingManager.onError = function(url) {
     console.error('Error loading', url);
-    updateProgress(100, 'Some assets failed to load, but we can still continue.');
+    updateProgress(100, 'Some assets are missing, using built-in stand-ins.');
+    assetErrorHandlers.forEach(handler => handler(url));
 };
 
-export { loadingManager, updateProgress }; 
\ No newline at end of file
+export { loadingManager, updateProgress, onAssetError }; 
\ No newline at end of file
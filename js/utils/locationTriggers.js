@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+import { eclipseCoverage } from './eclipses.js';
+
+// Leave a distance trigger only once this much further out than its trigger
+// distance, so hovering at the edge doesn't fire enter/exit over and over
+const EXIT_MARGIN = 1.2;
+
+// Share of the sun's disk a body must hide for an eclipse trigger to fire
+const DEFAULT_ECLIPSE_COVERAGE = 0.5;
+
+/**
+ * Points of interest that notice when the viewer arrives and leaves.
+ * A trigger fires on one of:
+ *   - distance: the camera comes within triggerDistance of a position or a
+ *     (possibly moving) object
+ *   - progress: the current tour is between two fractions of its length
+ *   - eclipse: seen from the camera, a body hides enough of a sun's disk
+ *   - test: a custom function, for triggers defined in code
+ * Subscribers get 'enter' and 'exit' events in every control mode.
+ */
+class LocationTriggers {
+    constructor() {
+        this.locations = [];
+        this.listeners = { enter: [], exit: [] };
+        this._position = new THREE.Vector3();
+        this._sunPosition = new THREE.Vector3();
+    }
+
+    /**
+     * Add a point of interest
+     * @param {Object} location - Location description
+     * @param {string} location.name - Name shown to the viewer
+     * @param {string} location.description - Text shown to the viewer
+     * @param {THREE.Vector3} location.position - Fixed position (distance trigger)
+     * @param {THREE.Object3D} location.target - Object to follow instead of a position
+     * @param {number} location.triggerDistance - How close the camera must come
+     * @param {number} location.exitDistance - How far the camera must go to leave again
+     * @param {number[]} location.progress - [from, to] fractions of a tour (progress trigger)
+     * @param {string} location.tour - Tour the progress applies to (any tour when omitted)
+     * @param {Object} location.eclipse - { body, bodyRadius, sun, sunRadius } (eclipse trigger):
+     *     fires when the body (an Object3D) passes in front of the sun (another one)
+     * @param {number} location.coverage - Share of the sun's disk the body must hide (0 to 1)
+     * @param {Function} location.test - Custom (context) => boolean trigger
+     * @returns {Object} - The location; `inside` tells whether the viewer is there
+     */
+    add(location) {
+        const entry = {
+            ...location,
+            exitDistance: location.exitDistance ?? (location.triggerDistance ?? 0) * EXIT_MARGIN,
+            inside: false
+        };
+        this.locations.push(entry);
+        return entry;
+    }
+
+    /**
+     * Remove a point of interest (fires 'exit' if the viewer was there)
+     * @param {Object} location - Location returned by add()
+     */
+    remove(location) {
+        const index = this.locations.indexOf(location);
+        if (index === -1) return;
+
+        this.locations.splice(index, 1);
+        if (location.inside) {
+            location.inside = false;
+            this._emit('exit', location);
+        }
+    }
+
+    /**
+     * Subscribe to arrivals ('enter') or departures ('exit')
+     * @param {string} type - 'enter' or 'exit'
+     * @param {Function} listener - Called with the location
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(type, listener) {
+        const listeners = this.listeners[type];
+        if (!listeners) {
+            throw new Error(`Unknown location event "${type}" (expected "enter" or "exit")`);
+        }
+
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * @returns {Object[]} - Locations the viewer is currently at
+     */
+    getActive() {
+        return this.locations.filter(location => location.inside);
+    }
+
+    /**
+     * Check every trigger; call once per frame
+     * @param {Object} context - What the viewer is doing
+     * @param {THREE.Vector3} context.cameraPosition - Camera position in world space
+     * @param {Object} context.tour - Tour being played, or null when flying manually
+     */
+    update(context) {
+        this.locations.forEach(location => {
+            const inside = this._isInside(location, context);
+            if (inside === location.inside) return;
+
+            location.inside = inside;
+            this._emit(inside ? 'enter' : 'exit', location);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _isInside(location, { cameraPosition, tour }) {
+        if (location.test) {
+            return location.test({ cameraPosition, tour });
+        }
+
+        if (location.eclipse) {
+            const { body, bodyRadius, sun, sunRadius } = location.eclipse;
+            const coverage = eclipseCoverage(
+                cameraPosition,
+                sun.getWorldPosition(this._sunPosition),
+                sunRadius,
+                body.getWorldPosition(this._position),
+                bodyRadius
+            );
+            const threshold = location.coverage ?? DEFAULT_ECLIPSE_COVERAGE;
+            return coverage >= (location.inside ? threshold / EXIT_MARGIN : threshold);
+        }
+
+        if (location.progress) {
+            if (!tour || (location.tour && location.tour !== tour.name)) return false;
+            const progress = tour.path.getProgress();
+            return progress >= location.progress[0] && progress <= location.progress[1];
+        }
+
+        const position = location.target
+            ? location.target.getWorldPosition(this._position)
+            : location.position;
+        const distance = cameraPosition.distanceTo(position);
+        return distance < (location.inside ? location.exitDistance : location.triggerDistance);
+    }
+
+    /**
+     * @private
+     */
+    _emit(type, location) {
+        this.listeners[type].forEach(listener => listener(location));
+    }
+}
+
+export { LocationTriggers };
@@ -0,0 +1,113 @@
+import { mulberry32, hashString } from './random.js';
+
+/**
+ * Seeded 3D gradient noise (improved Perlin noise)
+ * Sampling it on the surface of a sphere gives seamless planet textures
+ */
+
+// Gradient directions: the 12 edges of a cube
+const GRADIENTS = [
+    [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+    [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+    [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Create a seeded 3D noise function
+ * @param {number|string} seed - Seed for the permutation table
+ * @returns {Function} - noise(x, y, z) returning values in roughly [-1, 1]
+ */
+function createNoise3D(seed = 0) {
+    const random = mulberry32(typeof seed === 'string' ? hashString(seed) : seed);
+
+    // Shuffled permutation table, doubled to avoid index wrapping
+    const p = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) p[i] = i;
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const tmp = p[i];
+        p[i] = p[j];
+        p[j] = tmp;
+    }
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+
+    function grad(hash, x, y, z) {
+        const g = GRADIENTS[hash % 12];
+        return g[0] * x + g[1] * y + g[2] * z;
+    }
+
+    return function noise(x, y, z) {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const zi = Math.floor(z);
+        const X = xi & 255;
+        const Y = yi & 255;
+        const Z = zi & 255;
+        x -= xi;
+        y -= yi;
+        z -= zi;
+
+        const u = fade(x);
+        const v = fade(y);
+        const w = fade(z);
+
+        const A = perm[X] + Y;
+        const AA = perm[A] + Z;
+        const AB = perm[A + 1] + Z;
+        const B = perm[X + 1] + Y;
+        const BA = perm[B] + Z;
+        const BB = perm[B + 1] + Z;
+
+        return lerp(
+            lerp(
+                lerp(grad(perm[AA], x, y, z), grad(perm[BA], x - 1, y, z), u),
+                lerp(grad(perm[AB], x, y - 1, z), grad(perm[BB], x - 1, y - 1, z), u),
+                v
+            ),
+            lerp(
+                lerp(grad(perm[AA + 1], x, y, z - 1), grad(perm[BA + 1], x - 1, y, z - 1), u),
+                lerp(grad(perm[AB + 1], x, y - 1, z - 1), grad(perm[BB + 1], x - 1, y - 1, z - 1), u),
+                v
+            ),
+            w
+        );
+    };
+}
+
+/**
+ * Fractal Brownian motion: several octaves of noise layered together
+ * @param {Function} noise - Noise function from createNoise3D
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} z - Z coordinate
+ * @param {number} octaves - Number of layers
+ * @param {number} lacunarity - Frequency multiplier per octave
+ * @param {number} gain - Amplitude multiplier per octave
+ * @returns {number} - Value in roughly [-1, 1]
+ */
+function fbm3D(noise, x, y, z, octaves = 5, lacunarity = 2.0, gain = 0.5) {
+    let amplitude = 1;
+    let frequency = 1;
+    let sum = 0;
+    let norm = 0;
+
+    for (let i = 0; i < octaves; i++) {
+        sum += amplitude * noise(x * frequency, y * frequency, z * frequency);
+        norm += amplitude;
+        amplitude *= gain;
+        frequency *= lacunarity;
+    }
+
+    return sum / norm;
+}
+
+export { createNoise3D, fbm3D };
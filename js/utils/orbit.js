@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+
+const TWO_PI = Math.PI * 2;
+const UP = new THREE.Vector3(0, 1, 0);
+const NODE_AXIS = new THREE.Vector3(1, 0, 0);
+
+/**
+ * Keplerian orbit described by classical orbital elements.
+ * The reference plane is the scene's XZ plane (Y is "north"), angles are in
+ * radians and the period is in seconds of simulation time.
+ */
+class Orbit {
+    /**
+     * @param {Object} elements - Orbital elements
+     * @param {number} elements.semiMajorAxis - Half the long axis of the ellipse
+     * @param {number} elements.eccentricity - 0 for a circle, up to (but not including) 1
+     * @param {number} elements.inclination - Tilt of the orbit plane relative to the XZ plane
+     * @param {number} elements.longitudeOfAscendingNode - Where the orbit crosses the XZ plane going north
+     * @param {number} elements.argumentOfPeriapsis - Angle from the ascending node to the closest approach
+     * @param {number} elements.period - Time for one full orbit
+     * @param {number} elements.phase - Fraction of the orbit already completed at time 0 (0 to 1)
+     */
+    constructor(elements = {}) {
+        const {
+            semiMajorAxis = 50,
+            eccentricity = 0,
+            inclination = 0,
+            longitudeOfAscendingNode = 0,
+            argumentOfPeriapsis = 0,
+            period = 120,
+            phase = 0
+        } = elements;
+
+        this.semiMajorAxis = semiMajorAxis;
+        this.eccentricity = Math.min(Math.max(eccentricity, 0), 0.99);
+        this.inclination = inclination;
+        this.longitudeOfAscendingNode = longitudeOfAscendingNode;
+        this.argumentOfPeriapsis = argumentOfPeriapsis;
+        this.period = period;
+        this.phase = phase;
+
+        // Rotation from the orbital plane into the scene: node, then tilt, then periapsis
+        this.orientation = new THREE.Quaternion()
+            .setFromAxisAngle(UP, longitudeOfAscendingNode)
+            .multiply(new THREE.Quaternion().setFromAxisAngle(NODE_AXIS, inclination))
+            .multiply(new THREE.Quaternion().setFromAxisAngle(UP, argumentOfPeriapsis));
+    }
+
+    /**
+     * Solve Kepler's equation M = E - e sin(E) for the eccentric anomaly
+     * @param {number} meanAnomaly - Mean anomaly in radians
+     * @returns {number} - Eccentric anomaly in radians
+     * @private
+     */
+    _solveEccentricAnomaly(meanAnomaly) {
+        const e = this.eccentricity;
+        let E = e > 0.8 ? Math.PI : meanAnomaly;
+
+        // Newton-Raphson converges in a handful of steps for e < 1
+        for (let i = 0; i < 10; i++) {
+            const delta = (E - e * Math.sin(E) - meanAnomaly) / (1 - e * Math.cos(E));
+            E -= delta;
+            if (Math.abs(delta) < 1e-8) break;
+        }
+
+        return E;
+    }
+
+    /**
+     * Position on the ellipse for a given eccentric anomaly, relative to the focus
+     * @private
+     */
+    _positionFromAnomaly(E, target) {
+        const a = this.semiMajorAxis;
+        const e = this.eccentricity;
+        const x = a * (Math.cos(E) - e);
+        const y = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+        // Orbital plane maps onto XZ, moving counter-clockwise seen from above
+        return target.set(x, 0, -y).applyQuaternion(this.orientation);
+    }
+
+    /**
+     * Get the body's position relative to the body it orbits
+     * @param {number} time - Simulation time in seconds
+     * @param {THREE.Vector3} target - Optional vector to write the result into
+     * @returns {THREE.Vector3} - Position relative to the orbit's focus
+     */
+    getPositionAt(time, target = new THREE.Vector3()) {
+        const meanAnomaly = TWO_PI * (this.phase + time / this.period);
+        // Keep the angle small so precision doesn't drift over long sessions
+        const wrapped = ((meanAnomaly % TWO_PI) + TWO_PI) % TWO_PI;
+        return this._positionFromAnomaly(this._solveEccentricAnomaly(wrapped), target);
+    }
+
+    /**
+     * Sample the full ellipse (e.g. for drawing the orbit line)
+     * @param {number} segments - Number of points
+     * @returns {THREE.Vector3[]} - Points relative to the orbit's focus
+     */
+    getPoints(segments = 256) {
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            points.push(this._positionFromAnomaly((i / segments) * TWO_PI, new THREE.Vector3()));
+        }
+        return points;
+    }
+
+    /**
+     * Create a line showing the orbit's path
+     * @param {number|string} color - Line color
+     * @param {number} opacity - Line opacity
+     * @returns {THREE.LineLoop} - Line positioned relative to the orbit's focus
+     */
+    createLine(color = 0x6688aa, opacity = 0.35) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(this.getPoints());
+        const material = new THREE.LineBasicMaterial({
+            color,
+            transparent: true,
+            opacity,
+            depthWrite: false
+        });
+        return new THREE.LineLoop(geometry, material);
+    }
+}
+
+export { Orbit };
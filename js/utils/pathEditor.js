@@ -0,0 +1,363 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { resolveKeyframe } from './cameraPath.js';
+import { validateCameraPath } from './sceneLoader.js';
+
+const LINE_COLOR = 0xffff00;
+const HANDLE_COLOR = 0xffdd44;
+const SELECTED_COLOR = 0xff5522;
+const HANDLE_RADIUS = 1.5;
+
+/**
+ * In-scene editor for the camera track.
+ * Draws the spline and a handle for every keyframe; handles are dragged with a
+ * transform gizmo, and the panel inserts, deletes, reorders, previews and
+ * imports/exports keyframes as scene-file JSON.
+ */
+class PathEditor {
+    /**
+     * @param {Object} options - Editor options
+     * @param {THREE.Scene} options.scene - Scene containing the path's bodies
+     * @param {THREE.Camera} options.camera - Camera used to pick and drag handles
+     * @param {THREE.WebGLRenderer} options.renderer - Renderer whose canvas receives input
+     * @param {Object} options.controls - Camera controls to suspend while a handle is dragged
+     * @param {CameraPath} options.cameraPath - Path being edited
+     * @param {HTMLElement} options.panel - Editor panel (see #path-editor in index.html)
+     * @param {Function} options.onPreview - Called with a track time to play the tour from there
+     */
+    constructor({ scene, camera, renderer, controls, cameraPath, panel, onPreview }) {
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+        this.controls = controls;
+        this.cameraPath = cameraPath;
+        this.panel = panel;
+        this.onPreview = onPreview;
+        this.enabled = false;
+        this.selected = 0;
+        this.handles = [];
+        this._dragEnded = false;
+        
+        // Spline and handles live in their own group so they hide together
+        this.group = new THREE.Group();
+        this.group.name = 'Camera Path Editor';
+        this.group.visible = false;
+        scene.add(this.group);
+        
+        this.line = new THREE.Line(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: LINE_COLOR, transparent: true, opacity: 0.6 })
+        );
+        this.group.add(this.line);
+        this.handleGeometry = new THREE.SphereGeometry(HANDLE_RADIUS, 16, 12);
+        
+        // Gizmo for dragging the selected handle
+        this.transform = new TransformControls(camera, renderer.domElement);
+        this.transform.size = 0.8;
+        this.transform.enabled = false;
+        this.transform.addEventListener('dragging-changed', event => {
+            controls.enabled = !event.value;
+            // The click that ends a drag must not change the selection
+            if (!event.value) this._dragEnded = true;
+        });
+        this.transform.addEventListener('objectChange', () => this._onHandleMoved());
+        scene.add(this.transform);
+        
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        renderer.domElement.addEventListener('click', event => this._onClick(event));
+        
+        this._setupPanel();
+    }
+    
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.group.visible = true;
+        this.transform.enabled = true;
+        this.panel.style.display = 'block';
+        this.selected = Math.min(this.selected, this.cameraPath.keyframes.length - 1);
+        this._rebuildHandles();
+    }
+    
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        this.group.visible = false;
+        this.transform.detach();
+        this.transform.enabled = false;
+        this.panel.style.display = 'none';
+    }
+    
+    /**
+     * Edit a different path (e.g. after switching tours)
+     * @param {CameraPath} cameraPath - Path to edit
+     */
+    setPath(cameraPath) {
+        this.cameraPath = cameraPath;
+        this.selected = 0;
+        if (this.enabled) {
+            this._rebuildHandles(0);
+        }
+    }
+    
+    toggle() {
+        if (this.enabled) {
+            this.disable();
+        } else {
+            this.enable();
+        }
+    }
+    
+    /**
+     * Keep handles on keyframes that follow moving bodies; call once per frame
+     */
+    update() {
+        if (!this.enabled || this.cameraPath.trackedPoints.length === 0) return;
+        
+        this.cameraPath.update(0);
+        this.cameraPath.keyframes.forEach((keyframe, i) => {
+            if (keyframe.object && !this.transform.dragging) {
+                this.handles[i].position.copy(keyframe.point);
+            }
+        });
+        this._updateLine();
+    }
+    
+    /**
+     * Select a keyframe and attach the gizmo to its handle
+     * @param {number} index - Keyframe index
+     */
+    select(index) {
+        this.selected = THREE.MathUtils.clamp(index, 0, this.handles.length - 1);
+        this.handles.forEach((handle, i) => {
+            handle.material.color.setHex(i === this.selected ? SELECTED_COLOR : HANDLE_COLOR);
+        });
+        this.transform.attach(this.handles[this.selected]);
+        this._renderList();
+    }
+    
+    /**
+     * Insert a keyframe halfway between the selected one and the next
+     */
+    insert() {
+        const position = this.cameraPath.getSegmentMidpoint(this.selected);
+        this.cameraPath.insertKeyframe(this.selected + 1, { position });
+        this._rebuildHandles(this.selected + 1);
+    }
+    
+    /**
+     * Delete the selected keyframe (a path needs at least two)
+     */
+    remove() {
+        if (this.cameraPath.keyframes.length <= 2) {
+            this._setStatus('A camera path needs at least two keyframes.');
+            return;
+        }
+        this.cameraPath.removeKeyframe(this.selected);
+        this._rebuildHandles(this.selected);
+    }
+    
+    /**
+     * Move the selected keyframe earlier or later in the track
+     * @param {number} step - -1 for earlier, 1 for later
+     */
+    move(step) {
+        const target = this.selected + step;
+        if (target < 0 || target >= this.cameraPath.keyframes.length) return;
+        this.cameraPath.moveKeyframe(this.selected, target);
+        this._rebuildHandles(target);
+    }
+    
+    /**
+     * Play the tour from the selected keyframe
+     */
+    preview() {
+        this.onPreview(this.cameraPath.keyframes[this.selected].start);
+    }
+    
+    /**
+     * Show the path as scene-file JSON and offer it as a download
+     * @returns {string} - The exported JSON
+     */
+    exportJSON() {
+        // One keyframe per line keeps the file easy to read and diff
+        const lines = this.cameraPath.toJSON().map(keyframe => `        ${JSON.stringify(keyframe)}`);
+        const json = `{\n    "cameraPath": [\n${lines.join(',\n')}\n    ]\n}\n`;
+        
+        this.jsonField.value = json;
+        
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'camera-path.json';
+        link.click();
+        // Some browsers start the download after click() returns, so keep the URL alive until then
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        
+        this._setStatus(`Exported ${lines.length} keyframes.`);
+        return json;
+    }
+    
+    /**
+     * Replace the path with one read from JSON (a "cameraPath" array or a whole scene file)
+     * @param {string} text - JSON text
+     * @param {string} source - Where the text came from (used in error messages)
+     * @returns {boolean} - True if the path was imported
+     */
+    importJSON(text, source = 'pasted path') {
+        try {
+            const keyframes = validateCameraPath(JSON.parse(text), source)
+                .map(keyframe => resolveKeyframe(keyframe, this.scene));
+            this.cameraPath.setKeyframes(keyframes);
+        } catch (error) {
+            const problems = error.errors || [error.message];
+            this._setStatus(`Could not import ${source}:\n${problems.map(p => `• ${p}`).join('\n')}`);
+            return false;
+        }
+        
+        this._rebuildHandles(0);
+        this._setStatus(`Imported ${this.cameraPath.keyframes.length} keyframes.`);
+        return true;
+    }
+    
+    /**
+     * @private
+     */
+    _onClick(event) {
+        if (!this.enabled) return;
+        if (this._dragEnded) {
+            this._dragEnded = false;
+            return;
+        }
+        
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        
+        const [hit] = this.raycaster.intersectObjects(this.handles, false);
+        if (hit) {
+            this.select(hit.object.userData.index);
+        }
+    }
+    
+    /**
+     * Copy a dragged handle back into its keyframe
+     * @private
+     */
+    _onHandleMoved() {
+        const keyframe = this.cameraPath.keyframes[this.selected];
+        const handle = this.handles[this.selected];
+        
+        if (keyframe.object) {
+            // Dragging a keyframe that follows a body changes its offset
+            keyframe.object.getWorldPosition(keyframe.offset);
+            keyframe.offset.subVectors(handle.position, keyframe.offset);
+        }
+        keyframe.point.copy(handle.position);
+        
+        this.cameraPath.rebuild();
+        this._updateLine();
+        this._renderList();
+    }
+    
+    /**
+     * @private
+     */
+    _rebuildHandles(select = this.selected) {
+        this.transform.detach();
+        this.handles.forEach(handle => {
+            this.group.remove(handle);
+            handle.material.dispose();
+        });
+        
+        this.handles = this.cameraPath.keyframes.map((keyframe, i) => {
+            const handle = new THREE.Mesh(this.handleGeometry, new THREE.MeshBasicMaterial({ color: HANDLE_COLOR }));
+            handle.position.copy(keyframe.point);
+            handle.userData.index = i;
+            this.group.add(handle);
+            return handle;
+        });
+        
+        this._updateLine();
+        this.select(select);
+    }
+    
+    /**
+     * @private
+     */
+    _updateLine() {
+        const { curve } = this.cameraPath;
+        if (!curve) return;
+        
+        this.line.geometry.dispose();
+        this.line.geometry = new THREE.BufferGeometry().setFromPoints(curve.getPoints(this.handles.length * 20));
+    }
+    
+    /**
+     * @private
+     */
+    _renderList() {
+        const formatTime = seconds => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+        
+        this.list.innerHTML = '';
+        this.cameraPath.keyframes.forEach((keyframe, i) => {
+            const item = document.createElement('li');
+            const where = keyframe.object
+                ? `${keyframe.object.name} + [${keyframe.offset.toArray().map(Math.round).join(', ')}]`
+                : `[${keyframe.point.toArray().map(Math.round).join(', ')}]`;
+            item.textContent = `${formatTime(keyframe.start)}  ${where}`;
+            item.classList.toggle('selected', i === this.selected);
+            item.addEventListener('click', () => this.select(i));
+            this.list.appendChild(item);
+        });
+    }
+    
+    /**
+     * @private
+     */
+    _setStatus(message) {
+        this.status.textContent = message;
+    }
+    
+    /**
+     * Wire up the panel's buttons
+     * @private
+     */
+    _setupPanel() {
+        this.list = this.panel.querySelector('#path-editor-list');
+        this.jsonField = this.panel.querySelector('#path-editor-json');
+        this.status = this.panel.querySelector('#path-editor-status');
+        const fileInput = this.panel.querySelector('#path-editor-file');
+        
+        const actions = {
+            insert: () => this.insert(),
+            delete: () => this.remove(),
+            up: () => this.move(-1),
+            down: () => this.move(1),
+            preview: () => this.preview(),
+            export: () => this.exportJSON(),
+            import: () => this.importJSON(this.jsonField.value),
+            file: () => fileInput.click(),
+            close: () => this.disable()
+        };
+        this.panel.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => actions[button.dataset.action]());
+        });
+        
+        fileInput.addEventListener('change', () => {
+            const [file] = fileInput.files;
+            if (!file) return;
+            file.text().then(text => {
+                this.jsonField.value = text;
+                this.importJSON(text, file.name);
+            });
+            fileInput.value = '';
+        });
+    }
+}
+
+export { PathEditor };
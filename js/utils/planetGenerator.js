@@ -0,0 +1,224 @@
+import * as THREE from 'three';
+import { createNoise3D, fbm3D } from './noise.js';
+import { hashString, mulberry32 } from './random.js';
+import { samplePalette } from './proceduralTextures.js';
+
+// Planet types understood by the generator
+const PLANET_TYPES = ['rocky', 'gas-giant', 'ice', 'lava', 'ocean'];
+
+// Default color ramps per planet type: [position (0-1), '#rrggbb']
+const DEFAULT_PALETTES = {
+    rocky: [[0, '#3b2e25'], [0.4, '#6e5a48'], [0.7, '#a08a70'], [1, '#d8cbb5']],
+    'gas-giant': [[0, '#6d4b2f'], [0.3, '#b98b5e'], [0.55, '#eadbc0'], [0.8, '#a86a3c'], [1, '#f3e7d2']],
+    ice: [[0, '#4a6f8f'], [0.35, '#9cc3dd'], [0.7, '#dcecf5'], [1, '#ffffff']],
+    lava: [[0, '#120806'], [0.55, '#2e1a14'], [0.7, '#7a1e08'], [0.85, '#ff5a10'], [1, '#ffd060']],
+    ocean: [[0, '#061a3a'], [0.45, '#14508a'], [0.5, '#d6c48e'], [0.56, '#3d7a34'], [0.8, '#6b5b3a'], [1, '#f4f4f4']]
+};
+
+// Generated texture sets, keyed by their descriptor so identical worlds share textures
+const generatedCache = {};
+
+/**
+ * Normalize a palette option: either a list of colors spread evenly
+ * (["#112233", "#445566"]) or explicit [position, color] stops
+ */
+function toPaletteStops(palette) {
+    if (!palette || palette.length === 0) return null;
+    if (Array.isArray(palette[0])) return palette;
+    if (palette.length === 1) return [[0, palette[0]], [1, palette[0]]];
+    return palette.map((color, i) => [i / (palette.length - 1), color]);
+}
+
+/**
+ * Scatter crater centers over the unit sphere
+ * @returns {Array} - Craters with unit direction, angular radius and depth
+ */
+function createCraters(random, density) {
+    const count = Math.round(density * 80);
+    const craters = [];
+
+    for (let i = 0; i < count; i++) {
+        const z = random() * 2 - 1;
+        const angle = random() * Math.PI * 2;
+        const r = Math.sqrt(1 - z * z);
+        craters.push({
+            x: r * Math.cos(angle),
+            y: z,
+            z: r * Math.sin(angle),
+            // Many small craters, a few large ones
+            radius: 0.03 + Math.pow(random(), 3) * 0.25,
+            depth: 0.3 + random() * 0.4
+        });
+    }
+
+    return craters;
+}
+
+// Bowl-shaped depression with a raised rim
+function craterHeight(craters, x, y, z) {
+    let height = 0;
+    for (let i = 0; i < craters.length; i++) {
+        const c = craters[i];
+        const dot = x * c.x + y * c.y + z * c.z;
+        // Cheap angular distance test before doing any real work
+        if (dot < 0.9) continue;
+
+        const d = Math.acos(Math.min(dot, 1)) / c.radius;
+        if (d < 1) {
+            height -= c.depth * (1 - d * d);
+        } else if (d < 1.4) {
+            height += c.depth * 0.35 * Math.sin((d - 1) / 0.4 * Math.PI);
+        }
+    }
+    return height;
+}
+
+/**
+ * Generate seamless equirectangular color, bump and roughness maps for a planet
+ * by sampling 3D noise on the sphere (so there is no seam at the date line or
+ * pinching at the poles).
+ * @param {Object} descriptor - Procedural planet description
+ * @param {number|string} descriptor.seed - Seed; the same seed always gives the same world
+ * @param {string} descriptor.type - 'rocky', 'gas-giant', 'ice', 'lava' or 'ocean'
+ * @param {Array} descriptor.palette - Colors (evenly spaced) or [position, color] stops
+ * @param {number} descriptor.bands - Number of latitude bands (gas giants)
+ * @param {number} descriptor.craters - Crater density from 0 to 1
+ * @param {number} descriptor.clouds - Cloud cover from 0 to 1
+ * @param {number} descriptor.resolution - Texture width in pixels (height is half)
+ * @returns {Object} - { map, bumpMap, roughnessMap } as THREE.DataTexture
+ */
+function generatePlanetTextures(descriptor = {}) {
+    const {
+        seed = 1,
+        type = 'rocky',
+        palette = null,
+        bands = 12,
+        craters: craterDensity = type === 'rocky' ? 0.4 : 0,
+        clouds = type === 'ocean' ? 0.4 : 0,
+        resolution = 512
+    } = descriptor;
+
+    const cacheKey = JSON.stringify({ seed, type, palette, bands, craterDensity, clouds, resolution });
+    if (generatedCache[cacheKey]) {
+        return generatedCache[cacheKey];
+    }
+
+    const numericSeed = typeof seed === 'string' ? hashString(seed) : seed;
+    const random = mulberry32(numericSeed);
+    const noise = createNoise3D(numericSeed);
+    const cloudNoise = createNoise3D(numericSeed + 1);
+    const stops = toPaletteStops(palette) || DEFAULT_PALETTES[type] || DEFAULT_PALETTES.rocky;
+    const craters = createCraters(random, craterDensity);
+
+    const width = resolution;
+    const height = Math.max(1, Math.round(resolution / 2));
+    const colorData = new Uint8Array(width * height * 4);
+    const bumpData = new Uint8Array(width * height * 4);
+    const roughnessData = new Uint8Array(width * height * 4);
+
+    for (let py = 0; py < height; py++) {
+        // DataTexture rows start at the bottom (south pole)
+        const lat = ((py + 0.5) / height - 0.5) * Math.PI;
+        const cosLat = Math.cos(lat);
+        const y = Math.sin(lat);
+
+        for (let px = 0; px < width; px++) {
+            const lon = ((px + 0.5) / width) * Math.PI * 2;
+            const x = cosLat * Math.cos(lon);
+            const z = cosLat * Math.sin(lon);
+
+            let elevation; // 0-1, drives the palette and the bump map
+            let roughness; // 0-1
+
+            switch (type) {
+                case 'gas-giant': {
+                    // Turbulent latitude bands
+                    const warp = fbm3D(noise, x * 3, y * 3, z * 3, 5) * 0.12;
+                    elevation = 0.5 + 0.5 * Math.sin((y + warp) * bands * Math.PI);
+                    elevation = elevation * 0.85 + 0.15 * (0.5 + fbm3D(noise, x * 8, y * 30, z * 8, 3));
+                    roughness = 0.6;
+                    break;
+                }
+                case 'ice': {
+                    // Smooth ice sheets crossed by ridged cracks
+                    const base = 0.5 + 0.5 * fbm3D(noise, x * 2, y * 2, z * 2, 4);
+                    const ridge = 1 - Math.abs(noise(x * 10, y * 10, z * 10));
+                    elevation = base * 0.7 + Math.pow(ridge, 8) * 0.3;
+                    roughness = 0.25 + (1 - ridge) * 0.3;
+                    break;
+                }
+                case 'lava': {
+                    // Dark crust split by glowing channels
+                    const crust = 0.5 + 0.5 * fbm3D(noise, x * 3, y * 3, z * 3, 5);
+                    const channel = Math.pow(1 - Math.abs(fbm3D(noise, x * 5 + 7, y * 5, z * 5, 3)), 10);
+                    elevation = Math.min(1, crust * 0.6 + channel * 0.5);
+                    roughness = channel > 0.5 ? 0.4 : 0.95;
+                    break;
+                }
+                case 'ocean': {
+                    elevation = 0.5 + 0.6 * fbm3D(noise, x * 1.8, y * 1.8, z * 1.8, 6);
+                    // Water is smooth and shiny, land is rough
+                    roughness = elevation < 0.48 ? 0.2 : 0.85;
+                    break;
+                }
+                default: {
+                    elevation = 0.5 + 0.6 * fbm3D(noise, x * 2.5, y * 2.5, z * 2.5, 6);
+                    roughness = 0.9;
+                    break;
+                }
+            }
+
+            if (craters.length > 0) {
+                elevation += craterHeight(craters, x, y, z) * 0.5;
+            }
+            elevation = Math.min(Math.max(elevation, 0), 1);
+
+            let [r, g, b] = samplePalette(stops, elevation);
+
+            // Blend in cloud cover
+            if (clouds > 0) {
+                const c = 0.5 + 0.5 * fbm3D(cloudNoise, x * 3, y * 6, z * 3, 5);
+                const cover = Math.min(Math.max((c - (1 - clouds)) * 4, 0), 1);
+                r += (245 - r) * cover;
+                g += (245 - g) * cover;
+                b += (250 - b) * cover;
+                roughness += (0.9 - roughness) * cover;
+            }
+
+            const i = (py * width + px) * 4;
+            colorData[i] = r;
+            colorData[i + 1] = g;
+            colorData[i + 2] = b;
+            colorData[i + 3] = 255;
+
+            const bump = elevation * 255;
+            bumpData[i] = bumpData[i + 1] = bumpData[i + 2] = bump;
+            bumpData[i + 3] = 255;
+
+            const rough = roughness * 255;
+            roughnessData[i] = roughnessData[i + 1] = roughnessData[i + 2] = rough;
+            roughnessData[i + 3] = 255;
+        }
+    }
+
+    const toTexture = data => {
+        const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearMipmapLinearFilter;
+        texture.generateMipmaps = true;
+        texture.needsUpdate = true;
+        return texture;
+    };
+
+    const textures = {
+        map: toTexture(colorData),
+        bumpMap: toTexture(bumpData),
+        roughnessMap: toTexture(roughnessData)
+    };
+
+    generatedCache[cacheKey] = textures;
+    return textures;
+}
+
+export { generatePlanetTextures, PLANET_TYPES };
@@ -0,0 +1,341 @@
+import { createNoise3D, fbm3D } from './noise.js';
+import { hashString } from './random.js';
+
+/**
+ * Procedurally generated stand-ins for the bundled textures.
+ * These are drawn on canvases so the scene still looks right when an
+ * image is missing or the kiosk has no network at all.
+ */
+
+// Color ramps for the stand-in planets: [position (0-1), '#rrggbb']
+const PLANET_STYLES = {
+    earth: {
+        banded: false,
+        palette: [[0, '#0b2350'], [0.48, '#1d4f91'], [0.52, '#c2b280'], [0.58, '#3c7a32'], [0.8, '#5a4a2a'], [1, '#f0f0f0']]
+    },
+    mars: {
+        banded: false,
+        palette: [[0, '#5a2210'], [0.45, '#9c4a22'], [0.7, '#c1683a'], [1, '#e0a070']]
+    },
+    jupiter: {
+        banded: true,
+        bands: 14,
+        palette: [[0, '#7a5636'], [0.35, '#c89a6a'], [0.6, '#efe0c8'], [0.8, '#b0703a'], [1, '#f6ecd8']]
+    },
+    saturn: {
+        banded: true,
+        bands: 10,
+        palette: [[0, '#9c8458'], [0.5, '#d8c08c'], [1, '#f4e6c0']]
+    },
+    moon: {
+        banded: false,
+        palette: [[0, '#3c3c3c'], [0.5, '#8a8a8a'], [1, '#cfcfcf']]
+    },
+    mercury: {
+        banded: false,
+        palette: [[0, '#4a4440'], [0.5, '#8c847c'], [1, '#c8c0b4']]
+    },
+    venus: {
+        banded: true,
+        bands: 6,
+        palette: [[0, '#a0703a'], [0.5, '#e0b878'], [1, '#f8e4b0']]
+    },
+    neptune: {
+        banded: true,
+        bands: 8,
+        palette: [[0, '#1a2c7a'], [0.5, '#3a5fd0'], [1, '#8ab0f0']]
+    },
+    uranus: {
+        banded: true,
+        bands: 5,
+        palette: [[0, '#6ab0c0'], [0.5, '#9ad8e0'], [1, '#c8f0f0']]
+    },
+    pluto: {
+        banded: false,
+        palette: [[0, '#5a4030'], [0.5, '#b09070'], [1, '#f0e0c8']]
+    }
+};
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Look up a color on a palette ramp
+ * @param {Array} palette - Array of [position, '#rrggbb'] stops sorted by position
+ * @param {number} t - Position on the ramp (0 to 1)
+ * @returns {number[]} - [r, g, b] in 0-255
+ */
+function samplePalette(palette, t) {
+    t = Math.min(Math.max(t, 0), 1);
+    for (let i = 1; i < palette.length; i++) {
+        if (t <= palette[i][0]) {
+            const [t0, c0] = palette[i - 1];
+            const [t1, c1] = palette[i];
+            const f = (t - t0) / Math.max(t1 - t0, 1e-6);
+            const a = hexToRgb(c0);
+            const b = hexToRgb(c1);
+            return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f];
+        }
+    }
+    return hexToRgb(palette[palette.length - 1][1]);
+}
+
+/**
+ * Draw an equirectangular planet surface from 3D noise
+ * @param {string} key - Texture key (picks the color style and the noise seed)
+ * @param {number} width - Canvas width (height is half of it)
+ * @returns {HTMLCanvasElement}
+ */
+function createPlanetCanvas(key, width = 256) {
+    const height = width / 2;
+    const style = PLANET_STYLES[key] || PLANET_STYLES.moon;
+    const noise = createNoise3D(hashString(key));
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+
+    for (let y = 0; y < height; y++) {
+        const lat = (0.5 - (y + 0.5) / height) * Math.PI;
+        for (let x = 0; x < width; x++) {
+            const lon = ((x + 0.5) / width) * Math.PI * 2;
+
+            // Sample noise on the unit sphere so the texture wraps seamlessly
+            const nx = Math.cos(lat) * Math.cos(lon);
+            const ny = Math.sin(lat);
+            const nz = Math.cos(lat) * Math.sin(lon);
+            const n = fbm3D(noise, nx * 2, ny * 2, nz * 2, 4);
+
+            let t;
+            if (style.banded) {
+                // Latitude bands, warped a little by the noise
+                t = 0.5 + 0.5 * Math.sin((ny + n * 0.15) * style.bands * Math.PI);
+            } else {
+                t = 0.5 + n * 0.9;
+            }
+
+            const [r, g, b] = samplePalette(style.palette, t);
+            const i = (y * width + x) * 4;
+            image.data[i] = r;
+            image.data[i + 1] = g;
+            image.data[i + 2] = b;
+            image.data[i + 3] = 255;
+        }
+    }
+
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
+
+/**
+ * Draw a ring strip: transparent gaps and dusty bands from inner to outer edge
+ * @param {Object} options - Banding options
+ * @param {number|string} options.seed - Noise seed (each seed gives different bands)
+ * @param {number} options.bands - Roughly how many bands run across the ring
+ * @returns {HTMLCanvasElement}
+ */
+function createRingCanvas(width = 512, height = 16, { seed = 'rings', bands = 12 } = {}) {
+    const noise = createNoise3D(seed);
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    for (let x = 0; x < width; x++) {
+        const t = x / width;
+        const density = 0.5 + 0.5 * fbm3D(noise, t * bands, 0.5, 0.5, 4);
+        const alpha = Math.min(Math.max(density * 1.4 - 0.2, 0), 1) * Math.sin(t * Math.PI);
+        const shade = Math.round(180 + density * 60);
+        ctx.fillStyle = `rgba(${shade}, ${shade - 20}, ${shade - 50}, ${alpha.toFixed(3)})`;
+        ctx.fillRect(x, 0, 1, height);
+    }
+
+    return canvas;
+}
+
+/**
+ * Draw a granulated star surface
+ * @returns {HTMLCanvasElement}
+ */
+function createSunCanvas(width = 256) {
+    const height = width / 2;
+    const noise = createNoise3D('sun');
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+
+    for (let y = 0; y < height; y++) {
+        const lat = (0.5 - (y + 0.5) / height) * Math.PI;
+        for (let x = 0; x < width; x++) {
+            const lon = ((x + 0.5) / width) * Math.PI * 2;
+            const n = fbm3D(
+                noise,
+                Math.cos(lat) * Math.cos(lon) * 6,
+                Math.sin(lat) * 6,
+                Math.cos(lat) * Math.sin(lon) * 6,
+                4
+            );
+            const [r, g, b] = samplePalette([[0, '#b03a00'], [0.5, '#ff9a20'], [1, '#fff0a0']], 0.5 + n);
+            const i = (y * width + x) * 4;
+            image.data[i] = r;
+            image.data[i + 1] = g;
+            image.data[i + 2] = b;
+            image.data[i + 3] = 255;
+        }
+    }
+
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
+
+/**
+ * Draw a cloud layer: white wisps on a transparent background, stretched
+ * along the lines of latitude the way winds smear real clouds
+ * @returns {HTMLCanvasElement}
+ */
+function createCloudCanvas(width = 512) {
+    const height = width / 2;
+    const noise = createNoise3D('clouds');
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+
+    for (let y = 0; y < height; y++) {
+        const lat = (0.5 - (y + 0.5) / height) * Math.PI;
+        for (let x = 0; x < width; x++) {
+            const lon = ((x + 0.5) / width) * Math.PI * 2;
+            const n = fbm3D(
+                noise,
+                Math.cos(lat) * Math.cos(lon) * 3,
+                Math.sin(lat) * 7,
+                Math.cos(lat) * Math.sin(lon) * 3,
+                5
+            );
+            const i = (y * width + x) * 4;
+            image.data[i] = 255;
+            image.data[i + 1] = 255;
+            image.data[i + 2] = 255;
+            image.data[i + 3] = Math.min(Math.max((n + 0.05) * 3, 0), 1) * 255;
+        }
+    }
+
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
+
+/**
+ * Draw city lights for the night side of the stand-in Earth: warm clusters
+ * scattered over the same continents createPlanetCanvas('earth') draws
+ * @returns {HTMLCanvasElement}
+ */
+function createCityLightsCanvas(width = 512) {
+    const height = width / 2;
+    const land = createNoise3D(hashString('earth'));
+    const cities = createNoise3D('cities');
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+
+    for (let y = 0; y < height; y++) {
+        const lat = (0.5 - (y + 0.5) / height) * Math.PI;
+        for (let x = 0; x < width; x++) {
+            const lon = ((x + 0.5) / width) * Math.PI * 2;
+            const nx = Math.cos(lat) * Math.cos(lon);
+            const ny = Math.sin(lat);
+            const nz = Math.cos(lat) * Math.sin(lon);
+
+            // Lowlands only: not the sea, the mountains or the ice caps
+            const t = 0.5 + fbm3D(land, nx * 2, ny * 2, nz * 2, 4) * 0.9;
+            const lowland = t > 0.53 && t < 0.78 && Math.abs(ny) < 0.85;
+            const c = lowland ? fbm3D(cities, nx * 40, ny * 40, nz * 40, 3) : -1;
+            const light = Math.min(Math.max((c - 0.1) * 4, 0), 1);
+
+            const i = (y * width + x) * 4;
+            image.data[i] = 255 * light;
+            image.data[i + 1] = 200 * light;
+            image.data[i + 2] = 130 * light;
+            image.data[i + 3] = 255;
+        }
+    }
+
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
+
+/**
+ * Draw a deep-space backdrop: a dark vertical gradient sprinkled with faint stars
+ * @returns {HTMLCanvasElement}
+ */
+function createSkyCanvas(width = 1024, height = 512) {
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, '#02030a');
+    gradient.addColorStop(0.5, '#0b0a22');
+    gradient.addColorStop(1, '#02030a');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    // Deterministic star sprinkle so the backdrop is the same every time
+    let state = hashString('sky');
+    const next = () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+    for (let i = 0; i < 1500; i++) {
+        const brightness = Math.floor(120 + next() * 135);
+        ctx.fillStyle = `rgb(${brightness}, ${brightness}, ${Math.min(255, brightness + 20)})`;
+        ctx.fillRect(next() * width, next() * height, 1, 1);
+    }
+
+    return canvas;
+}
+
+/**
+ * Draw a point sprite
+ * @param {string} kind - 'disc' (hard-edged star), 'spark' (bright core with glow) or 'glow' (soft haze)
+ * @returns {HTMLCanvasElement}
+ */
+function createSpriteCanvas(kind = 'spark', size = 64) {
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    const half = size / 2;
+    const gradient = ctx.createRadialGradient(half, half, 0, half, half, half);
+
+    if (kind === 'disc') {
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(0.8, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    } else if (kind === 'glow') {
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+        gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.3)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    } else {
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(0.15, 'rgba(255, 255, 255, 0.9)');
+        gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.25)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    }
+
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, size, size);
+    return canvas;
+}
+
+export {
+    createPlanetCanvas,
+    createRingCanvas,
+    createSunCanvas,
+    createCloudCanvas,
+    createCityLightsCanvas,
+    createSkyCanvas,
+    createSpriteCanvas,
+    samplePalette
+};
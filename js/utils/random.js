@@ -0,0 +1,99 @@
+/**
+ * Seeded pseudo-random numbers so a journey can be reproduced exactly.
+ * Components receive a Random (usually a fork of the session's root generator)
+ * instead of calling Math.random() directly.
+ */
+
+/**
+ * Small fast seeded PRNG
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Returns a new pseudo-random number in [0, 1) on each call
+ */
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Turn any string into a 32-bit seed
+ * @param {string} text - Text to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+class Random {
+    /**
+     * @param {number|string} seed - Seed; a fresh random seed is picked when omitted
+     */
+    constructor(seed = Math.floor(Math.random() * 1000000)) {
+        this.seed = seed;
+        this._next = mulberry32(typeof seed === 'string' ? hashString(seed) : seed);
+    }
+
+    /**
+     * @returns {number} - Number in [0, 1)
+     */
+    next() {
+        return this._next();
+    }
+
+    /**
+     * @returns {number} - Number in [min, max)
+     */
+    range(min, max) {
+        return min + (max - min) * this._next();
+    }
+
+    /**
+     * @returns {number} - Whole number in [min, max] (inclusive)
+     */
+    int(min, max) {
+        return min + Math.floor((max - min + 1) * this._next());
+    }
+
+    /**
+     * @param {number} probability - Chance of returning true (0 to 1)
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this._next() < probability;
+    }
+
+    /**
+     * Create an independent generator for one part of the scene.
+     * Forks depend only on the root seed and the label, so adding stars
+     * doesn't shift the nebula layout or event timing.
+     * @param {string} label - Name of the consumer (e.g. 'starfield')
+     * @returns {Random}
+     */
+    fork(label) {
+        return new Random(hashString(`${this.seed}:${label}`));
+    }
+}
+
+/**
+ * Read the session seed from the page URL (?seed=1234), or pick a new one
+ * @returns {number|string} - Seed (numbers stay numbers, anything else is used as text)
+ */
+function getSeedFromUrl() {
+    const param = new URLSearchParams(window.location.search).get('seed');
+    if (param === null || param === '') {
+        return Math.floor(Math.random() * 1000000);
+    }
+    return /^\d+$/.test(param) ? parseInt(param, 10) : param;
+}
+
+export { Random, getSeedFromUrl, mulberry32, hashString };
@@ -0,0 +1,1015 @@
+import * as THREE from 'three';
+import { loadingManager } from './loading.js';
+import { PLANET_TYPES } from './planetGenerator.js';
+import { EASING_NAMES } from './easing.js';
+import { SPECTRAL_CLASS_PATTERN } from './blackbody.js';
+import { EVENT_NAMES } from '../events/index.js';
+import { MAX_GAPS } from '../components/rings.js';
+import { NEBULA_MODES, NEBULA_QUALITIES } from '../components/nebula.js';
+import { DEFAULT_MASS, shadowRadius, diskRadii } from '../components/blackHole.js';
+
+// Scene used when no ?scene= parameter is given
+const DEFAULT_SCENE_URL = 'scenes/default.json';
+
+// What a tour does when it reaches its last keyframe
+const TOUR_END_BEHAVIORS = ['loop', 'stop', 'manual', 'chain'];
+
+// Asteroid belts are flat rings; debris fields are spherical clouds
+const BELT_SHAPES = ['belt', 'field'];
+
+// Name of the tour made from a scene's top-level "cameraPath"
+const MAIN_TOUR_NAME = 'Grand Tour';
+
+// Celestial events of a scene that doesn't list any: a supernova now and then
+// after the first minute (about one every 17 seconds), while on auto-pilot
+const DEFAULT_EVENTS = [{ event: 'supernova', random: { after: 60, rate: 0.06, autopilot: true } }];
+
+/**
+ * Error thrown when a scene file does not match the documented format.
+ * Collects every problem found so content authors can fix them in one pass.
+ */
+class SceneValidationError extends Error {
+    constructor(url, errors) {
+        super(`Invalid scene file "${url}":\n  - ${errors.join('\n  - ')}`);
+        this.name = 'SceneValidationError';
+        this.url = url;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Small helper that reads typed fields from a JSON object and records
+ * readable errors (with the full field path) instead of throwing on the first one
+ */
+class FieldReader {
+    constructor(errors) {
+        this.errors = errors;
+    }
+
+    /**
+     * Check an object for fields that are not part of the format (usually typos)
+     * @param {Object} obj - Object to check
+     * @param {string} path - Path of the object within the scene file
+     * @param {string[]} allowed - Allowed field names
+     */
+    checkKeys(obj, path, allowed) {
+        Object.keys(obj).forEach(key => {
+            if (!allowed.includes(key)) {
+                this.errors.push(`${path}.${key} is not a known field (expected one of: ${allowed.join(', ')})`);
+            }
+        });
+    }
+
+    object(obj, key, path, required = false) {
+        const value = obj[key];
+        if (value === undefined) {
+            if (required) this.errors.push(`${path}.${key} is required`);
+            return undefined;
+        }
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            this.errors.push(`${path}.${key} must be an object`);
+            return undefined;
+        }
+        return value;
+    }
+
+    array(obj, key, path, required = false) {
+        const value = obj[key];
+        if (value === undefined) {
+            if (required) this.errors.push(`${path}.${key} is required`);
+            return undefined;
+        }
+        if (!Array.isArray(value)) {
+            this.errors.push(`${path}.${key} must be an array`);
+            return undefined;
+        }
+        return value;
+    }
+
+    number(obj, key, path, { min = -Infinity, max = Infinity, integer = false, required = false } = {}) {
+        const value = obj[key];
+        if (value === undefined) {
+            if (required) this.errors.push(`${path}.${key} is required`);
+            return undefined;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            this.errors.push(`${path}.${key} must be a number, got ${JSON.stringify(value)}`);
+            return undefined;
+        }
+        if (integer && !Number.isInteger(value)) {
+            this.errors.push(`${path}.${key} must be a whole number, got ${value}`);
+            return undefined;
+        }
+        if (value < min || value > max) {
+            this.errors.push(`${path}.${key} must be between ${min} and ${max}, got ${value}`);
+            return undefined;
+        }
+        return value;
+    }
+
+    string(obj, key, path, { required = false, oneOf = null } = {}) {
+        const value = obj[key];
+        if (value === undefined) {
+            if (required) this.errors.push(`${path}.${key} is required`);
+            return undefined;
+        }
+        if (typeof value !== 'string' || value.length === 0) {
+            this.errors.push(`${path}.${key} must be a non-empty string`);
+            return undefined;
+        }
+        if (oneOf && !oneOf.includes(value)) {
+            this.errors.push(`${path}.${key} must be one of: ${oneOf.join(', ')} (got "${value}")`);
+            return undefined;
+        }
+        return value;
+    }
+
+    boolean(obj, key, path) {
+        const value = obj[key];
+        if (value === undefined) return undefined;
+        if (typeof value !== 'boolean') {
+            this.errors.push(`${path}.${key} must be true or false`);
+            return undefined;
+        }
+        return value;
+    }
+
+    /**
+     * Read a vector written as [x, y, z]
+     * @returns {THREE.Vector3|undefined}
+     */
+    vector(obj, key, path, required = false) {
+        const value = obj[key];
+        if (value === undefined) {
+            if (required) this.errors.push(`${path}.${key} is required`);
+            return undefined;
+        }
+        if (!isVectorArray(value)) {
+            this.errors.push(`${path}.${key} must be an [x, y, z] array of numbers, got ${JSON.stringify(value)}`);
+            return undefined;
+        }
+        return new THREE.Vector3().fromArray(value);
+    }
+
+    /**
+     * Read a color written as "#rrggbb" or as an integer (e.g. 16755248)
+     * @returns {number|undefined} - Color as a hex number
+     */
+    color(obj, key, path) {
+        const value = obj[key];
+        if (value === undefined) return undefined;
+        if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xffffff) {
+            return value;
+        }
+        if (typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value)) {
+            return parseInt(value.slice(1), 16);
+        }
+        const field = typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+        this.errors.push(`${field} must be a color like "#ffaa00", got ${JSON.stringify(value)}`);
+        return undefined;
+    }
+}
+
+function isVectorArray(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(n => typeof n === 'number' && Number.isFinite(n));
+}
+
+// Copy only the fields that were actually set, so component defaults still apply
+function compact(options) {
+    Object.keys(options).forEach(key => {
+        if (options[key] === undefined) delete options[key];
+    });
+    return options;
+}
+
+function readSun(read, sun, path, { companion = false } = {}) {
+    read.checkKeys(sun, path, [
+        'name', 'description', 'radius', 'position', 'spectralClass', 'temperature', 'color', 'intensity',
+        'corona', 'lensFlare', 'shadows', 'flares', 'flareInterval', ...(companion ? ['orbit', 'showOrbit'] : [])
+    ]);
+
+    const spectralClass = read.string(sun, 'spectralClass', path);
+    if (spectralClass !== undefined && !SPECTRAL_CLASS_PATTERN.test(spectralClass)) {
+        read.errors.push(`${path}.spectralClass must be one of O, B, A, F, G, K, M with an optional subclass digit, e.g. "G2" (got "${spectralClass}")`);
+    }
+    if (sun.spectralClass !== undefined && sun.temperature !== undefined) {
+        read.errors.push(`${path} has both spectralClass and temperature (give one or the other)`);
+    }
+
+    return compact({
+        // Companion stars are told apart by name
+        name: read.string(sun, 'name', path, { required: companion }),
+        description: read.string(sun, 'description', path),
+        radius: read.number(sun, 'radius', path, { min: 0.01 }),
+        position: read.vector(sun, 'position', path),
+        spectralClass,
+        temperature: read.number(sun, 'temperature', path, { min: 1000, max: 100000 }),
+        color: read.color(sun, 'color', path),
+        intensity: read.number(sun, 'intensity', path, { min: 0 }),
+        corona: read.boolean(sun, 'corona', path),
+        lensFlare: read.boolean(sun, 'lensFlare', path),
+        shadows: read.boolean(sun, 'shadows', path),
+        flares: read.boolean(sun, 'flares', path),
+        flareInterval: read.number(sun, 'flareInterval', path, { min: 5 }),
+        orbit: companion ? readOrbit(read, sun, path) : undefined,
+        showOrbit: companion ? read.boolean(sun, 'showOrbit', path) : undefined
+    });
+}
+
+// Further stars of a multi-star system; they can orbit the main one
+function readStar(read, star, path) {
+    return readSun(read, star, path, { companion: true });
+}
+
+function readOrbit(read, obj, path) {
+    const orbit = read.object(obj, 'orbit', path);
+    if (!orbit) return undefined;
+
+    const orbitPath = `${path}.orbit`;
+    read.checkKeys(orbit, orbitPath, [
+        'semiMajorAxis', 'eccentricity', 'inclination', 'longitudeOfAscendingNode',
+        'argumentOfPeriapsis', 'period', 'phase'
+    ]);
+
+    const period = read.number(orbit, 'period', orbitPath, { required: true });
+    if (period === 0) {
+        read.errors.push(`${orbitPath}.period must not be 0 (use a negative period for retrograde orbits)`);
+    }
+
+    return compact({
+        semiMajorAxis: read.number(orbit, 'semiMajorAxis', orbitPath, { min: 0.01, required: true }),
+        eccentricity: read.number(orbit, 'eccentricity', orbitPath, { min: 0, max: 0.99 }),
+        inclination: read.number(orbit, 'inclination', orbitPath),
+        longitudeOfAscendingNode: read.number(orbit, 'longitudeOfAscendingNode', orbitPath),
+        argumentOfPeriapsis: read.number(orbit, 'argumentOfPeriapsis', orbitPath),
+        period,
+        phase: read.number(orbit, 'phase', orbitPath, { min: 0, max: 1 })
+    });
+}
+
+/**
+ * A texture is either a manifest key / image URL string or a procedural descriptor
+ */
+function readTexture(read, obj, path) {
+    const texture = obj.texture;
+    if (texture === undefined || typeof texture === 'string') {
+        return read.string(obj, 'texture', path);
+    }
+    if (texture === null || typeof texture !== 'object' || Array.isArray(texture)) {
+        read.errors.push(`${path}.texture must be a texture name, an image URL or a procedural descriptor object`);
+        return undefined;
+    }
+
+    const texturePath = `${path}.texture`;
+    read.checkKeys(texture, texturePath, ['seed', 'type', 'palette', 'bands', 'craters', 'clouds', 'resolution']);
+
+    let seed;
+    if (typeof texture.seed === 'string') {
+        seed = read.string(texture, 'seed', texturePath);
+    } else {
+        seed = read.number(texture, 'seed', texturePath, { integer: true });
+    }
+
+    let palette;
+    const colors = read.array(texture, 'palette', texturePath);
+    if (colors) {
+        if (colors.length === 0) {
+            read.errors.push(`${texturePath}.palette needs at least one color`);
+        }
+        palette = colors.map((color, i) => {
+            const hex = read.color(colors, i, `${texturePath}.palette`);
+            return hex === undefined ? undefined : `#${hex.toString(16).padStart(6, '0')}`;
+        });
+    }
+
+    return compact({
+        seed,
+        type: read.string(texture, 'type', texturePath, { oneOf: PLANET_TYPES }),
+        palette,
+        bands: read.number(texture, 'bands', texturePath, { min: 1, max: 64, integer: true }),
+        craters: read.number(texture, 'craters', texturePath, { min: 0, max: 1 }),
+        clouds: read.number(texture, 'clouds', texturePath, { min: 0, max: 1 }),
+        resolution: read.number(texture, 'resolution', texturePath, { min: 32, max: 4096, integer: true })
+    });
+}
+
+function readMoon(read, moon, path) {
+    read.checkKeys(moon, path, ['name', 'description', 'radius', 'distance', 'rotationSpeed', 'texture', 'orbit', 'showOrbit']);
+    return compact({
+        name: read.string(moon, 'name', path),
+        description: read.string(moon, 'description', path),
+        orbit: readOrbit(read, moon, path),
+        showOrbit: read.boolean(moon, 'showOrbit', path),
+        radius: read.number(moon, 'radius', path, { min: 0.01 }),
+        texture: readTexture(read, moon, path),
+        distance: read.number(moon, 'distance', path, { min: 0 }),
+        rotationSpeed: read.number(moon, 'rotationSpeed', path)
+    });
+}
+
+function readAtmosphere(read, planet, path) {
+    const atmosphere = read.object(planet, 'atmosphere', path);
+    if (!atmosphere) return undefined;
+
+    const atmospherePath = `${path}.atmosphere`;
+    read.checkKeys(atmosphere, atmospherePath, ['color', 'thickness', 'density', 'haze']);
+    return compact({
+        color: read.color(atmosphere, 'color', atmospherePath),
+        thickness: read.number(atmosphere, 'thickness', atmospherePath, { min: 0.005, max: 1 }),
+        density: read.number(atmosphere, 'density', atmospherePath, { min: 0 }),
+        haze: read.number(atmosphere, 'haze', atmospherePath, { min: 0 })
+    });
+}
+
+/**
+ * A cloud layer is either true (Earth's clouds) or an object with its own texture, opacity and speed
+ */
+function readCloudLayer(read, planet, path) {
+    if (planet.cloudLayer === undefined || typeof planet.cloudLayer === 'boolean') {
+        return read.boolean(planet, 'cloudLayer', path);
+    }
+    const cloudLayer = read.object(planet, 'cloudLayer', path);
+    if (!cloudLayer) return undefined;
+
+    const cloudPath = `${path}.cloudLayer`;
+    read.checkKeys(cloudLayer, cloudPath, ['texture', 'opacity', 'rotationSpeed']);
+    return compact({
+        texture: read.string(cloudLayer, 'texture', cloudPath),
+        opacity: read.number(cloudLayer, 'opacity', cloudPath, { min: 0, max: 1 }),
+        rotationSpeed: read.number(cloudLayer, 'rotationSpeed', cloudPath)
+    });
+}
+
+/**
+ * Rings are sized in scene units; the texture is a strip image or { seed, bands } for procedural banding
+ */
+function readRings(read, planet, path) {
+    const rings = read.object(planet, 'rings', path);
+    if (!rings) return undefined;
+
+    const ringsPath = `${path}.rings`;
+    read.checkKeys(rings, ringsPath, [
+        'innerRadius', 'outerRadius', 'texture', 'color', 'opacity', 'gaps', 'particles', 'particleCount', 'orbitalSpeed'
+    ]);
+
+    let texture;
+    if (rings.texture === undefined || typeof rings.texture === 'string') {
+        texture = read.string(rings, 'texture', ringsPath);
+    } else {
+        const banding = read.object(rings, 'texture', ringsPath);
+        if (banding) {
+            const texturePath = `${ringsPath}.texture`;
+            read.checkKeys(banding, texturePath, ['seed', 'bands']);
+            texture = compact({
+                seed: typeof banding.seed === 'string'
+                    ? read.string(banding, 'seed', texturePath)
+                    : read.number(banding, 'seed', texturePath, { integer: true }),
+                bands: read.number(banding, 'bands', texturePath, { min: 1, max: 64, integer: true })
+            });
+        }
+    }
+
+    const gaps = read.array(rings, 'gaps', ringsPath);
+    if (gaps && gaps.length > MAX_GAPS) {
+        read.errors.push(`${ringsPath}.gaps can have at most ${MAX_GAPS} entries`);
+    }
+
+    const options = compact({
+        innerRadius: read.number(rings, 'innerRadius', ringsPath, { min: 0.01 }),
+        outerRadius: read.number(rings, 'outerRadius', ringsPath, { min: 0.01 }),
+        texture,
+        color: read.color(rings, 'color', ringsPath),
+        opacity: read.number(rings, 'opacity', ringsPath, { min: 0, max: 1 }),
+        gaps: gaps && readList(read, gaps, `${ringsPath}.gaps`, (read, gap, gapPath) => {
+            read.checkKeys(gap, gapPath, ['radius', 'width']);
+            return {
+                radius: read.number(gap, 'radius', gapPath, { min: 0, required: true }),
+                width: read.number(gap, 'width', gapPath, { min: 0.001, required: true })
+            };
+        }),
+        particles: read.boolean(rings, 'particles', ringsPath),
+        particleCount: read.number(rings, 'particleCount', ringsPath, { min: 1, max: 200000, integer: true }),
+        orbitalSpeed: read.number(rings, 'orbitalSpeed', ringsPath)
+    });
+
+    if (options.innerRadius !== undefined && options.outerRadius !== undefined && options.innerRadius >= options.outerRadius) {
+        read.errors.push(`${ringsPath}.innerRadius must be less than outerRadius`);
+    }
+    return options;
+}
+
+function readPlanet(read, planet, path) {
+    read.checkKeys(planet, path, [
+        'name', 'description', 'radius', 'texture', 'position', 'rotationSpeed', 'tilt',
+        'hasRings', 'rings', 'hasAtmosphere', 'atmosphere', 'cloudLayer', 'nightLights', 'eclipses', 'moons', 'orbit', 'showOrbit'
+    ]);
+
+    const moons = read.array(planet, 'moons', path);
+
+    return compact({
+        name: read.string(planet, 'name', path),
+        description: read.string(planet, 'description', path),
+        radius: read.number(planet, 'radius', path, { min: 0.01 }),
+        texture: readTexture(read, planet, path),
+        position: read.vector(planet, 'position', path),
+        rotationSpeed: read.number(planet, 'rotationSpeed', path),
+        tilt: read.number(planet, 'tilt', path),
+        hasRings: read.boolean(planet, 'hasRings', path),
+        rings: readRings(read, planet, path),
+        hasAtmosphere: read.boolean(planet, 'hasAtmosphere', path),
+        atmosphere: readAtmosphere(read, planet, path),
+        cloudLayer: readCloudLayer(read, planet, path),
+        // true for Earth's city lights, or a texture name or image URL
+        nightLights: typeof planet.nightLights === 'string'
+            ? read.string(planet, 'nightLights', path)
+            : read.boolean(planet, 'nightLights', path),
+        eclipses: read.boolean(planet, 'eclipses', path),
+        orbit: readOrbit(read, planet, path),
+        showOrbit: read.boolean(planet, 'showOrbit', path),
+        moons: moons && readList(read, moons, `${path}.moons`, readMoon)
+    });
+}
+
+function readComet(read, comet, path) {
+    read.checkKeys(comet, path, [
+        'name', 'description', 'radius', 'orbit', 'showOrbit', 'tailLength', 'activityDistance', 'ionColor', 'dustColor'
+    ]);
+    if (comet.orbit === undefined) {
+        read.errors.push(`${path}.orbit is required (comets always follow an orbit)`);
+    }
+
+    return compact({
+        name: read.string(comet, 'name', path),
+        description: read.string(comet, 'description', path),
+        radius: read.number(comet, 'radius', path, { min: 0.01 }),
+        orbit: readOrbit(read, comet, path),
+        showOrbit: read.boolean(comet, 'showOrbit', path),
+        tailLength: read.number(comet, 'tailLength', path, { min: 0 }),
+        activityDistance: read.number(comet, 'activityDistance', path, { min: 0.01 }),
+        ionColor: read.color(comet, 'ionColor', path),
+        dustColor: read.color(comet, 'dustColor', path)
+    });
+}
+
+function readAsteroidBelt(read, belt, path) {
+    read.checkKeys(belt, path, [
+        'name', 'description', 'shape', 'position', 'tilt', 'innerRadius', 'outerRadius', 'thickness',
+        'count', 'minSize', 'maxSize', 'sizeDistribution', 'orbitalSpeed', 'color'
+    ]);
+
+    const options = compact({
+        name: read.string(belt, 'name', path),
+        description: read.string(belt, 'description', path),
+        shape: read.string(belt, 'shape', path, { oneOf: BELT_SHAPES }),
+        position: read.vector(belt, 'position', path),
+        tilt: read.number(belt, 'tilt', path),
+        innerRadius: read.number(belt, 'innerRadius', path, { min: 0.01 }),
+        outerRadius: read.number(belt, 'outerRadius', path, { min: 0.01 }),
+        thickness: read.number(belt, 'thickness', path, { min: 0 }),
+        count: read.number(belt, 'count', path, { min: 1, max: 100000, integer: true }),
+        minSize: read.number(belt, 'minSize', path, { min: 0.001 }),
+        maxSize: read.number(belt, 'maxSize', path, { min: 0.001 }),
+        sizeDistribution: read.number(belt, 'sizeDistribution', path, { min: 0.1, max: 10 }),
+        orbitalSpeed: read.number(belt, 'orbitalSpeed', path),
+        color: read.color(belt, 'color', path)
+    });
+
+    if (options.innerRadius !== undefined && options.outerRadius !== undefined && options.innerRadius >= options.outerRadius) {
+        read.errors.push(`${path}.innerRadius must be less than outerRadius`);
+    }
+    if (options.minSize !== undefined && options.maxSize !== undefined && options.minSize > options.maxSize) {
+        read.errors.push(`${path}.minSize must not be more than maxSize`);
+    }
+    return options;
+}
+
+function readBlackHole(read, blackHole, path) {
+    read.checkKeys(blackHole, path, [
+        'name', 'description', 'position', 'mass', 'diskInnerRadius', 'diskOuterRadius', 'tilt', 'diskColor'
+    ]);
+
+    const options = compact({
+        name: read.string(blackHole, 'name', path),
+        description: read.string(blackHole, 'description', path),
+        position: read.vector(blackHole, 'position', path, true),
+        mass: read.number(blackHole, 'mass', path, { min: 0.01 }),
+        diskInnerRadius: read.number(blackHole, 'diskInnerRadius', path, { min: 0.01 }),
+        diskOuterRadius: read.number(blackHole, 'diskOuterRadius', path, { min: 0.01 }),
+        tilt: read.number(blackHole, 'tilt', path),
+        diskColor: read.color(blackHole, 'diskColor', path)
+    });
+
+    // The disk has to clear the shadow
+    const mass = options.mass || DEFAULT_MASS;
+    const { innerRadius: inner, outerRadius: outer } = diskRadii(mass, options.diskInnerRadius, options.diskOuterRadius);
+    if (inner <= shadowRadius(mass)) {
+        read.errors.push(`${path}.diskInnerRadius must be more than ${shadowRadius(mass).toFixed(1)} (the shadow of a black hole of mass ${mass})`);
+    }
+    if (inner >= outer) {
+        read.errors.push(`${path}.diskInnerRadius must be less than diskOuterRadius`);
+    }
+    return options;
+}
+
+function readNebula(read, nebula, path) {
+    read.checkKeys(nebula, path, [
+        'name', 'description', 'position', 'scale', 'color', 'density', 'opacity', 'mode', 'colors', 'emission', 'quality'
+    ]);
+
+    const mode = read.string(nebula, 'mode', path, { oneOf: NEBULA_MODES });
+    const volumetric = mode === 'volumetric';
+    if (volumetric && nebula.density !== undefined) {
+        read.errors.push(`${path}.density is the number of cloud planes and doesn't apply to volumetric nebulae (use opacity)`);
+    }
+    ['colors', 'emission', 'quality'].forEach(key => {
+        if (!volumetric && nebula[key] !== undefined) {
+            read.errors.push(`${path}.${key} only applies to volumetric nebulae ("mode": "volumetric")`);
+        }
+    });
+
+    // Gas color gradient, from the thinnest gas to the thickest
+    let colors;
+    const gradient = read.array(nebula, 'colors', path);
+    if (gradient) {
+        if (gradient.length < 2 || gradient.length > 4) {
+            read.errors.push(`${path}.colors needs 2 to 4 colors, got ${gradient.length}`);
+        }
+        colors = gradient.map((color, i) => read.color(gradient, i, `${path}.colors`));
+    }
+
+    return compact({
+        mode,
+        colors,
+        emission: read.number(nebula, 'emission', path, { min: 0 }),
+        quality: read.string(nebula, 'quality', path, { oneOf: NEBULA_QUALITIES }),
+        name: read.string(nebula, 'name', path),
+        description: read.string(nebula, 'description', path),
+        position: read.vector(nebula, 'position', path),
+        scale: read.number(nebula, 'scale', path, { min: 0.01 }),
+        color: read.color(nebula, 'color', path),
+        density: read.number(nebula, 'density', path, { min: 1, max: 100, integer: true }),
+        opacity: read.number(nebula, 'opacity', path, { min: 0, max: 1 })
+    });
+}
+
+function readSkybox(read, skybox, path) {
+    read.checkKeys(skybox, path, ['size', 'useHDRI']);
+    return compact({
+        size: read.number(skybox, 'size', path, { min: 1 }),
+        useHDRI: read.boolean(skybox, 'useHDRI', path)
+    });
+}
+
+function readStarfield(read, starfield, path) {
+    read.checkKeys(starfield, path, ['count', 'catalog', 'magnitudeLimit']);
+    const result = compact({
+        count: read.number(starfield, 'count', path, { min: 0, integer: true }),
+        catalog: read.string(starfield, 'catalog', path),
+        magnitudeLimit: read.number(starfield, 'magnitudeLimit', path, { min: -2, max: 20 })
+    });
+    if (starfield.catalog !== undefined && starfield.count !== undefined) {
+        read.errors.push(`${path} has both count and catalog (a catalog sets the stars itself)`);
+    }
+    if (starfield.magnitudeLimit !== undefined && starfield.catalog === undefined) {
+        read.errors.push(`${path}.magnitudeLimit only applies to catalog starfields`);
+    }
+    return result;
+}
+
+/**
+ * A camera keyframe is either a fixed [x, y, z] position or an object with a
+ * "position" (or a "body" to follow plus an "offset") and optional timing,
+ * easing, look-at target, field of view and roll
+ */
+function readCameraKeyframe(read, keyframe, path) {
+    if (isVectorArray(keyframe)) {
+        return { position: new THREE.Vector3().fromArray(keyframe) };
+    }
+    if (keyframe === null || typeof keyframe !== 'object' || Array.isArray(keyframe)) {
+        read.errors.push(`${path} must be an [x, y, z] array of numbers or a keyframe object, got ${JSON.stringify(keyframe)}`);
+        return undefined;
+    }
+
+    read.checkKeys(keyframe, path, [
+        'position', 'body', 'offset', 'hold', 'duration', 'easing', 'lookAt', 'fov', 'roll'
+    ]);
+
+    if ((keyframe.position === undefined) === (keyframe.body === undefined)) {
+        read.errors.push(`${path} needs either a position or a body to follow (but not both)`);
+    }
+
+    // Look at a fixed point or at a named body
+    let lookAt;
+    if (typeof keyframe.lookAt === 'string') {
+        lookAt = read.string(keyframe, 'lookAt', path);
+    } else if (keyframe.lookAt !== undefined) {
+        lookAt = read.vector(keyframe, 'lookAt', path);
+    }
+
+    return compact({
+        position: read.vector(keyframe, 'position', path),
+        body: read.string(keyframe, 'body', path),
+        offset: keyframe.body !== undefined ? read.vector(keyframe, 'offset', path) || new THREE.Vector3() : undefined,
+        hold: read.number(keyframe, 'hold', path, { min: 0 }),
+        duration: read.number(keyframe, 'duration', path, { min: 0 }),
+        easing: read.string(keyframe, 'easing', path, { oneOf: EASING_NAMES }),
+        lookAt,
+        fov: read.number(keyframe, 'fov', path, { min: 1, max: 170 }),
+        roll: read.number(keyframe, 'roll', path)
+    });
+}
+
+function readKeyframes(read, list, path) {
+    if (list.length < 2) {
+        read.errors.push(`${path} needs at least 2 points`);
+    }
+    return readList(read, list, path, readCameraKeyframe, { objects: false });
+}
+
+/**
+ * A tour is a named camera track with its own end behavior:
+ * "loop" forever, "stop" on the last keyframe, hand over to "manual" control,
+ * or "chain" into the tour named by "next"
+ */
+function readTour(read, tour, path) {
+    read.checkKeys(tour, path, ['name', 'description', 'end', 'next', 'keyframes']);
+
+    const end = read.string(tour, 'end', path, { oneOf: TOUR_END_BEHAVIORS }) || 'loop';
+    const next = read.string(tour, 'next', path, { required: end === 'chain' });
+    if (next !== undefined && end !== 'chain') {
+        read.errors.push(`${path}.next only applies to tours with "end": "chain"`);
+    }
+    const keyframes = read.array(tour, 'keyframes', path, true) || [];
+
+    return compact({
+        name: read.string(tour, 'name', path, { required: true }),
+        description: read.string(tour, 'description', path),
+        end,
+        next,
+        keyframes: readKeyframes(read, keyframes, `${path}.keyframes`)
+    });
+}
+
+/**
+ * Tour names must be unique, and chains and the start tour must name real tours
+ */
+function checkTourReferences(config, errors) {
+    const names = new Set();
+    config.tours.forEach(tour => {
+        if (!tour || !tour.name) return;
+        if (names.has(tour.name)) {
+            errors.push(`there is more than one tour named "${tour.name}"`);
+        }
+        names.add(tour.name);
+    });
+
+    const check = (name, path) => {
+        if (name !== undefined && !names.has(name)) {
+            errors.push(`${path} "${name}" does not match any tour name (known: ${[...names].join(', ')})`);
+        }
+    };
+    config.tours.forEach(tour => {
+        if (tour) check(tour.next, `tour "${tour.name}" next`);
+    });
+    check(config.startTour, 'scene.startTour');
+    config.locations.forEach((location, i) => {
+        if (location) check(location.tour, `scene.locations[${i}].tour`);
+    });
+    config.events.forEach((event, i) => {
+        if (event) check(event.tour, `scene.events[${i}].tour`);
+    });
+}
+
+/**
+ * A location triggers when the camera comes near a fixed position or a named
+ * body, or while a tour is within a range of its progress
+ */
+function readLocation(read, location, path) {
+    read.checkKeys(location, path, [
+        'name', 'description', 'triggerDistance', 'exitDistance', 'position', 'body', 'progress', 'tour',
+        'eclipse', 'coverage'
+    ]);
+
+    const byDistance = location.position !== undefined || location.body !== undefined;
+    const triggers = [byDistance, location.progress !== undefined, location.eclipse !== undefined].filter(Boolean).length;
+    if (triggers === 0) {
+        read.errors.push(`${path} needs a position or a body to follow, a tour progress range, or a body to eclipse the sun`);
+    }
+    if (triggers > 1) {
+        read.errors.push(`${path} can trigger by distance, by tour progress or by an eclipse, but only one of them`);
+    }
+    if (location.coverage !== undefined && location.eclipse === undefined) {
+        read.errors.push(`${path}.coverage only applies to eclipse locations`);
+    }
+    if (location.tour !== undefined && location.progress === undefined) {
+        read.errors.push(`${path}.tour only applies to locations with a progress range`);
+    }
+
+    // Tour progress range as [from, to], fractions of the tour from 0 to 1
+    let progress;
+    const range = read.array(location, 'progress', path);
+    if (range) {
+        if (range.length !== 2 || !range.every(n => typeof n === 'number' && n >= 0 && n <= 1) || range[0] > range[1]) {
+            read.errors.push(`${path}.progress must be [from, to] with 0 <= from <= to <= 1, got ${JSON.stringify(range)}`);
+        } else {
+            progress = range;
+        }
+    }
+
+    return compact({
+        name: read.string(location, 'name', path, { required: true }),
+        description: read.string(location, 'description', path, { required: true }),
+        triggerDistance: read.number(location, 'triggerDistance', path, { min: 0, required: byDistance }),
+        exitDistance: read.number(location, 'exitDistance', path, { min: 0 }),
+        position: read.vector(location, 'position', path),
+        body: read.string(location, 'body', path),
+        progress,
+        tour: read.string(location, 'tour', path),
+        // Name of the moon or planet that passes in front of the sun, and how much of the sun it must hide
+        eclipse: read.string(location, 'eclipse', path),
+        coverage: read.number(location, 'coverage', path, { min: 0.01, max: 1 })
+    });
+}
+
+/**
+ * A scheduled event starts at a simulation time, when a tour passes a point,
+ * when the viewer arrives at a location, or at random
+ */
+function readEvent(read, event, path) {
+    read.checkKeys(event, path, ['event', 'time', 'progress', 'tour', 'location', 'random', 'position']);
+
+    const triggers = ['time', 'progress', 'location', 'random'].filter(key => event[key] !== undefined);
+    if (triggers.length !== 1) {
+        read.errors.push(`${path} needs exactly one of time, progress, location or random` +
+            (triggers.length > 1 ? ` (got ${triggers.join(', ')})` : ''));
+    }
+    if (event.tour !== undefined && event.progress === undefined) {
+        read.errors.push(`${path}.tour only applies to events triggered by progress`);
+    }
+
+    // Random times: on average `rate` events per second, none before `after` seconds
+    let random;
+    const randomOptions = read.object(event, 'random', path);
+    if (randomOptions) {
+        read.checkKeys(randomOptions, `${path}.random`, ['after', 'rate', 'autopilot']);
+        random = compact({
+            after: read.number(randomOptions, 'after', `${path}.random`, { min: 0 }),
+            rate: read.number(randomOptions, 'rate', `${path}.random`, { min: 0, required: true }),
+            autopilot: read.boolean(randomOptions, 'autopilot', `${path}.random`)
+        });
+        if (random.rate === 0) {
+            read.errors.push(`${path}.random.rate must be more than 0`);
+        }
+    }
+
+    return compact({
+        event: read.string(event, 'event', path, { required: true, oneOf: EVENT_NAMES }),
+        time: read.number(event, 'time', path, { min: 0 }),
+        progress: read.number(event, 'progress', path, { min: 0, max: 1 }),
+        tour: read.string(event, 'tour', path),
+        location: read.string(event, 'location', path),
+        random,
+        position: read.vector(event, 'position', path)
+    });
+}
+
+/**
+ * Events started on arrival must name a real location
+ */
+function checkLocationReferences(config, errors) {
+    const names = new Set(config.locations.filter(Boolean).map(location => location.name));
+    config.events.forEach((event, i) => {
+        if (event && event.location !== undefined && !names.has(event.location)) {
+            errors.push(`scene.events[${i}].location "${event.location}" does not match any location name (known: ${[...names].join(', ')})`);
+        }
+    });
+}
+
+/**
+ * Make sure every "body" reference points at something the scene creates
+ */
+function checkBodyReferences(config, tourPaths, errors) {
+    const names = new Set();
+    // Planets and moons are the only bodies eclipses are worked out for
+    const sphereNames = new Set();
+    if (config.sun) names.add(config.sun.name || 'Sun');
+    config.stars.forEach(star => {
+        if (star && star.name) names.add(star.name);
+    });
+    config.planets.forEach(planet => {
+        if (!planet) return;
+        const planetName = planet.name || 'Planet';
+        names.add(planetName);
+        sphereNames.add(planetName);
+        (planet.moons || []).forEach(moon => {
+            if (!moon) return;
+            const moonName = moon.name || `${planetName} Moon`;
+            names.add(moonName);
+            sphereNames.add(moonName);
+        });
+    });
+    config.comets.forEach(comet => {
+        if (comet) names.add(comet.name || 'Comet');
+    });
+    config.asteroidBelts.forEach(belt => {
+        if (belt) names.add(belt.name || 'Asteroid Belt');
+    });
+    config.blackHoles.forEach(blackHole => {
+        if (blackHole) names.add(blackHole.name || 'Black Hole');
+    });
+    config.nebulae.forEach(nebula => {
+        if (nebula) names.add(nebula.name || 'Nebula');
+    });
+
+    const check = (name, path) => {
+        if (name !== undefined && !names.has(name)) {
+            errors.push(`${path} "${name}" does not match any sun, star, planet, moon, comet, asteroid belt, black hole or nebula name (known: ${[...names].join(', ')})`);
+        }
+    };
+    config.tours.forEach((tour, t) => {
+        if (!tour) return;
+        tour.keyframes.forEach((keyframe, i) => {
+            if (!keyframe) return;
+            check(keyframe.body, `${tourPaths[t]}[${i}].body`);
+            if (typeof keyframe.lookAt === 'string') check(keyframe.lookAt, `${tourPaths[t]}[${i}].lookAt`);
+        });
+    });
+    config.locations.forEach((location, i) => {
+        if (!location) return;
+        check(location.body, `scene.locations[${i}].body`);
+        if (location.eclipse === undefined) return;
+        if (!sphereNames.has(location.eclipse)) {
+            errors.push(`scene.locations[${i}].eclipse "${location.eclipse}" does not match any planet or moon name (known: ${[...sphereNames].join(', ')})`);
+        }
+        if (!config.sun) {
+            errors.push(`scene.locations[${i}].eclipse needs a sun in the scene to pass in front of`);
+        }
+    });
+}
+
+function readList(read, list, path, readItem, { objects = true } = {}) {
+    return list.map((item, i) => {
+        const itemPath = `${path}[${i}]`;
+        if (objects && (item === null || typeof item !== 'object' || Array.isArray(item))) {
+            read.errors.push(`${itemPath} must be an object`);
+            return undefined;
+        }
+        return readItem(read, item, itemPath);
+    });
+}
+
+/**
+ * Validate a parsed scene file and convert it into the option objects
+ * expected by the component factories (Vector3 positions, numeric colors)
+ * @param {Object} data - Parsed JSON scene description
+ * @param {string} url - Where the scene came from (used in error messages)
+ * @returns {Object} - Normalized scene configuration
+ * @throws {SceneValidationError} - If any field is missing or malformed
+ */
+function validateScene(data, url = 'scene') {
+    const errors = [];
+    const read = new FieldReader(errors);
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new SceneValidationError(url, ['the scene file must contain a JSON object']);
+    }
+
+    read.checkKeys(data, 'scene', [
+        'name', 'fog', 'ambientLight', 'skybox', 'starfield', 'sun', 'stars', 'planets', 'comets',
+        'asteroidBelts', 'blackHoles', 'nebulae', 'cameraPath', 'tours', 'startTour', 'locations', 'events'
+    ]);
+
+    const fog = read.object(data, 'fog', 'scene');
+    if (fog) read.checkKeys(fog, 'scene.fog', ['color', 'density']);
+    const ambientLight = read.object(data, 'ambientLight', 'scene');
+    if (ambientLight) read.checkKeys(ambientLight, 'scene.ambientLight', ['color', 'intensity']);
+    const skybox = read.object(data, 'skybox', 'scene');
+    const starfield = read.object(data, 'starfield', 'scene');
+    const sun = read.object(data, 'sun', 'scene');
+    const stars = read.array(data, 'stars', 'scene') || [];
+    const planets = read.array(data, 'planets', 'scene') || [];
+    const comets = read.array(data, 'comets', 'scene') || [];
+    const asteroidBelts = read.array(data, 'asteroidBelts', 'scene') || [];
+    const blackHoles = read.array(data, 'blackHoles', 'scene') || [];
+    const nebulae = read.array(data, 'nebulae', 'scene') || [];
+    const cameraPath = read.array(data, 'cameraPath', 'scene');
+    const tours = read.array(data, 'tours', 'scene') || [];
+    const locations = read.array(data, 'locations', 'scene') || [];
+    const events = read.array(data, 'events', 'scene') || DEFAULT_EVENTS;
+
+    if (!cameraPath && tours.length === 0) {
+        errors.push('scene needs a cameraPath or at least one tour');
+    }
+
+    // The top-level camera path is the scene's main, looping tour
+    const tourList = readList(read, tours, 'scene.tours', readTour);
+    const tourPaths = tours.map((tour, i) => `scene.tours[${i}].keyframes`);
+    if (cameraPath) {
+        tourList.unshift({
+            name: MAIN_TOUR_NAME,
+            end: 'loop',
+            keyframes: readKeyframes(read, cameraPath, 'scene.cameraPath')
+        });
+        tourPaths.unshift('scene.cameraPath');
+    }
+
+    const config = {
+        name: read.string(data, 'name', 'scene') || 'Untitled Scene',
+        fog: fog ? compact({
+            color: read.color(fog, 'color', 'scene.fog'),
+            density: read.number(fog, 'density', 'scene.fog', { min: 0 })
+        }) : {},
+        ambientLight: ambientLight ? compact({
+            color: read.color(ambientLight, 'color', 'scene.ambientLight'),
+            intensity: read.number(ambientLight, 'intensity', 'scene.ambientLight', { min: 0 })
+        }) : {},
+        skybox: skybox ? readSkybox(read, skybox, 'scene.skybox') : {},
+        starfield: starfield ? readStarfield(read, starfield, 'scene.starfield') : {},
+        sun: sun ? readSun(read, sun, 'scene.sun') : null,
+        stars: readList(read, stars, 'scene.stars', readStar),
+        planets: readList(read, planets, 'scene.planets', readPlanet),
+        comets: readList(read, comets, 'scene.comets', readComet),
+        asteroidBelts: readList(read, asteroidBelts, 'scene.asteroidBelts', readAsteroidBelt),
+        blackHoles: readList(read, blackHoles, 'scene.blackHoles', readBlackHole),
+        nebulae: readList(read, nebulae, 'scene.nebulae', readNebula),
+        tours: tourList,
+        startTour: read.string(data, 'startTour', 'scene'),
+        locations: readList(read, locations, 'scene.locations', readLocation),
+        events: readList(read, events, 'scene.events', readEvent)
+    };
+
+    checkBodyReferences(config, tourPaths, errors);
+    checkTourReferences(config, errors);
+    checkLocationReferences(config, errors);
+
+    if (errors.length > 0) {
+        throw new SceneValidationError(url, errors);
+    }
+
+    return config;
+}
+
+/**
+ * Validate a camera path on its own (e.g. one exported from the path editor)
+ * @param {Array|Object} data - A "cameraPath" array, or an object containing one (or a tour's "keyframes")
+ * @param {string} url - Where the path came from (used in error messages)
+ * @returns {Object[]} - Normalized keyframes, as in a scene configuration
+ * @throws {SceneValidationError} - If the path is malformed
+ */
+function validateCameraPath(data, url = 'camera path') {
+    const errors = [];
+    const read = new FieldReader(errors);
+    const list = Array.isArray(data) ? data : data && (data.cameraPath || data.keyframes);
+
+    if (!Array.isArray(list)) {
+        throw new SceneValidationError(url, ['expected a "cameraPath" array of keyframes']);
+    }
+    const keyframes = readKeyframes(read, list, 'cameraPath');
+
+    if (errors.length > 0) {
+        throw new SceneValidationError(url, errors);
+    }
+
+    return keyframes;
+}
+
+/**
+ * Work out which scene file to load from the page URL (?scene=...)
+ * @returns {string} - URL of the scene file
+ */
+function getSceneUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('scene') || DEFAULT_SCENE_URL;
+}
+
+/**
+ * Load and validate a scene file through the shared loading manager
+ * @param {string} url - URL of the JSON scene file
+ * @returns {Promise<Object>} - Resolves with the normalized scene configuration
+ */
+function loadScene(url = getSceneUrl()) {
+    const loader = new THREE.FileLoader(loadingManager);
+    loader.setResponseType('text');
+
+    return new Promise((resolve, reject) => {
+        loader.load(url, text => {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                reject(new SceneValidationError(url, [`not valid JSON (${e.message})`]));
+                return;
+            }
+
+            try {
+                resolve(validateScene(data, url));
+            } catch (e) {
+                reject(e);
+            }
+        }, undefined, () => {
+            reject(new Error(`Could not load scene file "${url}"`));
+        });
+    });
+}
+
+export { loadScene, validateScene, validateCameraPath, getSceneUrl, SceneValidationError };
@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+
+// Allowed range for the time-scale multiplier
+const MIN_TIME_SCALE = 0.1;
+const MAX_TIME_SCALE = 100;
+
+// Longest real frame we accept (avoids huge jumps after the tab was hidden)
+const MAX_FRAME_TIME = 0.1;
+
+/**
+ * Single source of simulation time for every component.
+ * Real frame time is scaled, paused or reversed here, so animation speed no
+ * longer depends on the monitor's refresh rate and everything can be paused.
+ */
+class SimulationClock {
+    constructor() {
+        this.realClock = new THREE.Clock();
+        this.elapsedTime = 0; // Simulation seconds since start (can go down when reversed)
+        this.delta = 0; // Simulation seconds advanced by the last update (negative when reversed)
+        this.realDelta = 0; // Wall-clock seconds since the last update
+        this.timeScale = 1;
+        this.paused = false;
+        this.reversed = false;
+        this.pendingStep = 0;
+        this.listeners = [];
+    }
+
+    /**
+     * Advance the clock; call exactly once per animation frame
+     * @returns {number} - Simulation time advanced this frame
+     */
+    update() {
+        this.realDelta = Math.min(this.realClock.getDelta(), MAX_FRAME_TIME);
+
+        if (this.paused) {
+            // Only single steps move time while paused
+            this.delta = this.pendingStep;
+            this.pendingStep = 0;
+        } else {
+            this.delta = this.realDelta * this.timeScale * (this.reversed ? -1 : 1);
+        }
+
+        this.elapsedTime += this.delta;
+        return this.delta;
+    }
+
+    /**
+     * @returns {number} - Simulation time advanced by the last update
+     */
+    getDelta() {
+        return this.delta;
+    }
+
+    /**
+     * @returns {number} - Simulation time in seconds
+     */
+    getElapsedTime() {
+        return this.elapsedTime;
+    }
+
+    /**
+     * @returns {number} - Unscaled wall-clock time of the last frame (for UI and input)
+     */
+    getRealDelta() {
+        return this.realDelta;
+    }
+
+    pause() {
+        this.paused = true;
+        this._notify();
+    }
+
+    resume() {
+        this.paused = false;
+        this._notify();
+    }
+
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Set how fast simulation time runs compared to real time
+     * @param {number} scale - Multiplier, clamped to 0.1x - 100x
+     */
+    setTimeScale(scale) {
+        this.timeScale = THREE.MathUtils.clamp(scale, MIN_TIME_SCALE, MAX_TIME_SCALE);
+        this._notify();
+    }
+
+    /**
+     * Run time backwards or forwards
+     * @param {boolean} reversed - True to run backwards
+     */
+    setReversed(reversed) {
+        this.reversed = reversed;
+        this._notify();
+    }
+
+    reverse() {
+        this.setReversed(!this.reversed);
+    }
+
+    /**
+     * Pause and advance by a single step in the current direction
+     * @param {number} seconds - Simulation time to advance
+     */
+    step(seconds = 1 / 60) {
+        this.paused = true;
+        this.pendingStep += seconds * (this.reversed ? -1 : 1);
+        this._notify();
+    }
+
+    /**
+     * Listen for changes to pause, time-scale or direction (e.g. to refresh the UI)
+     * @param {Function} listener - Called with the clock
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Shared clock read by every component
+const simulationClock = new SimulationClock();
+
+export { simulationClock, SimulationClock, MIN_TIME_SCALE, MAX_TIME_SCALE };
@@ -0,0 +1,244 @@
+import * as THREE from 'three';
+import { loadingManager } from './loading.js';
+
+/**
+ * Real star catalogs for the starfield.
+ * Two formats are read:
+ *   - CSV with a header row, as in the HYG database: "ra" (hours), "dec"
+ *     (degrees), "dist" (parsecs), "mag" (apparent magnitude), "ci" (B-V color
+ *     index) and "proper" (name, optional). Other columns are ignored.
+ *   - A compact binary (see packStarCatalog), about 20 bytes a star.
+ * Each star comes out as { ra, dec, distance, magnitude, colorIndex, name }.
+ */
+
+// First bytes of a packed catalog, and the layout version after them
+const BINARY_MAGIC = 'STAR';
+const BINARY_VERSION = 1;
+
+// Floats per star in a packed catalog: ra, dec, distance, magnitude, colorIndex
+const RECORD_LENGTH = 5;
+
+// HYG gives stars of unknown distance this many parsecs
+const UNKNOWN_DISTANCE = 100000;
+
+// B-V of a star without one (a sunlike white)
+const DEFAULT_COLOR_INDEX = 0.65;
+
+/**
+ * Problem with a star catalog file, shown like a scene file error
+ */
+class StarCatalogError extends Error {
+    constructor(url, message) {
+        super(`Invalid star catalog "${url}": ${message}`);
+        this.name = 'StarCatalogError';
+        this.url = url;
+        this.errors = [message];
+    }
+}
+
+/**
+ * Split one CSV line into fields, honoring double quotes
+ * @param {string} line - CSV line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Read a HYG-style CSV catalog
+ * @param {string} text - CSV text with a header row
+ * @param {string} url - Where it came from (used in error messages)
+ * @returns {Object[]} - Stars; the Sun (distance 0) is left out
+ * @throws {StarCatalogError} - If a required column is missing
+ */
+function parseStarCatalogCsv(text, url = 'catalog') {
+    const lines = text.split(/\r?\n/);
+    const header = splitCsvLine(lines[0]).map(name => name.trim().toLowerCase());
+    const column = name => header.indexOf(name);
+    const columns = { ra: column('ra'), dec: column('dec'), dist: column('dist'), mag: column('mag') };
+
+    const missing = Object.keys(columns).filter(name => columns[name] === -1);
+    if (missing.length > 0) {
+        throw new StarCatalogError(url, `missing column${missing.length > 1 ? 's' : ''} ${missing.join(', ')} (found: ${header.join(', ')})`);
+    }
+    const colorColumn = column('ci');
+    const nameColumn = column('proper');
+
+    const stars = [];
+    for (let i = 1; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+        const fields = splitCsvLine(lines[i]);
+        const ra = parseFloat(fields[columns.ra]);
+        const dec = parseFloat(fields[columns.dec]);
+        const distance = parseFloat(fields[columns.dist]);
+        const magnitude = parseFloat(fields[columns.mag]);
+        if (![ra, dec, magnitude].every(Number.isFinite) || distance === 0) continue;
+
+        const colorIndex = colorColumn === -1 ? NaN : parseFloat(fields[colorColumn]);
+        const name = nameColumn === -1 ? '' : (fields[nameColumn] || '').trim();
+        stars.push({
+            ra,
+            dec,
+            distance: Number.isFinite(distance) && distance < UNKNOWN_DISTANCE ? distance : 0,
+            magnitude,
+            colorIndex: Number.isFinite(colorIndex) ? colorIndex : DEFAULT_COLOR_INDEX,
+            name: name || null
+        });
+    }
+    return stars;
+}
+
+/**
+ * Pack stars into the compact binary format (little-endian):
+ *   - "STAR", then version, star count and name table length as 32-bit unsigned integers
+ *   - per star, 32-bit floats: ra (hours), dec (degrees), distance (parsecs, 0 if unknown),
+ *     apparent magnitude and B-V
+ *   - the names as UTF-8 JSON, an array of [star index, name] pairs
+ * @param {Object[]} stars - Stars as returned by parseStarCatalogCsv
+ * @returns {ArrayBuffer}
+ */
+function packStarCatalog(stars) {
+    const names = new TextEncoder().encode(JSON.stringify(
+        stars.map((star, i) => [i, star.name]).filter(([, name]) => name)
+    ));
+    const recordsLength = stars.length * RECORD_LENGTH * 4;
+    const buffer = new ArrayBuffer(16 + recordsLength + names.length);
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < BINARY_MAGIC.length; i++) {
+        view.setUint8(i, BINARY_MAGIC.charCodeAt(i));
+    }
+    view.setUint32(4, BINARY_VERSION, true);
+    view.setUint32(8, stars.length, true);
+    view.setUint32(12, names.length, true);
+
+    stars.forEach((star, i) => {
+        const offset = 16 + i * RECORD_LENGTH * 4;
+        [star.ra, star.dec, star.distance, star.magnitude, star.colorIndex].forEach((value, j) => {
+            view.setFloat32(offset + j * 4, value, true);
+        });
+    });
+    new Uint8Array(buffer, 16 + recordsLength).set(names);
+    return buffer;
+}
+
+/**
+ * Read a catalog packed by packStarCatalog
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} url - Where it came from (used in error messages)
+ * @returns {Object[]} - Stars
+ * @throws {StarCatalogError} - If the file isn't a packed catalog or is cut short
+ */
+function parseStarCatalogBinary(buffer, url = 'catalog') {
+    const view = new DataView(buffer);
+    const magic = buffer.byteLength >= 16 ? String.fromCharCode(...new Uint8Array(buffer, 0, 4)) : '';
+    if (magic !== BINARY_MAGIC) {
+        throw new StarCatalogError(url, 'not a CSV file or a packed star catalog');
+    }
+    const version = view.getUint32(4, true);
+    if (version !== BINARY_VERSION) {
+        throw new StarCatalogError(url, `packed with format version ${version}, expected ${BINARY_VERSION}`);
+    }
+
+    const count = view.getUint32(8, true);
+    const namesLength = view.getUint32(12, true);
+    const recordsLength = count * RECORD_LENGTH * 4;
+    if (buffer.byteLength < 16 + recordsLength + namesLength) {
+        throw new StarCatalogError(url, `cut short (${buffer.byteLength} bytes for ${count} stars)`);
+    }
+
+    const stars = [];
+    for (let i = 0; i < count; i++) {
+        const offset = 16 + i * RECORD_LENGTH * 4;
+        stars.push({
+            ra: view.getFloat32(offset, true),
+            dec: view.getFloat32(offset + 4, true),
+            distance: view.getFloat32(offset + 8, true),
+            magnitude: view.getFloat32(offset + 12, true),
+            colorIndex: view.getFloat32(offset + 16, true),
+            name: null
+        });
+    }
+
+    const names = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 16 + recordsLength, namesLength)));
+    names.forEach(([index, name]) => {
+        if (stars[index]) stars[index].name = name;
+    });
+    return stars;
+}
+
+/**
+ * Load a star catalog (counted by the loading screen)
+ * @param {string} url - CSV file (by its .csv extension) or packed catalog
+ * @returns {Promise<Object[]>} - Stars
+ */
+function loadStarCatalog(url) {
+    const csv = /\.csv(\?|#|$)/i.test(url);
+    const loader = new THREE.FileLoader(loadingManager);
+    loader.setResponseType(csv ? 'text' : 'arraybuffer');
+
+    return new Promise((resolve, reject) => {
+        loader.load(url, data => {
+            try {
+                resolve(csv ? parseStarCatalogCsv(data, url) : parseStarCatalogBinary(data, url));
+            } catch (e) {
+                reject(e);
+            }
+        }, undefined, () => {
+            reject(new StarCatalogError(url, 'could not be loaded'));
+        });
+    });
+}
+
+/**
+ * Direction to a star on the sky: the celestial north pole is up (+y) and
+ * right ascension 0 lies along +x
+ * @param {number} ra - Right ascension in hours
+ * @param {number} dec - Declination in degrees
+ * @param {THREE.Vector3} target - Vector to write into (a new one when omitted)
+ * @returns {THREE.Vector3} - Unit vector
+ */
+function skyDirection(ra, dec, target = new THREE.Vector3()) {
+    const longitude = ra / 24 * Math.PI * 2;
+    const latitude = THREE.MathUtils.degToRad(dec);
+    return target.set(
+        Math.cos(latitude) * Math.cos(longitude),
+        Math.sin(latitude),
+        -Math.cos(latitude) * Math.sin(longitude)
+    );
+}
+
+export {
+    StarCatalogError,
+    parseStarCatalogCsv,
+    parseStarCatalogBinary,
+    packStarCatalog,
+    loadStarCatalog,
+    skyDirection
+};
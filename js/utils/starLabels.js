@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+
+// How close the pointer must come to a star, in pixels
+const HOVER_DISTANCE = 10;
+
+// Light years in a parsec
+const LIGHT_YEARS_PER_PARSEC = 3.2616;
+
+/**
+ * Hover labels for named catalog stars.
+ * Follows the pointer over the canvas and, each frame, labels the named star
+ * nearest to it on screen with its name, magnitude and distance.
+ */
+class StarLabels {
+    /**
+     * @param {Object} options - Label options
+     * @param {Object[]} options.stars - Named stars from createCatalogStarfield
+     * @param {THREE.Object3D} options.starfield - The starfield points the stars belong to
+     * @param {THREE.PerspectiveCamera} options.camera - Camera the stars are seen through
+     * @param {THREE.WebGLRenderer} options.renderer - Renderer whose canvas is hovered
+     * @param {HTMLElement} options.label - Label element (see #star-label in index.html)
+     */
+    constructor({ stars, starfield, camera, renderer, label }) {
+        this.stars = stars;
+        this.starfield = starfield;
+        this.camera = camera;
+        this.renderer = renderer;
+        this.label = label;
+        this.enabled = true;
+        this.hovered = null;
+        this.pointer = null;
+
+        this._projected = new THREE.Vector3();
+        this._view = new THREE.Vector3();
+
+        const canvas = renderer.domElement;
+        canvas.addEventListener('pointermove', event => {
+            this.pointer = { x: event.clientX, y: event.clientY };
+        });
+        canvas.addEventListener('pointerleave', () => {
+            this.pointer = null;
+        });
+    }
+
+    /**
+     * Find the named star under a point on the canvas
+     * @param {number} clientX - Pointer x in window coordinates
+     * @param {number} clientY - Pointer y in window coordinates
+     * @returns {Object|null} - The star and its screen position { star, x, y }, if any
+     */
+    pick(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        let nearest = null;
+        let nearestDistance = HOVER_DISTANCE;
+
+        this.stars.forEach(star => {
+            this._projected.copy(star.position).applyMatrix4(this.starfield.matrixWorld);
+
+            // Skip stars behind the camera
+            this._view.copy(this._projected).applyMatrix4(this.camera.matrixWorldInverse);
+            if (this._view.z >= 0) return;
+
+            this._projected.project(this.camera);
+            const x = rect.left + (this._projected.x + 1) / 2 * rect.width;
+            const y = rect.top + (1 - this._projected.y) / 2 * rect.height;
+            const distance = Math.hypot(x - clientX, y - clientY);
+            if (distance < nearestDistance) {
+                nearest = { star, x, y };
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Move the label along with the pointer and the camera; call once per frame
+     */
+    update() {
+        const hit = this.enabled && this.pointer ? this.pick(this.pointer.x, this.pointer.y) : null;
+        if (!hit) {
+            if (this.hovered) this.label.style.display = 'none';
+            this.hovered = null;
+            return;
+        }
+
+        if (hit.star !== this.hovered) {
+            const { name, magnitude, distance } = hit.star;
+            const parts = [name, `magnitude ${magnitude.toFixed(2)}`];
+            if (distance > 0) {
+                parts.push(`${(distance * LIGHT_YEARS_PER_PARSEC).toLocaleString(undefined, { maximumFractionDigits: 1 })} light years`);
+            }
+            this.label.textContent = parts.join(' · ');
+            this.label.style.display = 'block';
+            this.hovered = hit.star;
+        }
+        this.label.style.left = `${hit.x}px`;
+        this.label.style.top = `${hit.y}px`;
+    }
+}
+
+export { StarLabels };
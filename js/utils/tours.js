@@ -0,0 +1,107 @@
+import { CameraPath, resolveKeyframe } from './cameraPath.js';
+
+/**
+ * Registry of named camera tours.
+ * Each tour owns a CameraPath; one tour is current at a time. When a one-shot
+ * tour ends it either stops, chains into its "next" tour, or asks for manual
+ * control (reported to onEnd listeners).
+ */
+class TourManager {
+    /**
+     * @param {Object} options - Manager options
+     * @param {THREE.Object3D} options.scene - Scene containing the bodies tours refer to
+     * @param {number} options.fov - Camera's default field of view
+     */
+    constructor({ scene, fov = 75 }) {
+        this.scene = scene;
+        this.fov = fov;
+        this.tours = new Map();
+        this.current = null;
+        this.changeListeners = [];
+        this.endListeners = [];
+    }
+
+    /**
+     * Register a tour
+     * @param {Object} tour - Tour from the scene loader
+     * @param {string} tour.name - Unique name shown in the menu
+     * @param {string} tour.description - Optional blurb
+     * @param {string} tour.end - 'loop', 'stop', 'manual' or 'chain'
+     * @param {string} tour.next - Tour to chain into when end is 'chain'
+     * @param {Object[]} tour.keyframes - Keyframes (body names are looked up in the scene)
+     * @returns {Object} - The registered tour, with its CameraPath as `path`
+     */
+    add({ name, description = '', end = 'loop', next = null, keyframes }) {
+        const path = new CameraPath({ fov: this.fov, loop: end === 'loop' });
+        path.setKeyframes(keyframes.map(keyframe => resolveKeyframe(keyframe, this.scene)));
+
+        const tour = { name, description, end, next, path };
+        path.onEnd(() => this._onTourEnd(tour));
+        this.tours.set(name, tour);
+        return tour;
+    }
+
+    /**
+     * @param {string} name - Tour name
+     * @returns {Object|undefined} - The tour, if registered
+     */
+    get(name) {
+        return this.tours.get(name);
+    }
+
+    /**
+     * @returns {Object[]} - All tours, in the order they were added
+     */
+    list() {
+        return [...this.tours.values()];
+    }
+
+    /**
+     * Make a tour current and play it from the beginning
+     * @param {string} name - Tour name
+     * @returns {Object} - The started tour
+     */
+    start(name) {
+        const tour = this.tours.get(name);
+        if (!tour) {
+            throw new Error(`Unknown tour "${name}"`);
+        }
+
+        this.current = tour;
+        tour.path.seek(0);
+        tour.path.play();
+        this.changeListeners.forEach(listener => listener(tour));
+        return tour;
+    }
+
+    /**
+     * Listen for the current tour changing (from the menu or a chain)
+     * @param {Function} listener - Called with the new tour
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    /**
+     * Listen for one-shot tours ending (except chains, which start the next tour)
+     * @param {Function} listener - Called with the tour that ended
+     */
+    onEnd(listener) {
+        this.endListeners.push(listener);
+    }
+
+    /**
+     * @private
+     */
+    _onTourEnd(tour) {
+        if (tour !== this.current) return;
+
+        if (tour.end === 'chain') {
+            this.start(tour.next);
+        } else {
+            this.endListeners.forEach(listener => listener(tour));
+        }
+    }
+}
+
+export { TourManager };
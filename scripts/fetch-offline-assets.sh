@@ -0,0 +1,67 @@
+#!/bin/sh
+# Download everything the simulation needs into the project so it can run
+# with no network afterwards (e.g. on an offline kiosk).
+#
+#   ./scripts/fetch-offline-assets.sh
+#
+# Textures that fail to download are not fatal: the app draws a procedural
+# stand-in for any file listed in js/utils/assets.js that is missing.
+# Keep the texture list below in sync with that manifest.
+
+set -e
+cd "$(dirname "$0")/.."
+
+THREE_VERSION=0.160.0
+THREE_TEXTURES=https://raw.githubusercontent.com/mrdoob/three.js/r160/examples/textures
+
+fetch() {
+    mkdir -p "$(dirname "$2")"
+    if curl -fsSL "$1" -o "$2"; then
+        echo "  $2"
+    else
+        rm -f "$2"
+        echo "  warning: could not download $1 (a procedural stand-in will be used)"
+    fi
+}
+
+echo "Fetching three.js $THREE_VERSION into vendor/three"
+mkdir -p vendor/three
+curl -fsSL "https://registry.npmjs.org/three/-/three-$THREE_VERSION.tgz" \
+    | tar -xz -C vendor/three --strip-components=1 package/build package/examples/jsm
+
+echo "Fetching textures into assets/textures"
+for file in \
+    planets/earth_atmos_2048.jpg \
+    planets/earth_clouds_1024.png \
+    planets/earth_lights_2048.png \
+    planets/mars_1k_color.jpg \
+    planets/jupiter_1k.jpg \
+    planets/saturn_1k.jpg \
+    planets/moon_1024.jpg \
+    planets/mercury.jpg \
+    planets/venus_atmosphere.jpg \
+    planets/neptune.jpg \
+    planets/uranus.jpg \
+    planets/pluto.jpg \
+    planets/saturn_rings.png \
+    planets/sun.jpg \
+    planets/starry-deep-outer-space-galaxy.jpg \
+    sprites/disc.png \
+    sprites/spark1.png \
+    lensflare/lensflare0.png \
+    lensflare/lensflare3.png \
+    cube/MilkyWay/dark-s_px.jpg \
+    cube/MilkyWay/dark-s_nx.jpg \
+    cube/MilkyWay/dark-s_py.jpg \
+    cube/MilkyWay/dark-s_ny.jpg \
+    cube/MilkyWay/dark-s_pz.jpg \
+    cube/MilkyWay/dark-s_nz.jpg
+do
+    fetch "$THREE_TEXTURES/$file" "assets/textures/$file"
+done
+
+echo "Fetching background music into assets/audio"
+fetch "https://cdn.pixabay.com/download/audio/2022/03/29/audio_85adcc013a.mp3?filename=ambient-space-138467.mp3" \
+    assets/audio/ambient-space.mp3
+
+echo "Done. The simulation now runs without a network connection."